@@ -5,96 +5,129 @@
  * provisions from the Toronto Municipal Code, Zoning By-law 569-2013,
  * and the Official Plan.
  * 
- * This is intentionally keyword-based, not vector/embedding-based.
- * Legal text responds better to keyword search than semantic search
- * because the exact terminology matters (e.g. "angular plane" vs "height limit").
+ * Search is keyword-first: legal text responds better to keyword search
+ * than semantic search because the exact terminology matters (e.g.
+ * "angular plane" vs "height limit"). An optional vector path, built on
+ * local hashed term vectors (embeddings.js), can be fused with it for
+ * stories that describe a problem without using the by-law's words.
  */
 
 const Database = require('better-sqlite3');
+const crypto = require('crypto');
 const path = require('path');
+const embeddings = require('./embeddings');
+const migrations = require('./migrations');
+const CODES_MIGRATIONS = require('./codes-migrations');
 
-const DB_PATH = path.join(__dirname, 'codes.db');
+// CODES_DB points ingestion/tests at a scratch database (e.g. offline fixture runs)
+const DB_PATH = process.env.CODES_DB || path.join(__dirname, 'codes.db');
 
 let db;
 
-function getDb() {
+/**
+ * The codes.db connection, opened (and migrated, see codes-migrations.js)
+ * on first use. `migrate: false` opens it as it is, for migrate.js's dry run.
+ */
+function getDb({ migrate = true } = {}) {
   if (!db) {
     db = new Database(DB_PATH);
     db.pragma('journal_mode = WAL');
-    initSchema();
+    if (migrate) {
+      const { database, applied } = migrations.migrate(db, CODES_MIGRATIONS);
+      for (const m of applied) console.log(`  Applied ${database} migration ${m.version} (${m.name})`);
+    }
   }
   return db;
 }
 
-function initSchema() {
-  db.exec(`
-    -- Main table for code provisions
-    CREATE TABLE IF NOT EXISTS provisions (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      source TEXT NOT NULL,          -- 'municipal_code', 'zoning_bylaw', 'official_plan', 'ttc', 'building_code'
-      chapter TEXT,                  -- e.g. 'Chapter 591' or 'Part 15.10'
-      chapter_title TEXT,            -- e.g. 'Noise' or 'Parking Minimums'
-      section TEXT,                  -- e.g. '591-2.1' or '15.10.40.70'
-      section_title TEXT,            -- e.g. 'Prohibited noise levels'
-      content TEXT NOT NULL,         -- The actual provision text
-      summary TEXT,                  -- Plain-language summary (optional, AI-generated)
-      pdf_url TEXT,                  -- Source URL for verification
-      keywords TEXT,                 -- Extra searchable terms
-      created_at TEXT DEFAULT (datetime('now')),
-      updated_at TEXT DEFAULT (datetime('now'))
-    );
-
-    -- FTS5 virtual table for fast full-text search
-    CREATE VIRTUAL TABLE IF NOT EXISTS provisions_fts USING fts5(
-      chapter_title,
-      section_title,
-      content,
-      summary,
-      keywords,
-      content=provisions,
-      content_rowid=id,
-      tokenize='porter unicode61'
-    );
-
-    -- Triggers to keep FTS in sync
-    CREATE TRIGGER IF NOT EXISTS provisions_ai AFTER INSERT ON provisions BEGIN
-      INSERT INTO provisions_fts(rowid, chapter_title, section_title, content, summary, keywords)
-      VALUES (new.id, new.chapter_title, new.section_title, new.content, new.summary, new.keywords);
-    END;
-
-    CREATE TRIGGER IF NOT EXISTS provisions_ad AFTER DELETE ON provisions BEGIN
-      INSERT INTO provisions_fts(provisions_fts, rowid, chapter_title, section_title, content, summary, keywords)
-      VALUES ('delete', old.id, old.chapter_title, old.section_title, old.content, old.summary, old.keywords);
-    END;
-
-    CREATE TRIGGER IF NOT EXISTS provisions_au AFTER UPDATE ON provisions BEGIN
-      INSERT INTO provisions_fts(provisions_fts, rowid, chapter_title, section_title, content, summary, keywords)
-      VALUES ('delete', old.id, old.chapter_title, old.section_title, old.content, old.summary, old.keywords);
-      INSERT INTO provisions_fts(rowid, chapter_title, section_title, content, summary, keywords)
-      VALUES (new.id, new.chapter_title, new.section_title, new.content, new.summary, new.keywords);
-    END;
-
-    -- Indexes for common queries
-    CREATE INDEX IF NOT EXISTS idx_provisions_source ON provisions(source);
-    CREATE INDEX IF NOT EXISTS idx_provisions_chapter ON provisions(chapter);
-
-    -- Metadata table for tracking ingestion state
-    CREATE TABLE IF NOT EXISTS ingestion_log (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      source TEXT NOT NULL,
-      chapter TEXT,
-      status TEXT DEFAULT 'completed',
-      provisions_count INTEGER DEFAULT 0,
-      created_at TEXT DEFAULT (datetime('now'))
-    );
-  `);
+// Rows with no valid_to are the provisions in force; older versions stay
+// in the table for history and only show up in searches with an asOf date
+const CURRENT = 'valid_to IS NULL';
+
+/**
+ * Normalize a date to the form valid_from/valid_to are stored in
+ * ("YYYY-MM-DD HH:MM:SS", UTC). A bare date means the end of that day, and
+ * times without a zone are taken as UTC. Returns null if it isn't a date.
+ */
+function asOfTime(value) {
+  if (value === null || value === undefined || value === '') return null;
+  let text = String(value).trim();
+  if (/^\d{4}-\d{2}-\d{2}$/.test(text)) text += 'T23:59:59';
+  text = text.replace(' ', 'T');
+  if (!/(Z|[+-]\d\d:?\d\d)$/i.test(text)) text += 'Z';
+
+  const date = new Date(text);
+  return isNaN(date) ? null : date.toISOString().slice(0, 19).replace('T', ' ');
+}
+
+/**
+ * SQL condition on `p` for the versions in force at a normalized asOf time,
+ * or for the current versions when there's no asOf
+ */
+function validAt(asOf) {
+  if (!asOf) return { sql: `p.${CURRENT}`, params: [] };
+  return { sql: '(p.valid_from <= ? AND (p.valid_to IS NULL OR p.valid_to > ?))', params: [asOf, asOf] };
+}
+
+const SEARCH_MODES = ['keyword', 'vector', 'hybrid'];
+
+const RESULT_COLUMNS = `
+  p.id, p.source, p.chapter, p.chapter_title,
+  p.section, p.section_title, p.content,
+  p.summary, p.pdf_url, p.designations, p.content_hash, p.valid_from, p.valid_to
+`;
+
+/**
+ * SQL condition on `p` for provisions tagged with a land-use designation
+ * (see official-plan-parser.js), or nothing when there's no designation
+ */
+function taggedWith(designation) {
+  if (!designation) return { sql: '1', params: [] };
+  const escaped = designation.replace(/[\\%_]/g, '\\$&');
+  return { sql: `(', ' || p.designations || ', ') LIKE ? ESCAPE '\\'`, params: [`%, ${escaped}, %`] };
+}
+
+const splitList = (field) => (field ? field.split(',').map(s => s.trim()).filter(Boolean) : []);
+
+/**
+ * Search provisions. Returns the most relevant provisions for a query.
+ *
+ * mode:
+ *   'keyword' — FTS5 BM25 over the query terms (default)
+ *   'vector'  — cosine similarity of local term vectors
+ *   'hybrid'  — both, fused with reciprocal rank fusion and reranked
+ *
+ * `vectorQuery` lets the vector path embed different text than the
+ * keyword path searches — e.g. the citizen's own words rather than the
+ * legal terms extracted from them.
+ *
+ * `asOf` (a date or datetime) searches the versions that were in force at
+ * that time instead of the current ones. History only goes back to when a
+ * section was first ingested.
+ *
+ * `designation` keeps only provisions tagged with that Official Plan
+ * land-use designation, e.g. 'Mixed Use Areas'.
+ */
+function searchProvisions(query, { limit = 5, source = null, mode = 'keyword', vectorQuery = null, asOf = null, designation = null } = {}) {
+  if (!SEARCH_MODES.includes(mode)) mode = 'keyword';
+  const filters = { source, asOf: asOfTime(asOf), designation };
+  if (mode === 'keyword') return keywordSearch(query, { limit, ...filters });
+
+  const text = vectorQuery || query;
+  if (mode === 'vector') return vectorSearch(text, { limit, ...filters });
+
+  // Over-fetch from both paths so fusion has something to choose from
+  const pool = Math.max(limit * 4, 20);
+  const keyword = keywordSearch(query, { limit: pool, ...filters });
+  const vector = vectorSearch(text, { limit: pool, ...filters });
+
+  return rerank(fuse([keyword, vector]), `${query} ${vectorQuery || ''}`, text).slice(0, limit);
 }
 
 /**
- * Search provisions using full-text search
- * Returns the most relevant provisions for a given query
+ * BM25 full-text search
  */
-function searchProvisions(query, { limit = 5, source = null } = {}) {
+function keywordSearch(query, { limit, source, asOf, designation }) {
   const db = getDb();
 
   // Clean query for FTS5 — remove special chars, add OR between terms for broader matching
@@ -108,18 +141,16 @@ function searchProvisions(query, { limit = 5, source = null } = {}) {
 
   if (!cleanQuery) return [];
 
+  const valid = validAt(asOf);
+  const tagged = taggedWith(designation);
   let sql = `
-    SELECT 
-      p.id, p.source, p.chapter, p.chapter_title,
-      p.section, p.section_title, p.content,
-      p.summary, p.pdf_url,
-      rank
+    SELECT ${RESULT_COLUMNS}, rank
     FROM provisions_fts fts
     JOIN provisions p ON p.id = fts.rowid
-    WHERE provisions_fts MATCH ?
+    WHERE provisions_fts MATCH ? AND ${valid.sql} AND ${tagged.sql}
   `;
 
-  const params = [cleanQuery];
+  const params = [cleanQuery, ...valid.params, ...tagged.params];
 
   if (source) {
     sql += ` AND p.source = ?`;
@@ -134,22 +165,164 @@ function searchProvisions(query, { limit = 5, source = null } = {}) {
   } catch (e) {
     // FTS5 can throw on malformed queries — fall back to LIKE
     console.warn('FTS5 search failed, falling back to LIKE:', e.message);
-    return fallbackSearch(query, limit, source);
+    return fallbackSearch(query, { limit, source, asOf, designation });
   }
 }
 
+// In-memory copy of every vector; brute-force cosine is fast at this scale
+let vectorCache = null;
+
+// Below this, a match is mostly hash collisions
+const MIN_SIMILARITY = 0.05;
+
+/**
+ * Compute vectors for any provisions that don't have one yet (or whose
+ * vector came from an older embeddings.MODEL). Superseded versions get one
+ * too, for asOf searches. Returns how many were added.
+ */
+function ensureEmbeddings() {
+  const db = getDb();
+  const missing = db.prepare(`
+    SELECT p.id, p.chapter_title, p.section_title, p.content, p.keywords
+    FROM provisions p
+    LEFT JOIN provision_embeddings e ON e.provision_id = p.id AND e.model = ?
+    WHERE e.provision_id IS NULL
+  `).all(embeddings.MODEL);
+
+  if (missing.length === 0) return 0;
+
+  const upsert = db.prepare(`
+    INSERT OR REPLACE INTO provision_embeddings (provision_id, model, vector) VALUES (?, ?, ?)
+  `);
+  db.transaction((rows) => {
+    for (const p of rows) {
+      const text = [p.chapter_title, p.section_title, p.keywords, p.content].filter(Boolean).join('\n');
+      upsert.run(p.id, embeddings.MODEL, embeddings.toBlob(embeddings.embed(text)));
+    }
+  })(missing);
+
+  vectorCache = null;
+  return missing.length;
+}
+
+function loadVectors() {
+  const db = getDb();
+  ensureEmbeddings();
+
+  // Another process (ingestion) may have changed the tables since we cached them
+  const sig = db.prepare('SELECT COUNT(*) as count, MAX(rowid) as max FROM provision_embeddings').get();
+  const closed = db.prepare(`SELECT COUNT(*) as count FROM provisions WHERE NOT ${CURRENT}`).get();
+  const key = `${sig.count}:${sig.max}:${closed.count}`;
+  if (vectorCache?.key === key) return vectorCache;
+
+  const rows = db.prepare(`
+    SELECT e.provision_id, e.vector, p.source, p.designations, p.valid_from, p.valid_to
+    FROM provision_embeddings e JOIN provisions p ON p.id = e.provision_id
+    WHERE e.model = ?
+  `).all(embeddings.MODEL);
+
+  vectorCache = {
+    key,
+    ids: rows.map(r => r.provision_id),
+    sources: rows.map(r => r.source),
+    designations: rows.map(r => splitList(r.designations)),
+    validFrom: rows.map(r => r.valid_from),
+    validTo: rows.map(r => r.valid_to),
+    vectors: rows.map(r => embeddings.fromBlob(r.vector)),
+  };
+  return vectorCache;
+}
+
+/**
+ * Nearest provisions by cosine similarity of local term vectors
+ */
+function vectorSearch(text, { limit, source, asOf, designation }) {
+  const db = getDb();
+  const q = embeddings.embed(text);
+  if (!q.some(v => v !== 0)) return [];
+
+  const { ids, sources, designations, validFrom, validTo, vectors } = loadVectors();
+  const inForce = asOf
+    ? (i) => validFrom[i] <= asOf && (!validTo[i] || validTo[i] > asOf)
+    : (i) => !validTo[i];
+
+  const scored = [];
+  for (let i = 0; i < ids.length; i++) {
+    if (source && sources[i] !== source) continue;
+    if (designation && !designations[i].some(d => d.toLowerCase() === designation.toLowerCase())) continue;
+    if (!inForce(i)) continue;
+    const score = embeddings.similarity(q, vectors[i]);
+    if (score >= MIN_SIMILARITY) scored.push({ id: ids[i], score });
+  }
+  scored.sort((a, b) => b.score - a.score);
+  const top = scored.slice(0, limit);
+  if (top.length === 0) return [];
+
+  const rows = db.prepare(`SELECT ${RESULT_COLUMNS} FROM provisions p WHERE p.id IN (${top.map(() => '?').join(',')})`)
+    .all(...top.map(t => t.id));
+  const byId = new Map(rows.map(r => [r.id, r]));
+
+  return top.filter(t => byId.has(t.id)).map(t => ({ ...byId.get(t.id), similarity: t.score }));
+}
+
+/**
+ * Reciprocal rank fusion: a provision's score is the sum of 1/(k + rank)
+ * over every result list it appears in. Rank-based, so BM25 and cosine
+ * scores never have to be put on the same scale.
+ */
+function fuse(lists, k = 60) {
+  const fused = new Map();
+  for (const [listIndex, list] of lists.entries()) {
+    list.forEach((row, rank) => {
+      const entry = fused.get(row.id) || { row: { ...row }, rrf: 0, hits: [] };
+      Object.assign(entry.row, row);
+      entry.rrf += 1 / (k + rank + 1);
+      entry.hits.push(listIndex === 0 ? 'keyword' : 'vector');
+      fused.set(row.id, entry);
+    });
+  }
+  return [...fused.values()];
+}
+
+/**
+ * Rerank fused candidates. OR-joined keyword search happily matches a
+ * provision on one stray word, so the final order weighs:
+ *   - coverage: the share of distinct query terms the provision contains
+ *   - similarity: cosine between the vector query and the provision
+ *   - the fused rank itself
+ */
+function rerank(candidates, query, vectorText) {
+  if (candidates.length === 0) return [];
+
+  const terms = [...new Set(embeddings.tokenize(query))];
+  const q = embeddings.embed(vectorText);
+  const maxRrf = Math.max(...candidates.map(c => c.rrf));
+
+  return candidates
+    .map(({ row, rrf, hits }) => {
+      const words = new Set(embeddings.tokenize(`${row.chapter_title || ''} ${row.section_title || ''} ${row.content}`));
+      const coverage = terms.length ? terms.filter(t => words.has(t)).length / terms.length : 0;
+      const similarity = row.similarity ?? embeddings.similarity(q, embeddings.embed(`${row.chapter_title || ''}\n${row.section_title || ''}\n${row.content}`));
+      const score = 0.4 * coverage + 0.4 * similarity + 0.2 * (rrf / maxRrf);
+      return { ...row, similarity, score, retrieval: hits.length > 1 ? 'both' : hits[0] };
+    })
+    .sort((a, b) => b.score - a.score);
+}
+
 /**
  * Fallback search using LIKE when FTS5 fails
  */
-function fallbackSearch(query, limit, source) {
+function fallbackSearch(query, { limit, source, asOf, designation }) {
   const db = getDb();
   const terms = query.split(/\s+/).filter(w => w.length > 2);
   if (terms.length === 0) return [];
 
+  const valid = validAt(asOf);
+  const tagged = taggedWith(designation);
   const conditions = terms.map(() => `(p.content LIKE ? OR p.chapter_title LIKE ? OR p.section_title LIKE ?)`);
-  const params = terms.flatMap(t => [`%${t}%`, `%${t}%`, `%${t}%`]);
+  const params = [...valid.params, ...tagged.params, ...terms.flatMap(t => [`%${t}%`, `%${t}%`, `%${t}%`])];
 
-  let sql = `SELECT * FROM provisions p WHERE ${conditions.join(' OR ')}`;
+  let sql = `SELECT * FROM provisions p WHERE ${valid.sql} AND ${tagged.sql} AND (${conditions.join(' OR ')})`;
   if (source) {
     sql += ` AND p.source = ?`;
     params.push(source);
@@ -160,15 +333,274 @@ function fallbackSearch(query, limit, source) {
   return db.prepare(sql).all(...params);
 }
 
+/**
+ * Parse a free-form code reference, as written by the LLM, into its parts.
+ * Handles shapes like "Chapter 591, § 591-2.1", "Municipal Code 950-400"
+ * and "Zoning By-law 569-2013, Section 10.20.40.10", plus the other
+ * sources' citations (see parseOtherRef).
+ */
+function parseCodeRef(ref) {
+  const r = String(ref || '');
+
+  let source = null;
+  if (/zoning|569-2013/i.test(r)) source = 'zoning_bylaw';
+  else if (/official\s+plan/i.test(r)) source = 'official_plan';
+  else if (/§|municipal\s+code/i.test(r)) source = 'municipal_code';
+  else {
+    const other = parseOtherRef(r);
+    if (other) return other;
+  }
+
+  // The by-law number itself isn't a section, and the generic chunker stores
+  // sections as "Chapter 591-591-2.1" or "... Vol. 1-40.10.40.70" — drop those prefixes
+  const body = r
+    .replace(/569-2013/g, ' ')
+    .replace(/Vol\.\s*\d+-?/gi, ' ')
+    .replace(/(Chapter\s+(\d+))-(?=\2-)/gi, '$1 ');
+
+  // "591-2.1" (Municipal Code) or "40.10.40.70" / "3.2.1.5" (Zoning, Official Plan),
+  // with any regulation number: "10.10.40.70(1)", "800.50(2)"
+  const sections = [...body.matchAll(/\b(?:\d+-\d+(?:\.\d+)*|\d+(?:\.\d+)+)[A-Z]?(?:(?:\(\w{1,4}\))+|\b)/g)].map(m => m[0]);
+
+  const chapterMatch = body.match(/chapter\s+(\d+)/i) || body.match(/§\s*(\d+)-/) || sections.find(s => s.includes('-'))?.match(/^(\d+)-/);
+
+  // "Chapter 40, 40.10.40.70" is a zoning clause: only the by-law numbers sections that way
+  if (!source && chapterMatch && sections.some(s => s.startsWith(`${chapterMatch[1]}.`) && s.split('.').length >= 3)) {
+    source = 'zoning_bylaw';
+  }
+  const chapter = chapterMatch && source !== 'official_plan' ? `Chapter ${chapterMatch[1]}` : null;
+
+  return { source: source || (chapter ? 'municipal_code' : null), chapter, sections };
+}
+
+// "34", "s. 34", "ss. 34(1)", "section 3.2" — numbered sections of statutes, by-laws and TTC standards
+const NUMBERED_SECTION_RE = /\b(?:ss?\.|sections?)\s*(\d+(?:\.\d+)*)/gi;
+const DOTTED_SECTION_RE = /\b\d+(?:\.\d+)+\b/g;
+
+/**
+ * Citations of the sources ingested by the other adapters in source-adapters.js:
+ *   "Ontario Building Code Division B, 9.8.2.1"   → building_code
+ *   "TTC Service Standards, s. 3.2"               → ttc
+ *   "City Council decision 2024.CC12.3"           → council_decision
+ *   "Planning Act, s. 34"                         → ontario_statute
+ *   "By-law 1234-2019, s. 3"                      → bylaw
+ * Returns null if the reference isn't one of these.
+ */
+function parseOtherRef(r) {
+  const sectionsIn = (text, res) => [...new Set(res.flatMap(re => [...text.matchAll(re)].map(m => m[1] || m[0])))];
+
+  if (/building\s+code|\bOBC\b/i.test(r)) {
+    const division = r.match(/\bDiv(?:ision|\.)?\s*([ABC])\b/i);
+    return {
+      source: 'building_code',
+      chapter: division ? `Ontario Building Code Division ${division[1].toUpperCase()}` : null,
+      sections: sectionsIn(r.replace(/O\.\s*Reg\.\s*\d+\/\d+/gi, ' '), [DOTTED_SECTION_RE]),
+    };
+  }
+
+  if (/\bTTC\b/.test(r)) {
+    const chapter = r.match(/TTC Service Standards(?: \(\d+\))?/i);
+    const body = r.replace(/TTC Service Standards(?: \(\d+\))?/gi, ' ');
+    return { source: 'ttc', chapter: chapter ? chapter[0] : null, sections: sectionsIn(body, [NUMBERED_SECTION_RE, DOTTED_SECTION_RE]) };
+  }
+
+  const item = r.match(/\b((?:\d{4}\.)?[A-Z]{2,5}\d{1,3})\.(\d{1,3}[a-z]?)\b/);
+  if (item && (/council/i.test(r) || /^\d{4}\./.test(item[1]))) {
+    return {
+      source: 'council_decision',
+      chapter: /^\d{4}\./.test(item[1]) ? `City Council ${item[1]}` : null,
+      sections: [`${item[1]}.${item[2]}`],
+    };
+  }
+
+  // "City of Toronto Act, 2006", "Highway Traffic Act" — stored chapters may
+  // carry the year, so the chapter is the bare name and matched by prefix
+  const act = r.match(/\b([A-Z][a-z]+(?:\s+(?:[A-Z][a-z]+|of|and))*\s+Act)\b/);
+  if (act) {
+    const body = r.slice(act.index + act[0].length).replace(/^,?\s*\d{4}\b/, ' ');
+    return { source: 'ontario_statute', chapter: act[1], sections: sectionsIn(body, [NUMBERED_SECTION_RE, DOTTED_SECTION_RE]) };
+  }
+
+  const bylaw = r.match(/By-?law\s+(?:No\.\s*)?(\d{1,4}-\d{4})\b/i);
+  if (bylaw) {
+    const body = r.replace(bylaw[0], ' ');
+    return { source: 'bylaw', chapter: `By-law ${bylaw[1]}`, sections: sectionsIn(body, [NUMBERED_SECTION_RE, DOTTED_SECTION_RE]) };
+  }
+
+  return null;
+}
+
+/**
+ * Human-readable reference for a provision, e.g. "Municipal Code Chapter 591, § 591-2.1",
+ * "Zoning By-law 569-2013, 40.10.40.70(1)" or "Planning Act, s. 34". This is the form shown to the LLM,
+ * and it round-trips through parseCodeRef().
+ */
+function formatReference(p) {
+  const chapterPrefix = p.chapter ? new RegExp(`^${p.chapter.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}-`) : null;
+  const section = p.section && chapterPrefix ? p.section.replace(chapterPrefix, '') : p.section;
+  const hasOwnNumber = section && section !== p.chapter && !/\(Part \d+\)$/.test(section);
+
+  if (p.source === 'municipal_code') {
+    return `Municipal Code ${p.chapter}${hasOwnNumber ? `, § ${section}` : ''}`;
+  }
+  if (p.source === 'zoning_bylaw') {
+    const chapter = p.chapter?.startsWith('Zoning By-law') ? p.chapter : `Zoning By-law 569-2013 ${p.chapter || ''}`.trim();
+    return `${chapter}${hasOwnNumber ? `, ${section}` : ''}`;
+  }
+  if (p.source === 'official_plan') {
+    return `Official Plan${hasOwnNumber ? `, ${section}` : ''}`;
+  }
+  if (p.source === 'bylaw' || p.source === 'ttc' || p.source === 'ontario_statute') {
+    return `${p.chapter}${hasOwnNumber ? `, s. ${section}` : ''}`;
+  }
+  if (p.source === 'council_decision' && hasOwnNumber) {
+    return `City Council decision ${section}`;
+  }
+  return [p.chapter, hasOwnNumber ? section : null].filter(Boolean).join(', ');
+}
+
+/**
+ * Shorter and shorter prefixes of a section number, most specific first:
+ * "591-2.1.3" → ["591-2.1.3", "591-2.1", "591-2"],
+ * "10.10.40.70(1)" → ["10.10.40.70(1)", "10.10.40.70", "10.10.40", "10.10"]
+ */
+function sectionAncestors(section) {
+  const out = [section];
+  let s = section;
+  while (/\(\w+\)$|[.]\d+[A-Z]?$/.test(s)) {
+    s = s.replace(/\(\w+\)$|[.]\d+[A-Z]?$/, '');
+    out.push(s);
+  }
+  return out;
+}
+
+/**
+ * A stored section number as citations write it: the generic chunker stores
+ * "Chapter 591-591-2.1." and "... Vol. 1-40.10.40.70", which are "591-2.1"
+ * and "40.10.40.70"
+ */
+function normalizeSection(section) {
+  return String(section)
+    .replace(/\.$/, '')
+    .replace(/^.*?(?:Chapter \d+|Vol\.\s*\d+)-(?=\d)/, '');
+}
+
+function sectionMatches(stored, section) {
+  if (!stored) return false;
+  const s = normalizeSection(stored);
+  return s === section || s.endsWith(`-${section}`) || s.endsWith(` ${section}`);
+}
+
+// Whether a provision's text opens with a section number ("§ 591-3.1. Exemption
+// permits."), as text the chunker didn't split on does. Text that only
+// mentions the number ("Subject to Section 591-3.1") doesn't count.
+function opensWithSection(content, section) {
+  const number = section.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return new RegExp(`^\\s*(?:§+\\s*|Section\\s+)?${number}(?![\\d(-]|\\.\\d)`, 'i').test(content || '');
+}
+
+// Sources whose section numbers restart in each chapter (document)
+const CHAPTER_SCOPED = new Set(['municipal_code', 'bylaw', 'ttc', 'ontario_statute', 'building_code', 'council_decision']);
+
+/**
+ * Resolve an LLM-written code reference to a real row in `provisions`.
+ *
+ * `candidates` are the provisions that were retrieved and shown to the LLM;
+ * they're checked first so a section that exists in several volumes resolves
+ * to the one the model actually saw.
+ *
+ * Returns { provision, match } where match is:
+ *   'exact'   — the cited section number was found
+ *   'parent'  — only an enclosing section was, e.g. 10.10.40.70 for 10.10.40.70(1)
+ *   'fuzzy'   — a provision whose text starts with the cited number
+ *   'chapter' — only the chapter could be matched
+ * or null if the reference cites nothing in the database.
+ */
+function resolveCodeRef(ref, { candidates = [] } = {}) {
+  const db = getDb();
+  const parsed = parseCodeRef(ref);
+
+  // Zoning sections are unique across the by-law, and chunked volumes don't
+  // carry a chapter number — only narrow lookups by chapter for sources
+  // whose chapters number their sections independently
+  const chapter = CHAPTER_SCOPED.has(parsed.source) ? parsed.chapter : null;
+
+  // "Planning Act" also matches a chapter stored as "Planning Act, 1990"
+  const inChapter = (c) => c === chapter || !!c?.startsWith(`${chapter}, `);
+  const scope = (p) => (!parsed.source || p.source === parsed.source) && (!chapter || inChapter(p.chapter));
+  const scoped = candidates.filter(scope);
+
+  let where = '';
+  const scopeParams = [];
+  if (parsed.source) { where += ' AND source = ?'; scopeParams.push(parsed.source); }
+  if (chapter) { where += ' AND (chapter = ? OR chapter LIKE ?)'; scopeParams.push(chapter, `${chapter}, %`); }
+
+  // The first current provision LIKE narrows to that passes `test`
+  const first = (stmt, pattern, test) => {
+    for (const p of stmt.iterate(pattern, ...scopeParams)) if (test(p)) return p;
+    return null;
+  };
+  const sectionLike = db.prepare(`
+    SELECT * FROM provisions
+    WHERE section LIKE ? AND ${CURRENT}${where}
+    ORDER BY id
+  `);
+  const contentLike = db.prepare(`
+    SELECT * FROM provisions
+    WHERE content LIKE ? AND ${CURRENT}${where}
+    ORDER BY id
+  `);
+
+  for (const section of parsed.sections) {
+    const ancestors = sectionAncestors(section);
+
+    for (const [i, s] of ancestors.entries()) {
+      const match = i === 0 ? 'exact' : 'parent';
+      const hit = scoped.find(p => sectionMatches(p.section, s))
+        || first(sectionLike, `%${s}%`, p => sectionMatches(p.section, s));
+      if (hit) return { provision: hit, match };
+    }
+
+    // A section the chunker didn't split on still heads its own text.
+    // Only trust this for specific numbers — "2.1" turns up everywhere.
+    if (section.includes('-') || section.split('.').length >= 3) {
+      const hit = scoped.find(p => opensWithSection(p.content, section))
+        || first(contentLike, `%${section}%`, p => opensWithSection(p.content, section));
+      if (hit) return { provision: hit, match: 'fuzzy' };
+    }
+  }
+
+  if (parsed.chapter) {
+    const hit = candidates.find(p => p.source === parsed.source && (p.chapter === parsed.chapter || p.chapter?.startsWith(`${parsed.chapter}, `)))
+      || db.prepare(`SELECT * FROM provisions WHERE source = ? AND (chapter = ? OR chapter LIKE ?) AND ${CURRENT} ORDER BY id LIMIT 1`)
+        .get(parsed.source, parsed.chapter, `${parsed.chapter}, %`);
+    if (hit) return { provision: hit, match: 'chapter' };
+  }
+
+  return null;
+}
+
+/**
+ * Hash of the parts of a provision that make it a different version.
+ * Keywords, level and parent links are derived, so changing them isn't an amendment.
+ */
+function provisionHash(p) {
+  return crypto.createHash('sha256')
+    .update(JSON.stringify([p.chapter_title || null, p.section_title || null, p.content]))
+    .digest('hex')
+    .slice(0, 16);
+}
+
 /**
  * Insert a provision into the database
  */
-function insertProvision({ source, chapter, chapter_title, section, section_title, content, summary, pdf_url, keywords }) {
+function insertProvision({ source, chapter, chapter_title, section, section_title, parent_section, level, content, summary, pdf_url, keywords, designations }) {
   const db = getDb();
   return db.prepare(`
-    INSERT INTO provisions (source, chapter, chapter_title, section, section_title, content, summary, pdf_url, keywords)
-    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
-  `).run(source, chapter, chapter_title, section, section_title, content, summary || null, pdf_url || null, keywords || null);
+    INSERT INTO provisions (source, chapter, chapter_title, section, section_title, parent_section, level, content, summary, pdf_url, keywords, designations, content_hash, valid_from)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, datetime('now'))
+  `).run(source, chapter, chapter_title, section, section_title, parent_section || null, level || null, content, summary || null, pdf_url || null, keywords || null,
+    designations || null, provisionHash({ chapter_title, section_title, content }));
 }
 
 /**
@@ -177,8 +609,8 @@ function insertProvision({ source, chapter, chapter_title, section, section_titl
 function bulkInsert(provisions) {
   const db = getDb();
   const insert = db.prepare(`
-    INSERT INTO provisions (source, chapter, chapter_title, section, section_title, content, summary, pdf_url, keywords)
-    VALUES (@source, @chapter, @chapter_title, @section, @section_title, @content, @summary, @pdf_url, @keywords)
+    INSERT INTO provisions (source, chapter, chapter_title, section, section_title, parent_section, level, content, summary, pdf_url, keywords, designations, content_hash, valid_from)
+    VALUES (@source, @chapter, @chapter_title, @section, @section_title, @parent_section, @level, @content, @summary, @pdf_url, @keywords, @designations, @content_hash, datetime('now'))
   `);
 
   const tx = db.transaction((items) => {
@@ -189,10 +621,14 @@ function bulkInsert(provisions) {
         chapter_title: item.chapter_title,
         section: item.section || null,
         section_title: item.section_title || null,
+        parent_section: item.parent_section || null,
+        level: item.level || null,
         content: item.content,
         summary: item.summary || null,
         pdf_url: item.pdf_url || null,
         keywords: item.keywords || null,
+        designations: item.designations || null,
+        content_hash: provisionHash(item),
       });
     }
   });
@@ -201,22 +637,380 @@ function bulkInsert(provisions) {
   return provisions.length;
 }
 
+/**
+ * Bring the provisions parsed from one document (source + pdf_url) up to
+ * date with a fresh parse, keeping history instead of duplicating rows:
+ *
+ *   added     — a section we haven't seen: inserted
+ *   amended   — a section whose text changed: the old text is kept as a
+ *               closed version (valid_to = now, version_of = the current
+ *               row's id) and the current row is
+ *               updated in place, so its id and position stay the same
+ *   repealed  — a section no longer in the document: closed (valid_to = now)
+ *   unchanged — left alone (derived fields like keywords and designations are refreshed)
+ *
+ * Sections are matched on chapter + section number; chunked documents that
+ * repeat a number are matched by occurrence.
+ *
+ * With { dryRun: true } nothing is written. Returns
+ * { added: [...], amended: [...], repealed: [...], unchanged: n } where each
+ * entry is { chapter, section, section_title }.
+ */
+function syncProvisions(source, pdfUrl, provisions, { dryRun = false } = {}) {
+  const db = getDb();
+
+  const keyed = (rows) => {
+    const seen = new Map();
+    return new Map(rows.map(r => {
+      const base = `${r.chapter || ''}|${r.section || ''}`;
+      const n = (seen.get(base) || 0) + 1;
+      seen.set(base, n);
+      return [n > 1 ? `${base}#${n}` : base, r];
+    }));
+  };
+
+  const existing = keyed(db.prepare(`
+    SELECT * FROM provisions WHERE source = ? AND pdf_url IS ? AND ${CURRENT} ORDER BY id
+  `).all(source, pdfUrl));
+  const incoming = keyed(provisions.map(p => ({ ...p, source, pdf_url: pdfUrl, content_hash: provisionHash(p) })));
+
+  const brief = (p) => ({ chapter: p.chapter, section: p.section, section_title: p.section_title || null });
+  const report = { added: [], amended: [], repealed: [], unchanged: 0 };
+  const plan = { insert: [], amend: [], repeal: [], touch: [] };
+
+  for (const [key, p] of incoming) {
+    const old = existing.get(key);
+    if (!old) {
+      plan.insert.push(p);
+      report.added.push(brief(p));
+    } else if ((old.content_hash || provisionHash(old)) !== p.content_hash) {
+      plan.amend.push({ old, p });
+      report.amended.push(brief(p));
+    } else {
+      plan.touch.push({ old, p });
+      report.unchanged++;
+    }
+  }
+  for (const [key, old] of existing) {
+    if (!incoming.has(key)) {
+      plan.repeal.push(old);
+      report.repealed.push(brief(old));
+    }
+  }
+
+  if (dryRun) return report;
+
+  const archive = db.prepare(`
+    INSERT INTO provisions (source, chapter, chapter_title, section, section_title, parent_section, level, content, summary, pdf_url, keywords, designations, content_hash, valid_from, valid_to, version_of, created_at, updated_at)
+    SELECT source, chapter, chapter_title, section, section_title, parent_section, level, content, summary, pdf_url, keywords, designations,
+           COALESCE(content_hash, ?), COALESCE(valid_from, created_at), datetime('now'), id, created_at, updated_at
+    FROM provisions WHERE id = ?
+  `);
+  const amend = db.prepare(`
+    UPDATE provisions SET chapter_title = @chapter_title, section_title = @section_title, parent_section = @parent_section,
+      level = @level, content = @content, keywords = @keywords, designations = @designations, content_hash = @content_hash,
+      valid_from = datetime('now'), updated_at = datetime('now')
+    WHERE id = @id
+  `);
+  const touch = db.prepare(`
+    UPDATE provisions SET parent_section = @parent_section, level = @level, keywords = @keywords, designations = @designations, content_hash = @content_hash
+    WHERE id = @id AND (parent_section IS NOT @parent_section OR level IS NOT @level OR keywords IS NOT @keywords
+      OR designations IS NOT @designations OR content_hash IS NOT @content_hash)
+  `);
+  const repeal = db.prepare(`UPDATE provisions SET valid_to = datetime('now'), updated_at = datetime('now') WHERE id = ?`);
+
+  const fields = (id, p) => ({
+    id,
+    chapter_title: p.chapter_title || null,
+    section_title: p.section_title || null,
+    parent_section: p.parent_section || null,
+    level: p.level || null,
+    content: p.content,
+    keywords: p.keywords || null,
+    designations: p.designations || null,
+    content_hash: p.content_hash,
+  });
+
+  db.transaction(() => {
+    for (const { old, p } of plan.amend) {
+      archive.run(provisionHash(old), old.id);
+      amend.run(fields(old.id, p));
+    }
+    for (const { old, p } of plan.touch) touch.run(fields(old.id, p));
+    for (const old of plan.repeal) repeal.run(old.id);
+    if (plan.insert.length) bulkInsert(plan.insert);
+  })();
+
+  vectorCache = null;
+  return report;
+}
+
 /**
  * Get stats about the code database
  */
 function getCodeStats() {
   const db = getDb();
-  const total = db.prepare('SELECT COUNT(*) as count FROM provisions').get();
-  const bySrc = db.prepare('SELECT source, COUNT(*) as count FROM provisions GROUP BY source ORDER BY count DESC').all();
-  const byChapter = db.prepare('SELECT chapter, chapter_title, COUNT(*) as count FROM provisions GROUP BY chapter ORDER BY count DESC LIMIT 20').all();
+  const total = db.prepare(`SELECT COUNT(*) as count FROM provisions WHERE ${CURRENT}`).get();
+  const historical = db.prepare(`SELECT COUNT(*) as count FROM provisions WHERE NOT ${CURRENT}`).get();
+  const bySrc = db.prepare(`SELECT source, COUNT(*) as count FROM provisions WHERE ${CURRENT} GROUP BY source ORDER BY count DESC`).all();
+  const byChapter = db.prepare(`SELECT source, chapter, chapter_title, COUNT(*) as count FROM provisions WHERE ${CURRENT} GROUP BY source, chapter ORDER BY count DESC LIMIT 20`).all();
 
   return {
     total_provisions: total.count,
+    historical_versions: historical.count,
     by_source: bySrc,
     top_chapters: byChapter,
   };
 }
 
+/**
+ * Official Plan land-use designations in use, with how many current
+ * provisions are tagged with each
+ */
+function listDesignations() {
+  const db = getDb();
+  const counts = new Map();
+  const rows = db.prepare(`SELECT designations FROM provisions WHERE designations IS NOT NULL AND ${CURRENT}`).all();
+  for (const row of rows) {
+    for (const d of splitList(row.designations)) counts.set(d, (counts.get(d) || 0) + 1);
+  }
+  return [...counts].map(([name, count]) => ({ name, count })).sort((a, b) => b.count - a.count);
+}
+
+/**
+ * Get a single provision by id, with enough context to navigate from it:
+ * the previous/next provision in the same chapter (document order), and
+ * the parent and children when a structured parser recorded them.
+ */
+function getProvision(id) {
+  const db = getDb();
+  const provision = db.prepare('SELECT * FROM provisions WHERE id = ?').get(id);
+  if (!provision) return null;
+
+  const brief = 'id, section, section_title, level';
+  const sameChapter = `source = ? AND chapter IS ? AND ${CURRENT}`;
+
+  const prev = db.prepare(`SELECT ${brief} FROM provisions WHERE ${sameChapter} AND id < ? ORDER BY id DESC LIMIT 1`)
+    .get(provision.source, provision.chapter, provision.id) || null;
+  const next = db.prepare(`SELECT ${brief} FROM provisions WHERE ${sameChapter} AND id > ? ORDER BY id ASC LIMIT 1`)
+    .get(provision.source, provision.chapter, provision.id) || null;
+
+  const parent = provision.parent_section
+    ? db.prepare(`SELECT ${brief} FROM provisions WHERE source = ? AND section = ? AND ${CURRENT} ORDER BY id LIMIT 1`)
+      .get(provision.source, provision.parent_section) || null
+    : null;
+  const children = provision.section
+    ? db.prepare(`SELECT ${brief} FROM provisions WHERE source = ? AND parent_section = ? AND ${CURRENT} ORDER BY id`)
+      .all(provision.source, provision.section)
+    : [];
+
+  return { ...provision, parent, children, prev, next };
+}
+
+/**
+ * All versions of the section a provision belongs to, oldest first. Any
+ * version's id works. Returns { head, versions } where head is the row that
+ * carries the section now (current, or closed if repealed), or null.
+ */
+function sectionVersions(id) {
+  const db = getDb();
+  const row = db.prepare('SELECT id, version_of FROM provisions WHERE id = ?').get(id);
+  if (!row) return null;
+
+  const headId = row.version_of || row.id;
+  const versions = db.prepare(`
+    SELECT * FROM provisions WHERE id = ? OR version_of = ? ORDER BY valid_from, id
+  `).all(headId, headId);
+  return { head: versions.find(v => v.id === headId), versions };
+}
+
+// Past this many LCS cells (rows × columns), diffWords() stops looking for
+// common words and reports the changed middle as one replacement
+const MAX_DIFF_CELLS = 4000000;
+
+/**
+ * Word-level diff: [{ op: 'equal' | 'delete' | 'insert', text }], with
+ * whitespace kept so the parts join back into either text
+ */
+function diffWords(before, after) {
+  const tokens = (text) => String(text || '').match(/\s+|[^\s]+/g) || [];
+  const a = tokens(before);
+  const b = tokens(after);
+
+  const ops = [];
+  const push = (op, text) => {
+    if (!text) return;
+    const last = ops[ops.length - 1];
+    if (last && last.op === op) last.text += text;
+    else ops.push({ op, text });
+  };
+
+  // Amendments usually touch a few words — trim the common head and tail first
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) { endA--; endB--; }
+
+  push('equal', a.slice(0, start).join(''));
+
+  const midA = a.slice(start, endA);
+  const midB = b.slice(start, endB);
+  if (midA.length * midB.length > MAX_DIFF_CELLS) {
+    push('delete', midA.join(''));
+    push('insert', midB.join(''));
+  } else {
+    // lcs[i][j] = longest common subsequence of midA[i..] and midB[j..]
+    const lcs = Array.from({ length: midA.length + 1 }, () => new Uint32Array(midB.length + 1));
+    for (let i = midA.length - 1; i >= 0; i--) {
+      for (let j = midB.length - 1; j >= 0; j--) {
+        lcs[i][j] = midA[i] === midB[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+      }
+    }
+    let i = 0;
+    let j = 0;
+    while (i < midA.length && j < midB.length) {
+      if (midA[i] === midB[j]) { push('equal', midA[i]); i++; j++; }
+      else if (lcs[i + 1][j] >= lcs[i][j + 1]) push('delete', midA[i++]);
+      else push('insert', midB[j++]);
+    }
+    while (i < midA.length) push('delete', midA[i++]);
+    while (j < midB.length) push('insert', midB[j++]);
+  }
+
+  push('equal', a.slice(endA).join(''));
+  return ops;
+}
+
+/**
+ * How a section's text changed over time: every version, oldest first, each
+ * with a word diff against the one before it. Returns null if the
+ * provision doesn't exist.
+ */
+function getSectionHistory(id) {
+  const lineage = sectionVersions(id);
+  if (!lineage) return null;
+  const { head, versions } = lineage;
+
+  return {
+    provision_id: head.id,
+    source: head.source,
+    chapter: head.chapter,
+    section: head.section,
+    reference: formatReference(head),
+    status: head.valid_to ? 'repealed' : 'current',
+    versions: versions.map((v, i) => {
+      const prev = versions[i - 1];
+      return {
+        id: v.id,
+        section_title: v.section_title,
+        content: v.content,
+        content_hash: v.content_hash,
+        pdf_url: v.pdf_url,
+        valid_from: v.valid_from,
+        valid_to: v.valid_to,
+        changes: prev ? diffWords(prev.content, v.content) : null,
+        title_changed: prev ? prev.section_title !== v.section_title : false,
+      };
+    }),
+  };
+}
+
+/**
+ * The version of a provision a trace was made against: the one with the
+ * content hash the trace recorded or, for traces saved before hashes were,
+ * the one in force when the trace was made (`asOf`).
+ *
+ * Returns { provision, status } or null, where status says what has
+ * happened to the section since: 'current', 'amended' or 'repealed'.
+ */
+function findVersion(id, { contentHash = null, asOf = null } = {}) {
+  const lineage = sectionVersions(id);
+  if (!lineage) return null;
+  const { head, versions } = lineage;
+
+  const at = asOfTime(asOf);
+  const inForce = (v) => at && v.valid_from <= at && (!v.valid_to || v.valid_to > at);
+  const sameText = (v) => contentHash && v.content_hash === contentHash;
+
+  const provision = versions.find(v => sameText(v) && inForce(v))
+    || versions.find(sameText)
+    || versions.find(inForce)
+    || head;
+
+  let status = 'current';
+  if (head.valid_to) status = 'repealed';
+  else if (provision.content_hash !== head.content_hash) status = 'amended';
+
+  return { provision, status };
+}
+
+/**
+ * List the chapters of a source in document order
+ */
+function listChapters(source) {
+  const db = getDb();
+  return db.prepare(`
+    SELECT chapter, chapter_title, COUNT(*) as count, MIN(id) as first_id
+    FROM provisions
+    WHERE source = ? AND ${CURRENT}
+    GROUP BY chapter
+    ORDER BY MIN(id)
+  `).all(source);
+}
+
+/**
+ * Sources that hold a given chapter (e.g. 'Chapter 40' exists in both
+ * the Municipal Code and the Zoning By-law)
+ */
+function getChapterSources(chapter) {
+  const db = getDb();
+  return db.prepare(`SELECT DISTINCT source FROM provisions WHERE chapter = ? AND ${CURRENT} ORDER BY source`).all(chapter).map(r => r.source);
+}
+
+/**
+ * Page through a chapter's provisions in document order, with links to
+ * the neighbouring chapters of the same source.
+ */
+function getChapter(chapter, source, { offset = 0, limit = 50 } = {}) {
+  const db = getDb();
+
+  const info = db.prepare(`
+    SELECT chapter, chapter_title, COUNT(*) as total, MIN(id) as first_id
+    FROM provisions WHERE source = ? AND chapter = ? AND ${CURRENT}
+  `).get(source, chapter);
+  if (!info || info.total === 0) return null;
+
+  const sections = db.prepare(`
+    SELECT id, section, section_title, parent_section, level, content, pdf_url
+    FROM provisions
+    WHERE source = ? AND chapter = ? AND ${CURRENT}
+    ORDER BY id
+    LIMIT ? OFFSET ?
+  `).all(source, chapter, limit, offset);
+
+  const neighbour = (op, dir) => db.prepare(`
+    SELECT chapter, chapter_title FROM provisions
+    WHERE source = ? AND chapter != ? AND ${CURRENT}
+    GROUP BY chapter
+    HAVING MIN(id) ${op} ?
+    ORDER BY MIN(id) ${dir}
+    LIMIT 1
+  `).get(source, chapter, info.first_id) || null;
+
+  return {
+    source,
+    chapter: info.chapter,
+    chapter_title: info.chapter_title,
+    total: info.total,
+    offset,
+    limit,
+    sections,
+    prev_chapter: neighbour('<', 'DESC'),
+    next_chapter: neighbour('>', 'ASC'),
+  };
+}
+
 /**
  * Check if a source has been ingested
  */
@@ -226,17 +1020,72 @@ function isIngested(source, chapter) {
   return !!row;
 }
 
-function logIngestion(source, chapter, count) {
+/**
+ * Hash of the document the last successful ingestion of a chapter parsed
+ * (null if never ingested, or ingested before hashes were recorded)
+ */
+function lastIngestedHash(source, chapter) {
   const db = getDb();
-  db.prepare('INSERT INTO ingestion_log (source, chapter, provisions_count) VALUES (?, ?, ?)').run(source, chapter, count);
+  const row = db.prepare(`
+    SELECT content_hash FROM ingestion_log WHERE source = ? AND chapter = ? AND status = 'completed'
+    ORDER BY id DESC LIMIT 1
+  `).get(source, chapter);
+  return row ? row.content_hash : null;
+}
+
+function logIngestion(source, chapter, count, { contentHash = null, added = 0, amended = 0, repealed = 0, quality = null } = {}) {
+  const db = getDb();
+  db.prepare(`
+    INSERT INTO ingestion_log (source, chapter, provisions_count, content_hash, added, amended, repealed, quality)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(source, chapter, count, contentHash, added, amended, repealed, quality ? JSON.stringify(quality) : null);
+}
+
+/**
+ * The latest quality report for each ingested chapter, worst first:
+ * chapters flagged as needing a dedicated parser, then by share of
+ * provisions without a real section number.
+ */
+function getIngestionQuality({ source = null, flagged = false } = {}) {
+  const db = getDb();
+  const rows = db.prepare(`
+    SELECT source, chapter, provisions_count, quality, created_at FROM ingestion_log l
+    WHERE quality IS NOT NULL ${source ? 'AND source = ?' : ''}
+      AND id = (SELECT MAX(id) FROM ingestion_log WHERE source = l.source AND chapter IS l.chapter AND quality IS NOT NULL)
+  `).all(...(source ? [source] : []));
+
+  const chapters = rows
+    .map(r => ({ source: r.source, chapter: r.chapter, ingested_at: r.created_at, ...JSON.parse(r.quality) }))
+    .filter(c => !flagged || c.needs_parser);
+  const unnumberedShare = (c) => (c.provisions ? 1 - c.numbered / c.provisions : 0);
+  chapters.sort((a, b) => (b.needs_parser - a.needs_parser) || (unnumberedShare(b) - unnumberedShare(a)));
+  return chapters;
 }
 
 module.exports = {
+  DB_PATH,
   getDb,
+  SEARCH_MODES,
+  asOfTime,
   searchProvisions,
+  ensureEmbeddings,
   insertProvision,
   bulkInsert,
+  syncProvisions,
   getCodeStats,
+  listDesignations,
+  getProvision,
+  getSectionHistory,
+  findVersion,
+  listChapters,
+  getChapterSources,
+  getChapter,
+  parseCodeRef,
+  normalizeSection,
+  formatReference,
+  resolveCodeRef,
   isIngested,
+  lastIngestedHash,
   logIngestion,
+  getIngestionQuality,
 };
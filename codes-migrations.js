@@ -0,0 +1,276 @@
+/**
+ * codes-migrations.js — Schema migrations for codes.db
+ *
+ * In order, one per change to the schema (see migrations.js). codes-db.js
+ * applies them when it opens the database.
+ */
+
+const { addColumn } = require('./migrations');
+
+module.exports = [
+  {
+    version: 1,
+    name: 'provisions',
+    up(db) {
+      db.exec(`
+        -- Main table for code provisions
+        CREATE TABLE IF NOT EXISTS provisions (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          source TEXT NOT NULL,          -- 'municipal_code', 'zoning_bylaw', 'official_plan', 'bylaw', 'ttc', 'ontario_statute', 'building_code', 'council_decision'
+          chapter TEXT,                  -- e.g. 'Chapter 591' or 'Part 15.10'
+          chapter_title TEXT,            -- e.g. 'Noise' or 'Parking Minimums'
+          section TEXT,                  -- e.g. '591-2.1' or '15.10.40.70'
+          section_title TEXT,            -- e.g. 'Prohibited noise levels'
+          content TEXT NOT NULL,         -- The actual provision text
+          summary TEXT,                  -- Plain-language summary (optional, AI-generated)
+          pdf_url TEXT,                  -- Source URL for verification
+          keywords TEXT,                 -- Extra searchable terms
+          created_at TEXT DEFAULT (datetime('now')),
+          updated_at TEXT DEFAULT (datetime('now'))
+        );
+
+        -- FTS5 virtual table for fast full-text search
+        CREATE VIRTUAL TABLE IF NOT EXISTS provisions_fts USING fts5(
+          chapter_title,
+          section_title,
+          content,
+          summary,
+          keywords,
+          content=provisions,
+          content_rowid=id,
+          tokenize='porter unicode61'
+        );
+
+        -- Triggers to keep FTS in sync
+        CREATE TRIGGER IF NOT EXISTS provisions_ai AFTER INSERT ON provisions BEGIN
+          INSERT INTO provisions_fts(rowid, chapter_title, section_title, content, summary, keywords)
+          VALUES (new.id, new.chapter_title, new.section_title, new.content, new.summary, new.keywords);
+        END;
+
+        CREATE TRIGGER IF NOT EXISTS provisions_ad AFTER DELETE ON provisions BEGIN
+          INSERT INTO provisions_fts(provisions_fts, rowid, chapter_title, section_title, content, summary, keywords)
+          VALUES ('delete', old.id, old.chapter_title, old.section_title, old.content, old.summary, old.keywords);
+        END;
+
+        CREATE TRIGGER IF NOT EXISTS provisions_au AFTER UPDATE ON provisions BEGIN
+          INSERT INTO provisions_fts(provisions_fts, rowid, chapter_title, section_title, content, summary, keywords)
+          VALUES ('delete', old.id, old.chapter_title, old.section_title, old.content, old.summary, old.keywords);
+          INSERT INTO provisions_fts(rowid, chapter_title, section_title, content, summary, keywords)
+          VALUES (new.id, new.chapter_title, new.section_title, new.content, new.summary, new.keywords);
+        END;
+
+        -- Indexes for common queries
+        CREATE INDEX IF NOT EXISTS idx_provisions_source ON provisions(source);
+        CREATE INDEX IF NOT EXISTS idx_provisions_chapter ON provisions(chapter);
+
+        -- Metadata table for tracking ingestion state
+        CREATE TABLE IF NOT EXISTS ingestion_log (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          source TEXT NOT NULL,
+          chapter TEXT,
+          status TEXT DEFAULT 'completed',
+          provisions_count INTEGER DEFAULT 0,
+          created_at TEXT DEFAULT (datetime('now'))
+        );
+      `);
+    },
+  },
+  {
+    // Numbered trees from the structured parsers (zoning-parser.js)
+    version: 2,
+    name: 'section_tree',
+    up(db) {
+      addColumn(db, 'provisions', 'parent_section TEXT');   // e.g. '15.10.40' for '15.10.40.70'
+      addColumn(db, 'provisions', 'level TEXT');            // 'chapter', 'section', 'article', 'clause', 'regulation'
+      db.exec(`CREATE INDEX IF NOT EXISTS idx_provisions_section ON provisions(source, section)`);
+    },
+  },
+  {
+    // Local term vectors for the vector half of hybrid search (see embeddings.js)
+    version: 3,
+    name: 'provision_embeddings',
+    up(db) {
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS provision_embeddings (
+          provision_id INTEGER PRIMARY KEY,
+          model TEXT NOT NULL,
+          vector BLOB NOT NULL
+        );
+
+        -- Drop a provision's vector when it goes away or its text changes;
+        -- ensureEmbeddings() recomputes whatever is missing
+        CREATE TRIGGER IF NOT EXISTS provisions_embed_ad AFTER DELETE ON provisions BEGIN
+          DELETE FROM provision_embeddings WHERE provision_id = old.id;
+        END;
+
+        CREATE TRIGGER IF NOT EXISTS provisions_embed_au AFTER UPDATE OF content, section_title, chapter_title ON provisions BEGIN
+          DELETE FROM provision_embeddings WHERE provision_id = old.id;
+        END;
+      `);
+    },
+  },
+  {
+    // Shared citizen-language ↔ legal-concept vocabulary (see vocabulary.js)
+    version: 4,
+    name: 'vocabulary',
+    up(db) {
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS vocabulary_concepts (
+          name TEXT PRIMARY KEY,
+          expansion TEXT,                          -- legal search terms a story match adds
+          created_at TEXT DEFAULT (datetime('now'))
+        );
+
+        CREATE TABLE IF NOT EXISTS vocabulary_phrases (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          concept TEXT NOT NULL REFERENCES vocabulary_concepts(name),
+          phrase TEXT NOT NULL,                    -- word or phrase; trailing * = prefix match
+          scope TEXT NOT NULL DEFAULT 'story',     -- 'story' (query expansion) or 'provision' (keyword tagging)
+          weight REAL NOT NULL DEFAULT 1,
+          created_at TEXT DEFAULT (datetime('now')),
+          UNIQUE(concept, phrase, scope)
+        );
+      `);
+    },
+  },
+  {
+    // Change detection on refresh, and amended/repealed provisions kept as
+    // closed versions (valid_to = NULL is the version in force)
+    version: 5,
+    name: 'provision_history',
+    up(db) {
+      addColumn(db, 'provisions', 'content_hash TEXT');     // hash of the text, to spot amendments
+      addColumn(db, 'provisions', 'valid_to TEXT');         // when it was amended or repealed
+      if (addColumn(db, 'provisions', 'valid_from TEXT')) { // when this version was first ingested
+        db.exec(`UPDATE provisions SET valid_from = created_at WHERE valid_from IS NULL`);
+      }
+      db.exec(`CREATE INDEX IF NOT EXISTS idx_provisions_document ON provisions(source, pdf_url)`);
+
+      addColumn(db, 'ingestion_log', 'content_hash TEXT');  // sha256 of the source document the run parsed
+      addColumn(db, 'ingestion_log', 'added INTEGER DEFAULT 0');
+      addColumn(db, 'ingestion_log', 'amended INTEGER DEFAULT 0');
+      addColumn(db, 'ingestion_log', 'repealed INTEGER DEFAULT 0');
+    },
+  },
+  {
+    version: 6,
+    name: 'provision_versions',
+    up(db) {
+      // For a superseded version: the id that carries the section now
+      if (addColumn(db, 'provisions', 'version_of INTEGER')) {
+        // Link versions archived before the column existed: an archived copy has a
+        // higher id than the row it was copied from, which took over when it closed
+        db.exec(`
+          UPDATE provisions SET version_of = (
+            SELECT c.id FROM provisions c
+            WHERE c.source = provisions.source AND c.pdf_url IS provisions.pdf_url
+              AND c.chapter IS provisions.chapter AND c.section IS provisions.section
+              AND c.id < provisions.id AND c.valid_from >= provisions.valid_to
+            ORDER BY c.id LIMIT 1
+          )
+          WHERE valid_to IS NOT NULL
+        `);
+      }
+      db.exec(`CREATE INDEX IF NOT EXISTS idx_provisions_version_of ON provisions(version_of)`);
+    },
+  },
+  {
+    // Official Plan land-use designations, e.g. 'Neighbourhoods, Mixed Use Areas'
+    version: 7,
+    name: 'designations',
+    up(db) {
+      addColumn(db, 'provisions', 'designations TEXT');
+    },
+  },
+  {
+    // JSON: how each document was split and what looked wrong
+    version: 8,
+    name: 'ingestion_quality',
+    up(db) {
+      addColumn(db, 'ingestion_log', 'quality TEXT');
+    },
+  },
+  {
+    // Ingestion runs and their documents, checkpointed as they go (see ingest-jobs.js)
+    version: 9,
+    name: 'ingest_jobs',
+    up(db) {
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS ingest_jobs (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          status TEXT NOT NULL DEFAULT 'queued',   -- queued, running, completed, failed, interrupted
+          options TEXT NOT NULL,                   -- JSON: sources, refresh, force, concurrency, ...
+          discovered TEXT,                         -- comma-separated sources whose documents are listed below
+          pid INTEGER,                             -- process running it
+          error TEXT,
+          created_at TEXT DEFAULT (datetime('now')),
+          started_at TEXT,
+          heartbeat_at TEXT,
+          finished_at TEXT
+        );
+
+        CREATE TABLE IF NOT EXISTS ingest_job_items (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          job_id INTEGER NOT NULL REFERENCES ingest_jobs(id),
+          source TEXT NOT NULL,
+          chapter TEXT NOT NULL,
+          doc TEXT NOT NULL,                       -- JSON: the document as discover() listed it
+          status TEXT NOT NULL DEFAULT 'pending',  -- pending, running, done, unchanged, skipped, empty, failed
+          attempts INTEGER DEFAULT 0,              -- fetch attempts, including retries
+          provisions INTEGER DEFAULT 0,
+          error TEXT,
+          updated_at TEXT DEFAULT (datetime('now')),
+          UNIQUE(job_id, source, chapter)
+        );
+        CREATE INDEX IF NOT EXISTS idx_ingest_job_items_job ON ingest_job_items(job_id, status);
+      `);
+    },
+  },
+  {
+    // Defined terms and the provisions that use them (see definitions.js)
+    version: 10,
+    name: 'definitions',
+    up(db) {
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS definitions (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          term TEXT NOT NULL,                      -- as the glossary shows it, e.g. 'lot frontage'
+          term_key TEXT NOT NULL,                  -- lowercased, for lookups
+          definition TEXT NOT NULL,
+          source TEXT NOT NULL,
+          scope TEXT NOT NULL,                     -- chapter the term applies in, or '*' for the whole source
+          provision_id INTEGER NOT NULL,           -- the provision that defines it
+          created_at TEXT DEFAULT (datetime('now')),
+          updated_at TEXT DEFAULT (datetime('now')),
+          UNIQUE(source, scope, term_key)
+        );
+
+        CREATE TABLE IF NOT EXISTS definition_uses (
+          definition_id INTEGER NOT NULL REFERENCES definitions(id),
+          provision_id INTEGER NOT NULL,           -- a current provision whose text uses the term
+          PRIMARY KEY (definition_id, provision_id)
+        );
+        CREATE INDEX IF NOT EXISTS idx_definition_uses_provision ON definition_uses(provision_id);
+      `);
+    },
+  },
+  {
+    // Citations between provisions, e.g. "despite Chapter 591" (see cross-references.js)
+    version: 11,
+    name: 'provision_references',
+    up(db) {
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS provision_references (
+          from_id INTEGER NOT NULL,                -- the citing provision
+          cited TEXT NOT NULL,                     -- the citation as written, e.g. 'Clause 10.10.40.70(3)'
+          relation TEXT NOT NULL,                  -- subject_to, despite, except, amends, in_accordance_with, refers
+          target TEXT,                             -- what it cites, as formatReference() writes it
+          to_id INTEGER,                           -- the provision it resolves to (NULL = not indexed)
+          match TEXT,                              -- 'exact', 'parent' (an enclosing section) or 'chapter'
+          PRIMARY KEY (from_id, cited)
+        );
+        CREATE INDEX IF NOT EXISTS idx_provision_references_to ON provision_references(to_id);
+      `);
+    },
+  },
+];
@@ -0,0 +1,341 @@
+/**
+ * cross-references.js — Citations between provisions
+ *
+ * Provisions constantly point at each other: "subject to § 591-3.1",
+ * "despite Clause 10.10.40.70(3)", "section 34 of the Planning Act". Each
+ * chunk is stored on its own, so after each ingestion run
+ * rebuildReferences() reads those citations out of the current provisions
+ * into `provision_references` — one edge per citation, resolved to the
+ * provision it names when that's indexed.
+ *
+ * Citations recognised:
+ *   - § 591-2.1 / Section 591-2.1           → Municipal Code section
+ *   - Chapter 591                           → Municipal Code chapter (a
+ *                                             zoning chapter when cited from
+ *                                             the Zoning By-law)
+ *   - Section / Clause / Regulation / Article / Sentence / Policy 10.5.40.10(1)
+ *                                           → a section of the citing source
+ *   - section 8 / s. 34(2)                  → a section of the same Act,
+ *                                             by-law or standard, or of
+ *                                             "... of the Planning Act"
+ *   - the Planning Act / By-law 1234-2019   → that statute or by-law
+ * Relative citations ("Sentence (2)", "this Chapter") are left out.
+ *
+ * Each edge carries the relation the text gives it, from the words just
+ * before the citation (or "is amended" just after): subject_to, despite,
+ * except, amends, in_accordance_with or refers. Trace retrieval uses the
+ * edges to bring in what a retrieved provision defers to or overrides
+ * (referencedProvisions).
+ */
+
+const codesDb = require('./codes-db');
+
+const NUMBER = String.raw`\d+(?:\.\d+)+(?:\(\w{1,4}\))*`;
+const LIST = (item) => String.raw`(${item}(?:(?:\s*,\s*|\s+(?:and|or|to)\s+)${item})*)`;
+
+// "Clauses 10.10.40.10(1) and 10.10.40.20" — a section of the citing source
+const DOTTED_CITE_RE = new RegExp(String.raw`\b(Sections?|Clauses?|Regulations?|Articles?|Sentences?|Subsections?|Polic(?:y|ies)|ss?\.)\s+${LIST(NUMBER)}`, 'gi');
+
+// "§ 591-2.1", "Section 591-2.1" — Municipal Code sections carry their chapter
+const MUNICIPAL_CITE_RE = /(§+\s*|\b(?:Sections?|Articles?|Subsections?)\s+)(\d{1,4}-\d+(?:\.\d+)*[A-Z]?)(?![\d-])/gi;
+
+const CHAPTER_CITE_RE = /\bChapters?\s+(\d{1,4})(?![\d-]|\.\d)/gi;
+
+// "Planning Act", "City of Toronto Act" — stops at the first "Act"
+const ACT_NAME = String.raw`(?!Act\b)[A-Z][a-z]+(?:\s+(?:(?!Act\b)[A-Z][a-z]+|of|and))*\s+Act`;
+
+// "sections 7 and 8", "s. 34(2) of the Planning Act"
+const STATUTE_CITE_RE = new RegExp(String.raw`\b([Ss]ections?|[Ss]ubsections?|ss?\.)\s+((?:\d{1,3}(?:\.\d)?)(?:\s*\(\d+\))?(?:(?:\s*,\s*|\s+(?:and|or|to)\s+)\d{1,3}(?:\.\d)?(?:\s*\(\d+\))?)*)(?![\d-]|\.\d)(?:\s+(?:of|under)\s+the\s+(${ACT_NAME}))?`, 'g');
+
+const ACT_CITE_RE = new RegExp(String.raw`\bthe\s+(${ACT_NAME})\b`, 'g');
+const BYLAW_CITE_RE = /\bBy-?law\s+(?:No\.\s*)?(\d{1,4}-\d{4})\b/gi;
+
+// Sources whose plain section numbers ("section 8") restart in each document
+const NUMBERED_SOURCES = new Set(['ontario_statute', 'bylaw', 'ttc']);
+
+// Zoning sections are unique across the by-law, Official Plan ones across the Plan
+const SOURCE_WIDE_SECTIONS = new Set(['zoning_bylaw', 'official_plan']);
+
+const RELATIONS = [
+  ['subject_to', /\bsubject\s+to\s+(?:the\s+)?(?:provisions\s+of\s+)?$/i],
+  ['despite', /\b(?:despite|notwithstanding)\s+(?:the\s+)?(?:provisions\s+of\s+)?$/i],
+  ['except', /\bexcept\s+(?:as\s+(?:provided|set\s+out|permitted)\s+)?(?:in|by|under)\s+$/i],
+  ['in_accordance_with', /\b(?:in\s+accordance\s+with|as\s+set\s+out\s+in|pursuant\s+to|under|complies\s+with|comply\s+with)\s+(?:the\s+)?$/i],
+];
+
+// Which edges trace retrieval follows first: overrides before plain mentions
+const RELATION_PRIORITY = ['despite', 'subject_to', 'except', 'amends', 'in_accordance_with', 'refers'];
+
+/**
+ * What the text around a citation says it does to the citing provision
+ */
+function relationAt(text, start, end) {
+  if (/^[\s,]*(?:is|are)\s+(?:hereby\s+)?(?:amended|repealed)\b/i.test(text.slice(end, end + 30))) return 'amends';
+  const before = text.slice(Math.max(0, start - 60), start).split(/[.;:]\s/).pop();
+  return RELATIONS.find(([, re]) => re.test(before))?.[0] || 'refers';
+}
+
+const splitList = (list) => list.split(/\s*,\s*|\s+(?:and|or|to)\s+/i).map(s => s.replace(/\s+/g, '')).filter(Boolean);
+
+/**
+ * The citations in a provision's text, as
+ * [{ cited, relation, source, chapter, section }] — chapter or section may
+ * be null. Citations of the provision's own chapter are left out.
+ */
+function extractReferences(provision) {
+  const text = provision.content;
+  const found = new Map();
+  const add = (m, target, cited) => {
+    if (target.source === provision.source && !target.section && target.chapter === provision.chapter) return;
+    const key = `${target.source}|${target.chapter || ''}|${target.section || ''}`;
+    const relation = relationAt(text, m.index, m.index + m[0].length);
+    // Cited twice: keep the strongest relation ("despite s. 8" over "under s. 8")
+    const seen = found.get(key);
+    if (seen && RELATION_PRIORITY.indexOf(seen.relation) <= RELATION_PRIORITY.indexOf(relation)) return;
+    found.set(key, { cited: cited.replace(/\s+/g, ' ').trim(), relation, ...target });
+  };
+
+  const scopedChapter = SOURCE_WIDE_SECTIONS.has(provision.source) ? null : provision.chapter;
+
+  for (const m of text.matchAll(MUNICIPAL_CITE_RE)) {
+    const chapter = `Chapter ${m[2].split('-')[0]}`;
+    add(m, { source: 'municipal_code', chapter, section: m[2] }, `${m[1].trim()} ${m[2]}`);
+  }
+
+  for (const m of text.matchAll(DOTTED_CITE_RE)) {
+    const keyword = m[1].replace(/s$/i, '').replace(/^ss\./i, 's.');
+    for (const section of splitList(m[2])) {
+      add(m, { source: provision.source, chapter: scopedChapter, section }, `${keyword} ${section}`);
+    }
+  }
+
+  for (const m of text.matchAll(STATUTE_CITE_RE)) {
+    const act = m[3] || null;
+    if (!act && !NUMBERED_SOURCES.has(provision.source)) continue;
+    const target = act ? { source: 'ontario_statute', chapter: act } : { source: provision.source, chapter: provision.chapter };
+    for (const number of splitList(m[2])) {
+      const section = number.replace(/\(\d+\)$/, '');
+      add(m, { ...target, section }, `${act ? `${act}, ` : ''}s. ${number}`);
+    }
+  }
+
+  for (const m of text.matchAll(CHAPTER_CITE_RE)) {
+    if (provision.source === 'official_plan') continue;
+    const source = provision.source === 'zoning_bylaw' ? 'zoning_bylaw' : 'municipal_code';
+    add(m, { source, chapter: `Chapter ${m[1]}`, section: null }, m[0]);
+  }
+
+  for (const m of text.matchAll(ACT_CITE_RE)) {
+    if (provision.source === 'ontario_statute' && provision.chapter?.startsWith(m[1])) continue;
+    if ([...found.values()].some(r => r.source === 'ontario_statute' && r.chapter === m[1])) continue;
+    add(m, { source: 'ontario_statute', chapter: m[1], section: null }, m[1]);
+  }
+
+  for (const m of text.matchAll(BYLAW_CITE_RE)) {
+    // 569-2013 is the Zoning By-law as a whole — nothing narrower to point at
+    if (m[1] === '569-2013') continue;
+    add(m, { source: 'bylaw', chapter: `By-law ${m[1]}`, section: null }, m[0]);
+  }
+
+  return [...found.values()];
+}
+
+/**
+ * "10.10.40.10(1)" → ["10.10.40.10(1)", "10.10.40.10", "10.10.40", "10.10"]
+ */
+function ancestors(section) {
+  const out = [section];
+  let s = section;
+  while (/\(\w+\)$|\.\d+[A-Z]?$/.test(s)) {
+    s = s.replace(/\(\w+\)$|\.\d+[A-Z]?$/, '');
+    out.push(s);
+  }
+  return out;
+}
+
+/**
+ * Lookup tables over the current provisions, for resolving many citations
+ * without a query each
+ */
+function buildIndex(db) {
+  const sections = new Map();
+  const chapters = new Map();
+  for (const p of db.prepare('SELECT id, source, chapter, section FROM provisions WHERE valid_to IS NULL ORDER BY id').iterate()) {
+    if (p.section) {
+      const key = `${p.source}\u0000${codesDb.normalizeSection(p.section)}`;
+      if (!sections.has(key)) sections.set(key, []);
+      sections.get(key).push(p);
+    }
+    const chapterKey = `${p.source}\u0000${p.chapter || ''}`;
+    if (!chapters.has(chapterKey)) chapters.set(chapterKey, p);
+  }
+  return { sections, chapters };
+}
+
+// "Planning Act" also names a chapter stored as "Planning Act, 1990"
+const inChapter = (stored, chapter) => stored === chapter || !!stored?.startsWith(`${chapter}, `);
+
+/**
+ * The provision a citation points at: { id, source, chapter, section, match } where match is 'exact',
+ * 'parent' (an enclosing section) or 'chapter', or null
+ */
+function resolve(index, target) {
+  if (target.section) {
+    for (const [i, section] of ancestors(target.section).entries()) {
+      const hits = (index.sections.get(`${target.source}\u0000${section}`) || [])
+        .filter(p => !target.chapter || SOURCE_WIDE_SECTIONS.has(target.source) || inChapter(p.chapter, target.chapter));
+      if (hits.length) return { ...hits[0], match: i === 0 ? 'exact' : 'parent' };
+    }
+  }
+  if (target.chapter) {
+    for (const [key, p] of index.chapters) {
+      if (key.startsWith(`${target.source}\u0000`) && inChapter(p.chapter, target.chapter)) return { ...p, match: 'chapter' };
+    }
+  }
+  return null;
+}
+
+function encloses(hit, p) {
+  if (hit.id === p.id) return true;
+  if (hit.match === 'chapter') return hit.source === p.source && hit.chapter === p.chapter;
+  return hit.source === p.source && !!p.section && ancestors(codesDb.normalizeSection(p.section)).includes(codesDb.normalizeSection(hit.section));
+}
+
+/**
+ * Re-read every citation in the current provisions and resolve it.
+ * Returns { references, resolved }.
+ */
+function rebuildReferences() {
+  const db = codesDb.getDb();
+  const index = buildIndex(db);
+
+  // Read first, write after — the text of a large database needn't all be in memory at once
+  const edges = [];
+  const provisions = db.prepare('SELECT id, source, chapter, section, content FROM provisions WHERE valid_to IS NULL');
+  for (const p of provisions.iterate()) {
+    for (const ref of extractReferences(p)) {
+      let hit = resolve(index, ref);
+      if (hit?.id === p.id && hit.match === 'exact') continue; // quoting its own number
+      // Falling back to the citing provision, a section enclosing it or its own
+      // chapter says nothing about where the citation leads
+      if (hit && hit.match !== 'exact' && encloses(hit, p)) hit = null;
+      const target = codesDb.formatReference({ source: ref.source, chapter: ref.chapter, section: ref.section });
+      edges.push([p.id, ref.cited, ref.relation, target, hit?.id ?? null, hit?.match ?? null]);
+    }
+  }
+
+  const insert = db.prepare(`
+    INSERT OR IGNORE INTO provision_references (from_id, cited, relation, target, to_id, match)
+    VALUES (?, ?, ?, ?, ?, ?)
+  `);
+  let references = 0;
+  let resolved = 0;
+  db.transaction(() => {
+    db.exec('DELETE FROM provision_references');
+    for (const edge of edges) {
+      const { changes } = insert.run(...edge);
+      references += changes;
+      if (changes && edge[4]) resolved++;
+    }
+  })();
+
+  return { references, resolved };
+}
+
+// ══════════════════════════════════════
+// Lookups
+// ══════════════════════════════════════
+
+const BRIEF = 'p.id, p.source, p.chapter, p.section, p.section_title, p.valid_to';
+const brief = (p) => p && { ...p, reference: codesDb.formatReference(p) };
+
+/**
+ * What a provision cites, in the order it cites them. Unresolved citations
+ * are included with provision: null. Returns null if there's no such provision.
+ */
+function referencesFrom(id) {
+  const db = codesDb.getDb();
+  const provision = db.prepare(`SELECT ${BRIEF} FROM provisions p WHERE p.id = ?`).get(id);
+  if (!provision) return null;
+
+  const rows = db.prepare(`
+    SELECT r.cited, r.relation, r.target, r.match, r.to_id, ${BRIEF}
+    FROM provision_references r LEFT JOIN provisions p ON p.id = r.to_id
+    WHERE r.from_id = ?
+    ORDER BY r.rowid
+  `).all(id);
+
+  return {
+    provision: brief(provision),
+    references: rows.map(({ cited, relation, target, match, to_id, ...p }) => ({
+      cited, relation, target, match, provision: to_id ? brief(p) : null,
+    })),
+  };
+}
+
+/**
+ * What cites a provision: citations of it (or of a child clause's parent
+ * section, when that's what resolved) and of its whole chapter. Returns
+ * null if there's no such provision.
+ */
+function referencesTo(id) {
+  const db = codesDb.getDb();
+  const provision = db.prepare(`SELECT ${BRIEF} FROM provisions p WHERE p.id = ?`).get(id);
+  if (!provision) return null;
+
+  const rows = db.prepare(`
+    SELECT r.cited, r.relation, r.match, ${BRIEF}
+    FROM provision_references r
+    JOIN provisions t ON t.id = r.to_id
+    JOIN provisions p ON p.id = r.from_id
+    WHERE r.to_id = ?
+       OR (r.match = 'chapter' AND t.source = ? AND t.chapter IS ?)
+    ORDER BY p.source, p.chapter, p.id
+  `).all(id, provision.source, provision.chapter);
+
+  return {
+    provision: brief(provision),
+    referenced_by: rows.map(({ cited, relation, match, ...p }) => ({ cited, relation, match, provision: brief(p) })),
+  };
+}
+
+/**
+ * One hop out from a set of retrieved provisions: the current provisions
+ * they cite that aren't in the set already, overrides ("despite",
+ * "subject to") first, then in the order of the provisions citing them.
+ * Whole-chapter citations are skipped — a chapter's first provision says
+ * little about the rule that defers to it.
+ * Each comes back as a full provisions row plus `referenced_by`:
+ * [{ id, cited, relation }].
+ */
+function referencedProvisions(provisions, { limit = 4 } = {}) {
+  const ids = provisions.map(p => p.id).filter(Number.isInteger);
+  if (ids.length === 0 || limit <= 0) return [];
+
+  const db = codesDb.getDb();
+  const edges = db.prepare(`
+    SELECT r.from_id, r.cited, r.relation, r.to_id
+    FROM provision_references r JOIN provisions t ON t.id = r.to_id
+    WHERE r.from_id IN (${ids.map(() => '?').join(', ')}) AND t.valid_to IS NULL AND r.match != 'chapter'
+  `).all(...ids);
+
+  const have = new Set(ids);
+  const rank = (e) => RELATION_PRIORITY.indexOf(e.relation) * ids.length + ids.indexOf(e.from_id);
+  const targets = new Map();
+  for (const e of edges.sort((a, b) => rank(a) - rank(b))) {
+    if (have.has(e.to_id)) continue;
+    if (!targets.has(e.to_id)) targets.set(e.to_id, []);
+    targets.get(e.to_id).push({ id: e.from_id, cited: e.cited, relation: e.relation });
+  }
+
+  const get = db.prepare('SELECT * FROM provisions WHERE id = ?');
+  return [...targets].slice(0, limit).map(([id, referencedBy]) => ({ ...get.get(id), referenced_by: referencedBy }));
+}
+
+module.exports = {
+  extractReferences,
+  rebuildReferences,
+  referencesFrom,
+  referencesTo,
+  referencedProvisions,
+};
@@ -0,0 +1,267 @@
+/**
+ * definitions.js — Defined terms and the provisions that use them
+ *
+ * By-laws lean on defined terms ("lot frontage", "dwelling unit", "angular
+ * plane") whose meaning lives in a definitions section far from the rule
+ * that uses them. After each ingestion run, rebuildDefinitions() reads the
+ * definitions sections in codes.db into `definitions` and links every
+ * current provision that uses a term through `definition_uses`. The
+ * glossary endpoints, the trace prompt and rendered traces read from there.
+ *
+ * Where definitions come from:
+ *   - "TERM - meaning" lines in a Municipal Code definitions section
+ *   - "Term means ..." lines in any definitions section (the zoning parser
+ *     titles each one "Definition: Term")
+ *   - quoted terms anywhere, as statutes write them: “highway” means ...
+ *
+ * Scope: a term applies within the chapter that defines it, except in the
+ * Zoning By-law, whose Chapter 800 definitions apply to the whole by-law.
+ * Uses are found through provisions_fts, so "lot frontages" counts too.
+ */
+
+const codesDb = require('./codes-db');
+
+// Sources whose definitions apply across every chapter
+const SOURCE_WIDE = new Set(['zoning_bylaw']);
+
+const MAX_TERM_WORDS = 6;
+const MAX_DEFINITION = 1000;
+
+// Title or opening line of a provision that holds definitions
+const DEFINITIONS_SECTION_RE = /\bdefinitions?\b|\bdefined terms\b|\binterpretation\b/i;
+
+// "AMPLIFIED SOUND - Sound projected or transmitted ..."
+const CAPS_TERM_RE = /^([A-Z][A-Z0-9'’ ,/()-]{1,60}?)\s+[-–—]\s+(\S.{5,})$/;
+
+// "(2) Lot Frontage means the ..." / "800.50(2) Lot Frontage means ..."
+const MEANS_RE = /^(?:\d+(?:\.\d+)*)?(?:\s*\(\w{1,4}\))*\s*([A-Z][\w'’ -]{1,60}?)\s+(means|includes)\s+(\S.{5,})$/;
+
+// “highway” means a common and public highway ...; (“voie publique”)
+const QUOTED_RE = /[“"]([^”"\n]{2,60})[”"]\s+(means|includes)\s+([^;\n]{5,})/g;
+
+/**
+ * How the glossary shows a term: ALL-CAPS headwords are lowercased,
+ * anything else is kept as written
+ */
+function displayTerm(raw) {
+  const term = raw.replace(/\s+/g, ' ').replace(/[,\s]+$/, '').trim();
+  return /[a-z]/.test(term) || term.length <= 4 ? term : term.toLowerCase();
+}
+
+/**
+ * Tidy the text after "means": drop the French term e-Laws appends, and a
+ * trailing semicolon or "and"/"or" joining the next definition
+ */
+function cleanDefinition(verb, text) {
+  const body = text
+    .replace(/\s*\([“"][^)]*[”"]\)\s*[.;]?\s*$/, '')
+    .replace(/[;,]\s*(?:and|or)?\s*$/, '')
+    .trim();
+  const definition = verb === 'includes' ? `includes ${body}` : body;
+  return definition.length > MAX_DEFINITION ? definition.slice(0, MAX_DEFINITION - 1) + '…' : definition;
+}
+
+function isTerm(term) {
+  const words = term.split(/\s+/);
+  return words.length <= MAX_TERM_WORDS && /[a-z]{2}/i.test(term) && !/^(?:the|this|that|it|he|she|they)$/i.test(term);
+}
+
+/**
+ * The definitions a provision states, as [{ term, definition }]
+ */
+function extractDefinitions(provision) {
+  const found = [];
+  const add = (term, verb, text) => {
+    const shown = displayTerm(term);
+    if (!isTerm(shown)) return;
+    found.push({ term: shown, definition: cleanDefinition(verb, text) });
+  };
+
+  const lines = provision.content.split('\n').map(l => l.trim()).filter(Boolean);
+  const isDefinitionsSection = DEFINITIONS_SECTION_RE.test(provision.section_title || '')
+    || DEFINITIONS_SECTION_RE.test(provision.chapter_title || '')
+    || DEFINITIONS_SECTION_RE.test(lines[0] || '');
+
+  if (isDefinitionsSection) {
+    for (const line of lines) {
+      const caps = line.match(CAPS_TERM_RE);
+      if (caps) { add(caps[1], 'means', caps[2]); continue; }
+      const means = line.match(MEANS_RE);
+      if (means) add(means[1], means[2], means[3]);
+    }
+  }
+
+  for (const m of provision.content.matchAll(QUOTED_RE)) add(m[1], m[2], m[3]);
+
+  return found;
+}
+
+const termKey = (term) => term.toLowerCase().replace(/[’]/g, "'").replace(/\s+/g, ' ');
+
+// FTS5 phrase query on a provision's title and text; porter stemming covers plurals
+const phraseQuery = (term) => `{section_title content} : "${term.replace(/"/g, '""')}"`;
+
+/**
+ * Re-read every definition from the current provisions and re-link the
+ * provisions that use them. Definitions keep their ids across runs (so
+ * glossary links stay valid); ones whose text is gone are removed.
+ * Returns { definitions, uses }.
+ */
+function rebuildDefinitions() {
+  const db = codesDb.getDb();
+
+  // Shortest provision first, so a term points at its own clause rather
+  // than a section that rolls several definitions up
+  const provisions = db.prepare(`
+    SELECT id, source, chapter, chapter_title, section_title, content
+    FROM provisions WHERE valid_to IS NULL
+    ORDER BY length(content), id
+  `);
+
+  const extracted = new Map();
+  for (const p of provisions.iterate()) {
+    const scope = SOURCE_WIDE.has(p.source) ? '*' : (p.chapter || '*');
+    for (const d of extractDefinitions(p)) {
+      const key = `${p.source}\u0000${scope}\u0000${termKey(d.term)}`;
+      const entry = extracted.get(key);
+      if (entry) { entry.definedIn.add(p.id); continue; }
+      extracted.set(key, { ...d, term_key: termKey(d.term), source: p.source, scope, provision_id: p.id, definedIn: new Set([p.id]) });
+    }
+  }
+
+  const upsert = db.prepare(`
+    INSERT INTO definitions (term, term_key, definition, source, scope, provision_id)
+    VALUES (@term, @term_key, @definition, @source, @scope, @provision_id)
+    ON CONFLICT(source, scope, term_key) DO UPDATE SET
+      term = excluded.term, definition = excluded.definition,
+      provision_id = excluded.provision_id, updated_at = datetime('now')
+    RETURNING id
+  `);
+  const users = db.prepare(`
+    SELECT p.id FROM provisions_fts f JOIN provisions p ON p.id = f.rowid
+    WHERE provisions_fts MATCH ? AND p.source = ? AND p.valid_to IS NULL
+      AND (? = '*' OR p.chapter = ?)
+  `);
+  const insertUse = db.prepare('INSERT OR IGNORE INTO definition_uses (definition_id, provision_id) VALUES (?, ?)');
+
+  let uses = 0;
+  db.transaction(() => {
+    db.exec('DELETE FROM definition_uses');
+    const kept = [];
+    for (const d of extracted.values()) {
+      const { id } = upsert.get(d);
+      kept.push(id);
+      for (const { id: provisionId } of users.all(phraseQuery(d.term), d.source, d.scope, d.scope)) {
+        if (d.definedIn.has(provisionId)) continue;
+        uses += insertUse.run(id, provisionId).changes;
+      }
+    }
+    db.prepare('DELETE FROM definitions WHERE id NOT IN (SELECT value FROM json_each(?))').run(JSON.stringify(kept));
+  })();
+
+  return { definitions: extracted.size, uses };
+}
+
+// ══════════════════════════════════════
+// Lookups
+// ══════════════════════════════════════
+
+const DEFINITION_COLUMNS = `
+  d.id, d.term, d.definition, d.source, d.scope, d.provision_id,
+  p.chapter, p.chapter_title, p.section, p.section_title, p.pdf_url
+`;
+
+function withReference(row) {
+  const { chapter, chapter_title, section, section_title, ...definition } = row;
+  return {
+    ...definition,
+    reference: codesDb.formatReference({ source: row.source, chapter, section }),
+    defined_in: { chapter, chapter_title, section, section_title },
+  };
+}
+
+/**
+ * Page through the glossary, alphabetically. `q` matches anywhere in the
+ * term; `chapter` keeps terms that apply in that chapter (source-wide
+ * terms included). Returns { total, definitions } with a use count each.
+ */
+function searchGlossary({ q = null, source = null, chapter = null, offset = 0, limit = 50 } = {}) {
+  const db = codesDb.getDb();
+  const where = [];
+  const params = [];
+  if (q) { where.push("d.term_key LIKE ? ESCAPE '\\'"); params.push(`%${termKey(q).replace(/[%_\\]/g, '\\$&')}%`); }
+  if (source) { where.push('d.source = ?'); params.push(source); }
+  if (chapter) { where.push("(d.scope = ? OR d.scope = '*')"); params.push(chapter); }
+  const clause = where.length ? `WHERE ${where.join(' AND ')}` : '';
+
+  const { total } = db.prepare(`SELECT COUNT(*) AS total FROM definitions d ${clause}`).get(...params);
+  const rows = db.prepare(`
+    SELECT ${DEFINITION_COLUMNS},
+      (SELECT COUNT(*) FROM definition_uses u WHERE u.definition_id = d.id) AS uses
+    FROM definitions d JOIN provisions p ON p.id = d.provision_id
+    ${clause}
+    ORDER BY d.term_key, d.source, d.scope
+    LIMIT ? OFFSET ?
+  `).all(...params, limit, offset);
+
+  return { total, definitions: rows.map(withReference) };
+}
+
+/**
+ * One definition with the provisions that use it (first `limit`, in
+ * document order). Returns null if there's no such definition.
+ */
+function getDefinition(id, { limit = 100 } = {}) {
+  const db = codesDb.getDb();
+  const row = db.prepare(`
+    SELECT ${DEFINITION_COLUMNS} FROM definitions d JOIN provisions p ON p.id = d.provision_id WHERE d.id = ?
+  `).get(id);
+  if (!row) return null;
+
+  const { total } = db.prepare('SELECT COUNT(*) AS total FROM definition_uses WHERE definition_id = ?').get(id);
+  const usedBy = db.prepare(`
+    SELECT p.id, p.source, p.chapter, p.section, p.section_title
+    FROM definition_uses u JOIN provisions p ON p.id = u.provision_id
+    WHERE u.definition_id = ?
+    ORDER BY p.source, p.chapter, p.id
+    LIMIT ?
+  `).all(id, limit);
+
+  return {
+    ...withReference(row),
+    uses: total,
+    used_by: usedBy.map(p => ({ ...p, reference: codesDb.formatReference(p) })),
+  };
+}
+
+/**
+ * The defined terms used by a set of provisions, the ones shared by the
+ * most of them first. Each carries `provision_ids` — which of the given
+ * provisions use it.
+ */
+function definitionsFor(provisionIds, { limit = 10 } = {}) {
+  const ids = [...new Set(provisionIds)].filter(Number.isInteger);
+  if (ids.length === 0) return [];
+
+  const db = codesDb.getDb();
+  const rows = db.prepare(`
+    SELECT ${DEFINITION_COLUMNS}, group_concat(u.provision_id) AS used_in
+    FROM definition_uses u
+    JOIN definitions d ON d.id = u.definition_id
+    JOIN provisions p ON p.id = d.provision_id
+    WHERE u.provision_id IN (${ids.map(() => '?').join(', ')})
+    GROUP BY d.id
+    ORDER BY COUNT(*) DESC, d.term_key
+    LIMIT ?
+  `).all(...ids, limit);
+
+  return rows.map(({ used_in, ...row }) => ({ ...withReference(row), provision_ids: used_in.split(',').map(Number) }));
+}
+
+module.exports = {
+  extractDefinitions,
+  rebuildDefinitions,
+  searchGlossary,
+  getDefinition,
+  definitionsFor,
+};
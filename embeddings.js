@@ -0,0 +1,113 @@
+/**
+ * embeddings.js — Local, dependency-free text vectors for provisions
+ *
+ * Uses the "hashing trick": each (lightly stemmed) word and word pair is
+ * hashed into one of DIM buckets with a ±1 sign, weighted by log term
+ * frequency, and the vector is L2-normalized. No model download, no GPU,
+ * deterministic across machines — and good enough to catch provisions that
+ * share a story's vocabulary without sharing its exact keywords, which is
+ * what the vector half of hybrid search needs.
+ *
+ * MODEL is stored with every vector; bump it whenever tokenizing or hashing
+ * changes so stale vectors get recomputed.
+ */
+
+const DIM = 256;
+const MODEL = `hash-${DIM}-v1`;
+
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'been', 'but', 'by', 'can', 'could', 'did', 'do',
+  'does', 'for', 'from', 'had', 'has', 'have', 'he', 'her', 'his', 'i', 'if', 'in', 'into', 'is',
+  'it', 'its', 'just', 'me', 'my', 'no', 'not', 'of', 'on', 'or', 'our', 'she', 'so', 'such',
+  'than', 'that', 'the', 'their', 'them', 'then', 'there', 'these', 'they', 'this', 'to', 'too',
+  'was', 'we', 'were', 'what', 'when', 'which', 'who', 'will', 'with', 'would', 'you', 'your',
+  'shall', 'any', 'all', 'other', 'under', 'where', 'may', 'section', 'chapter', 'subsection',
+]);
+
+/**
+ * Crude suffix stripping so "parking"/"parked"/"parks" land in the same bucket
+ */
+function stem(word) {
+  if (word.length <= 4) return word;
+  return word
+    .replace(/(ies)$/, 'y')
+    .replace(/(ing|ed|ly|es|s)$/, '')
+    .replace(/(ment|ness|tion)$/, '');
+}
+
+/**
+ * Lowercased, stemmed content words in order
+ */
+function tokenize(text) {
+  return String(text || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9\s-]/g, ' ')
+    .split(/[\s-]+/)
+    .filter(w => w.length > 2 && !STOPWORDS.has(w) && !/^\d+$/.test(w))
+    .map(stem);
+}
+
+// 32-bit FNV-1a
+function hash(str) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+/**
+ * Embed text as a normalized Float32Array of length DIM
+ */
+function embed(text) {
+  const tokens = tokenize(text);
+  const counts = new Map();
+
+  const add = (feature, weight) => counts.set(feature, (counts.get(feature) || 0) + weight);
+  tokens.forEach((t, i) => {
+    add(t, 1);
+    if (i > 0) add(`${tokens[i - 1]} ${t}`, 0.5);
+  });
+
+  const vec = new Float32Array(DIM);
+  for (const [feature, count] of counts) {
+    const h = hash(feature);
+    const sign = (h & 0x80000000) ? -1 : 1;
+    vec[h % DIM] += sign * (1 + Math.log(count));
+  }
+
+  let norm = 0;
+  for (let i = 0; i < DIM; i++) norm += vec[i] * vec[i];
+  norm = Math.sqrt(norm);
+  if (norm > 0) for (let i = 0; i < DIM; i++) vec[i] /= norm;
+
+  return vec;
+}
+
+/**
+ * Cosine similarity of two normalized vectors (a dot product)
+ */
+function similarity(a, b) {
+  let dot = 0;
+  for (let i = 0; i < a.length; i++) dot += a[i] * b[i];
+  return dot;
+}
+
+function toBlob(vec) {
+  return Buffer.from(vec.buffer, vec.byteOffset, vec.byteLength);
+}
+
+function fromBlob(blob) {
+  return new Float32Array(blob.buffer.slice(blob.byteOffset, blob.byteOffset + blob.byteLength));
+}
+
+module.exports = {
+  DIM,
+  MODEL,
+  tokenize,
+  embed,
+  similarity,
+  toBlob,
+  fromBlob,
+};
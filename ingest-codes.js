@@ -3,449 +3,632 @@
 /**
  * ingest-codes.js — Scrape and index Toronto's municipal codes
  * 
- * Run: node ingest-codes.js [--source municipal_code|zoning_bylaw|official_plan|all]
+ * Run: node ingest-codes.js [--source=all|<source>[,<source>...]] [--refresh] [--force]
+ *                           [--all-chapters] [--url=<url>]... [--meetings=2024.CC12,...]
+ *                           [--fixtures=<dir>] [--local=<dir|manifest.json>] [--concurrency=3]
+ *      node ingest-codes.js --resume        (carry on with the last failed/interrupted run)
+ *      node ingest-codes.js --job=<id>      (run a job the server queued)
  * 
- * This script:
- * 1. Scrapes chapter listings from toronto.ca
- * 2. Downloads each PDF
- * 3. Extracts text with pdf-parse
- * 4. Chunks into individual sections/provisions
- * 5. Stores in SQLite FTS5 via codes-db.js
+ * Each source is an adapter (source-adapters.js) that this script runs
+ * through the same steps:
+ * 1. discover — list the documents (e.g. scrape chapter links from toronto.ca)
+ * 2. fetch    — download each one, through .cache/
+ * 3. parse    — extract text (pdf-parse) or load the HTML
+ * 4. chunk    — split it into individual sections/provisions
+ * and then stores the provisions in SQLite FTS5 via codes-db.js. At the end
+ * of a run, defined terms are re-read into the glossary (definitions.js) and
+ * citations between provisions into the cross-reference graph
+ * (cross-references.js).
+ *
+ * Each run is a job (ingest-jobs.js): documents are processed a few at a
+ * time, requests to each host are spaced out, failed downloads are retried,
+ * and every document's outcome is checkpointed so an interrupted run can be
+ * resumed and watched from the server (GET /api/codes/ingest/status).
  * 
+ * With --refresh, already-indexed documents are re-checked: they're
+ * re-requested with ETag/Last-Modified, re-parsed only if their content hash
+ * changed, and diffed section by section against what's stored — amended and
+ * repealed provisions keep their old versions (valid_from/valid_to).
+ *
+ * With --fixtures=<dir>, nothing is downloaded: each URL is read from a file
+ * in <dir> instead (see createFixtureFetcher), so parsing and storage can be
+ * exercised offline. With --local=<dir|manifest.json>, the documents to
+ * ingest come from a local corpus instead of each source's discovery (see
+ * loadLocalDocuments) — fixtures/ is a small synthetic one. Point CODES_DB at
+ * a scratch file to keep codes.db as is.
+ *
  * Toronto's Municipal Code is ~150 chapters, mostly PDFs.
  * Zoning By-law 569-2013 is massive (1000+ pages) but well-structured.
  * The Official Plan is a set of policy documents.
  */
 
-const cheerio = require('cheerio');
 const pdfParse = require('pdf-parse');
+const crypto = require('crypto');
 const fs = require('fs');
 const path = require('path');
 const codesDb = require('./codes-db');
+const adapters = require('./source-adapters');
+const jobs = require('./ingest-jobs');
+const vocabulary = require('./vocabulary');
+const definitions = require('./definitions');
+const crossReferences = require('./cross-references');
 
 const CACHE_DIR = path.join(__dirname, '.cache');
 if (!fs.existsSync(CACHE_DIR)) fs.mkdirSync(CACHE_DIR, { recursive: true });
 
-// ══════════════════════════════════════
-// CONFIG: Sources to ingest
-// ══════════════════════════════════════
+const ARGS = process.argv.slice(2);
 
-const SOURCES = {
-  municipal_code: {
-    name: 'Toronto Municipal Code',
-    indexUrl: 'https://www.toronto.ca/legdocs/bylaws/lawmcode.htm',
-    // These are the citizen-facing chapters most likely to appear in traces
-    priorityChapters: [
-      349, 354, 363, 395, 415, 441, 447, 459, 469, 489, 492,
-      510, 517, 523, 545, 547, 548, 553, 555, 591, 608, 611,
-      612, 615, 629, 632, 636, 658, 673, 681, 693, 694, 719,
-      738, 743, 767, 813, 841, 844, 849, 851, 880, 886, 903,
-      910, 915, 918, 919, 925, 937, 950
-    ],
-  },
-
-  zoning_bylaw: {
-    name: 'Zoning By-law 569-2013',
-    baseUrl: 'https://www.toronto.ca/zoning/bylaw_amendments/ZBL_NewProvision.htm',
-    pdfUrls: [
-      // Volume 1: Chapters 1-800 (all the main regulations)
-      {
-        url: 'https://www.toronto.ca/legdocs/bylaws/2013/law0569-schedule-a-vol1-ch1-800.pdf',
-        chapter: 'Zoning By-law 569-2013 Vol. 1',
-        title: 'Chapters 1-800 (Administration, Zones, Parking, General Provisions, Definitions)'
-      },
-      // Volume 2: Exceptions Part 1
-      {
-        url: 'https://www.toronto.ca/legdocs/bylaws/2013/law0569-schedule-a-vol2-ch900-part1.pdf',
-        chapter: 'Zoning By-law 569-2013 Vol. 2',
-        title: 'Exceptions Part 1'
-      },
-      // Older consolidated version (has useful standalone structure)
-      {
-        url: 'https://www.toronto.ca/wp-content/uploads/2018/07/97ec-City-Planning-Zoning-Zoning-By-law-Part-1.pdf',
-        chapter: 'Zoning By-law 569-2013 Consolidated',
-        title: 'Office Consolidation (Chapters 1-80)'
-      },
-    ]
-  },
-
-  official_plan: {
-    name: 'Official Plan',
-    pdfUrls: [
-      { url: 'https://www.toronto.ca/wp-content/uploads/2019/06/8f06-OfficialPlanAODA_Compiled-3.0.pdf', chapter: 'Official Plan', title: 'Consolidated Official Plan' },
-    ]
-  }
-};
+// "--name=value" flags; list flags may repeat or be comma-separated
+const flag = (name) => ARGS.find(a => a.startsWith(`--${name}=`))?.slice(name.length + 3) || null;
+const flagList = (name) => ARGS.filter(a => a.startsWith(`--${name}=`)).flatMap(a => a.slice(name.length + 3).split(',')).map(s => s.trim()).filter(Boolean);
+
+// A refresh that would repeal more than this share of a document's sections
+// is more likely a parser misreading a new PDF than a real repeal
+const MAX_REPEAL_RATIO = 0.5;
+
+// Gap between requests to the same host, to be polite to the City's servers
+const HOST_INTERVAL_MS = 300;
+// Retries for a download that failed with a network error, 429 or 5xx
+const FETCH_RETRIES = 3;
+// A download that takes longer than this is aborted (and retried), so one
+// stalled connection can't hold up the run
+const FETCH_TIMEOUT_MS = 2 * 60 * 1000;
 
 // ══════════════════════════════════════
 // FETCHING
 // ══════════════════════════════════════
 
-async function fetchPage(url) {
-  const cacheKey = require('crypto').createHash('md5').update(url).digest('hex');
-  const cachePath = path.join(CACHE_DIR, `${cacheKey}.html`);
+function sha256(buffer) {
+  return crypto.createHash('sha256').update(buffer).digest('hex');
+}
+
+/**
+ * Fetch a URL through the .cache/ directory.
+ *
+ * Normally a cached copy is used as-is. With --refresh the URL is
+ * re-requested, sending the ETag/Last-Modified saved alongside the cached
+ * copy (<key>.meta.json) so an unchanged document comes back as a cheap 304.
+ * `limiter` spaces out requests to the host; HTTP errors carry `status`.
+ */
+async function fetchCached(url, ext, label, { refresh = false, limiter = null } = {}) {
+  const key = cacheKey(url);
+  const cachePath = path.join(CACHE_DIR, `${key}.${ext}`);
+  const metaPath = path.join(CACHE_DIR, `${key}.meta.json`);
+  const cached = fs.existsSync(cachePath);
 
-  if (fs.existsSync(cachePath)) {
-    return fs.readFileSync(cachePath, 'utf8');
+  if (cached && !refresh) {
+    return fs.readFileSync(cachePath);
   }
 
-  console.log(`  ↓ Fetching ${url}`);
-  const res = await fetch(url);
-  if (!res.ok) throw new Error(`HTTP ${res.status} for ${url}`);
-  const text = await res.text();
-  fs.writeFileSync(cachePath, text);
-  return text;
-}
+  const meta = cached && fs.existsSync(metaPath) ? JSON.parse(fs.readFileSync(metaPath, 'utf8')) : {};
+  const headers = {};
+  if (cached && meta.etag) headers['If-None-Match'] = meta.etag;
+  if (cached && meta.last_modified) headers['If-Modified-Since'] = meta.last_modified;
 
-async function fetchPdf(url) {
-  const cacheKey = require('crypto').createHash('md5').update(url).digest('hex');
-  const cachePath = path.join(CACHE_DIR, `${cacheKey}.pdf`);
+  if (limiter) await limiter.wait(url);
+  console.log(`  ↓ ${cached ? 'Checking' : label} ${url}`);
+  const res = await fetch(url, { headers, signal: AbortSignal.timeout(FETCH_TIMEOUT_MS) });
 
-  if (fs.existsSync(cachePath)) {
+  if (res.status === 304 && cached) {
     return fs.readFileSync(cachePath);
   }
+  if (!res.ok) throw Object.assign(new Error(`HTTP ${res.status} for ${url}`), { status: res.status });
 
-  console.log(`  ↓ Downloading PDF: ${url}`);
-  const res = await fetch(url);
-  if (!res.ok) throw new Error(`HTTP ${res.status} for ${url}`);
   const buffer = Buffer.from(await res.arrayBuffer());
   fs.writeFileSync(cachePath, buffer);
+  fs.writeFileSync(metaPath, JSON.stringify({
+    url,
+    etag: res.headers.get('etag'),
+    last_modified: res.headers.get('last-modified'),
+    sha256: sha256(buffer),
+    fetched_at: new Date().toISOString(),
+  }, null, 2));
   return buffer;
 }
 
+function cacheKey(url) {
+  return crypto.createHash('md5').update(url).digest('hex');
+}
+
+/**
+ * Offline stand-in for fetchCached(): serves every URL from files in `dir`.
+ * A URL's fixture is the first of these that exists:
+ *   - its last path segment plus query, made filename-safe
+ *     ("report.do?meeting=2024.CC12&type=decisions" → "report.do_meeting=2024.CC12_type=decisions")
+ *   - its last path segment ("lawmcode.htm", "06c11")
+ *   - its .cache/ file name, so a copy of .cache/ replays an earlier run
+ */
+function createFixtureFetcher(dir) {
+  const root = path.resolve(dir);
+  if (!fs.existsSync(root)) throw new Error(`fixtures directory not found: ${root}`);
+
+  return async (url, type) => {
+    const { pathname, search } = new URL(url);
+    const base = decodeURIComponent(pathname.split('/').filter(Boolean).pop() || 'index');
+    const candidates = [
+      search ? `${base}${search}`.replace(/[^\w.=-]+/g, '_') : null,
+      base,
+      `${cacheKey(url)}.${type}`,
+    ].filter(Boolean);
+
+    for (const name of candidates) {
+      const file = path.join(root, name);
+      if (fs.existsSync(file)) return fs.readFileSync(file);
+    }
+    throw new Error(`no fixture for ${url} in ${root} (tried ${candidates.join(', ')})`);
+  };
+}
+
 // ══════════════════════════════════════
-// PDF PARSING & CHUNKING
+// LOCAL DOCUMENTS
 // ══════════════════════════════════════
 
+// How a local file is parsed, by extension. A .txt stands in for a PDF's
+// extracted text, so a corpus can be written and reviewed as plain text.
+const LOCAL_TYPES = { '.pdf': 'pdf', '.txt': 'pdf', '.html': 'html', '.htm': 'html' };
+
 /**
- * Extract text from a PDF buffer and chunk into sections.
- * 
- * Municipal code PDFs follow a fairly consistent pattern:
- * - Section headers like "§ 591-2.1" or "ARTICLE III"
- * - Subsections indented or numbered
- * 
- * We chunk on section boundaries to keep provisions atomic.
+ * Read a local corpus: the documents to ingest instead of what each
+ * adapter would discover online, grouped by source.
+ *
+ * `target` is a manifest file or a directory. A manifest is JSON,
+ * { "documents": [{ source, chapter, title, file, url, type }] }, with
+ * `file` relative to the manifest; `title`, `url` and `type` are optional and
+ * any other field (e.g. `meeting`) is passed on to the adapter. A directory
+ * uses its manifest.json if it has one, otherwise each <source>/<name>.<ext>
+ * file is a document whose chapter is <name>.
+ *
+ * Documents without a `url` are stored as "file:<path in the corpus>", so a
+ * corpus produces the same rows on every machine.
  */
-async function extractAndChunk(pdfBuffer, { source, chapter, chapterTitle, pdfUrl }) {
-  let parsed;
-  try {
-    parsed = await pdfParse(pdfBuffer);
-  } catch (e) {
-    console.warn(`  ⚠ Could not parse PDF for ${chapter}: ${e.message}`);
-    return [];
+function loadLocalDocuments(target) {
+  const resolved = path.resolve(target);
+  if (!fs.existsSync(resolved)) throw new Error(`local documents not found: ${resolved}`);
+
+  const isDir = fs.statSync(resolved).isDirectory();
+  const root = isDir ? resolved : path.dirname(resolved);
+  const manifestPath = isDir ? path.join(resolved, 'manifest.json') : resolved;
+
+  let entries;
+  if (fs.existsSync(manifestPath)) {
+    const manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+    entries = Array.isArray(manifest) ? manifest : manifest.documents || [];
+  } else {
+    entries = fs.readdirSync(root, { withFileTypes: true })
+      .filter(d => d.isDirectory())
+      .flatMap(d => fs.readdirSync(path.join(root, d.name))
+        .filter(f => LOCAL_TYPES[path.extname(f).toLowerCase()])
+        .sort()
+        .map(f => ({ source: d.name, chapter: path.basename(f, path.extname(f)), file: `${d.name}/${f}` })));
   }
 
-  const text = parsed.text;
-  if (!text || text.length < 50) return [];
-
-  // Split on section-like patterns
-  const sectionPatterns = [
-    // § 591-2.1 or § 841-4
-    /(?=§\s*\d+[\-–]\d+)/g,
-    // ARTICLE I, ARTICLE II etc.
-    /(?=ARTICLE\s+[IVXLC]+)/gi,
-    // Section 15.10.40 or 5.10.40
-    /(?=\d+\.\d+\.\d+)/g,
-    // Numbered sections like "(1)", "(2)" at start of line
-    /(?=\n\s*\(\d+\)\s+[A-Z])/g,
-  ];
-
-  let sections = [text]; // Start with the full text
-
-  // Try each pattern, use the one that gives the best granularity
-  for (const pattern of sectionPatterns) {
-    const splits = text.split(pattern).filter(s => s.trim().length > 30);
-    if (splits.length > sections.length && splits.length < 200) {
-      sections = splits;
-    }
-  }
+  const bySource = {};
+  entries.forEach((entry, i) => {
+    const label = `${path.basename(manifestPath)} document ${i + 1}`;
+    if (!entry.source || !entry.chapter || !entry.file) throw new Error(`${label}: needs source, chapter and file`);
 
-  // If we couldn't split into sections, chunk by ~1500 chars with overlap
-  if (sections.length <= 1 && text.length > 2000) {
-    sections = chunkBySize(text, 1500, 200);
-  }
+    const type = entry.type || LOCAL_TYPES[path.extname(entry.file).toLowerCase()];
+    if (!type) throw new Error(`${label}: can't tell how to parse ${entry.file} — set "type" to "pdf" or "html"`);
 
-  const provisions = sections.map((content, i) => {
-    // Try to extract a section number from the beginning
-    const sectionMatch = content.match(/^§?\s*([\d\-–.]+)/);
-    const section = sectionMatch ? sectionMatch[1].trim() : null;
-
-    // Try to extract a title (first line, if it looks like a title)
-    const lines = content.trim().split('\n');
-    const firstLine = lines[0]?.trim();
-    const sectionTitle = firstLine && firstLine.length < 120 ? firstLine : null;
-
-    return {
-      source,
-      chapter,
-      chapter_title: chapterTitle,
-      section: section ? `${chapter}-${section}` : `${chapter} (Part ${i + 1})`,
-      section_title: sectionTitle,
-      content: content.trim().slice(0, 3000), // Cap at 3000 chars per provision
-      summary: null,
-      pdf_url: pdfUrl,
-      keywords: extractKeywords(content),
-    };
+    const file = path.resolve(root, entry.file);
+    if (!fs.existsSync(file)) throw new Error(`${label}: ${entry.file} not found`);
+
+    (bySource[entry.source] ||= []).push({
+      ...entry,
+      title: entry.title || null,
+      type,
+      url: entry.url || `file:${entry.file}`,
+      file,
+    });
   });
+  return bySource;
+}
 
-  return provisions.filter(p => p.content.length > 50);
+/**
+ * The adapter, but ingesting the given local documents instead of discovering
+ * and downloading its own. Parsing and chunking are unchanged.
+ */
+function withLocalDocuments(adapter, docs) {
+  return {
+    ...adapter,
+    discover: async () => docs,
+    fetch: async (doc) => fs.readFileSync(doc.file),
+  };
 }
 
+// ══════════════════════════════════════
+// PARSING HELPERS (passed to adapters)
+// ══════════════════════════════════════
+
 /**
- * Chunk text by character count with overlap
+ * Extract raw text from a PDF buffer (null if the PDF can't be parsed)
  */
-function chunkBySize(text, chunkSize, overlap) {
-  const chunks = [];
-  let start = 0;
-  while (start < text.length) {
-    const end = Math.min(start + chunkSize, text.length);
-    chunks.push(text.slice(start, end));
-    start = end - overlap;
-    if (start >= text.length - overlap) break;
+async function extractText(pdfBuffer, chapter) {
+  try {
+    const parsed = await pdfParse(pdfBuffer);
+    return parsed.text;
+  } catch (e) {
+    console.warn(`  ⚠ Could not parse PDF for ${chapter}: ${e.message}`);
+    return null;
   }
-  return chunks;
+}
+
+/**
+ * Offline, a "PDF" may be its extracted text (a .txt fixture)
+ */
+async function extractTextOffline(buffer, chapter) {
+  if (buffer.subarray(0, 5).toString('latin1') === '%PDF-') return extractText(buffer, chapter);
+  return buffer.toString('utf8');
 }
 
 /**
  * Extract useful keywords from provision text
- * (helps FTS5 find provisions for citizen stories)
+ * (helps FTS5 find provisions for citizen stories).
+ * The concept phrases live in codes.db — see vocabulary.js.
  */
 function extractKeywords(text) {
-  const keywords = new Set();
-  const t = text.toLowerCase();
-
-  // Domain-specific keyword extraction
-  const patterns = {
-    'parking': /parking|garage|vehicle storage/i,
-    'noise': /noise|sound|decibel|quiet/i,
-    'height': /height|storey|angular plane|setback/i,
-    'density': /density|floor area|FSI|units per/i,
-    'transit': /transit|TTC|streetcar|bus|subway|LRT/i,
-    'cycling': /bicycle|cycling|bike lane|bike parking/i,
-    'pedestrian': /pedestrian|sidewalk|crosswalk|walkway/i,
-    'snow': /snow|ice|winter|plow|windrow/i,
-    'fence': /fence|enclosure|barrier/i,
-    'tree': /tree|canopy|urban forest/i,
-    'heritage': /heritage|conservation|historic/i,
-    'sign': /sign|billboard|advertising/i,
-    'waste': /waste|garbage|recycling|bin/i,
-    'water': /water|sewer|drainage|stormwater/i,
-    'housing': /housing|dwelling|residential|apartment|multiplex/i,
-    'commercial': /commercial|retail|restaurant|business/i,
-    'property': /property|land|lot|zoning/i,
-    'permit': /permit|licence|license|application/i,
-    'construction': /construction|demolition|building/i,
-    'accessibility': /accessibility|accessible|barrier-free/i,
-    'fire': /fire|safety|emergency|smoke/i,
-    'boulevard': /boulevard|right-of-way|road allowance/i,
-    'animal': /animal|dog|pet|cat/i,
-    'food': /food|restaurant|patio|cafe/i,
-    'rental': /rental|tenant|landlord|eviction/i,
-    'development': /development|site plan|subdivision/i,
-    'setback': /setback|yard|front yard|rear yard|side yard/i,
-    'laneway': /laneway|lane|alley|rear lane/i,
-  };
-
-  for (const [keyword, pattern] of Object.entries(patterns)) {
-    if (pattern.test(t)) keywords.add(keyword);
-  }
-
-  return [...keywords].join(', ');
+  return vocabulary.tagProvision(text);
 }
 
 // ══════════════════════════════════════
-// INGESTION: Municipal Code
+// STORING & CHANGE TRACKING
 // ══════════════════════════════════════
 
-async function ingestMunicipalCode() {
-  console.log('\n📜 Ingesting Toronto Municipal Code...');
-
-  const config = SOURCES.municipal_code;
-  const html = await fetchPage(config.indexUrl);
-  const $ = cheerio.load(html);
-
-  // Parse chapter links from the table
-  const chapters = [];
-  $('a[href*="municode"]').each((_, el) => {
-    const href = $(el).attr('href');
-    const text = $(el).text().trim();
-    const chapterMatch = text.match(/Chapter\s+(\d+)/);
-
-    if (chapterMatch && href.endsWith('.pdf')) {
-      const num = parseInt(chapterMatch[1]);
-      // Get the chapter title from the next cell or the link context
-      const row = $(el).closest('tr');
-      const cells = row.find('td');
-      const title = cells.eq(1)?.text()?.trim() || text;
-
-      chapters.push({
-        number: num,
-        title: title,
-        url: href.startsWith('http') ? href : `https://www.toronto.ca/legdocs/municode/${href.split('/').pop()}`,
-      });
-    }
-  });
+// Documents whose provisions changed this run, for the closing report
+const changeLog = [];
 
-  console.log(`  Found ${chapters.length} chapters`);
+/**
+ * Without --refresh, anything already in ingestion_log is skipped before downloading
+ */
+function alreadyIndexed(source, chapter, { refresh }) {
+  return !refresh && codesDb.isIngested(source, chapter);
+}
 
-  // Filter to priority chapters (or all if flag set)
-  const doAll = process.argv.includes('--all-chapters');
-  const toIngest = doAll
-    ? chapters
-    : chapters.filter(c => config.priorityChapters.includes(c.number));
+/**
+ * With --refresh, a document whose bytes match the last run doesn't need re-parsing
+ */
+function unchangedSinceLastRun(source, chapter, contentHash, { refresh }) {
+  return refresh && codesDb.lastIngestedHash(source, chapter) === contentHash;
+}
 
-  console.log(`  Ingesting ${toIngest.length} ${doAll ? 'total' : 'priority'} chapters\n`);
+/**
+ * Diff freshly parsed provisions against what's stored for the document,
+ * save the result and log the run. Returns the change report.
+ */
+function saveProvisions(source, chapter, pdfUrl, provisions, { contentHash, quality = null, force = false }) {
+  const preview = codesDb.syncProvisions(source, pdfUrl, provisions, { dryRun: true });
+  const existing = preview.amended.length + preview.repealed.length + preview.unchanged;
+  if (!force && existing > 0 && preview.repealed.length > existing * MAX_REPEAL_RATIO) {
+    throw new Error(`refresh would repeal ${preview.repealed.length} of ${existing} sections — the parser probably misread the new PDF. Re-run with --force to accept.`);
+  }
 
-  let totalProvisions = 0;
+  const changes = codesDb.syncProvisions(source, pdfUrl, provisions);
+  codesDb.logIngestion(source, chapter, provisions.length, {
+    contentHash,
+    added: changes.added.length,
+    amended: changes.amended.length,
+    repealed: changes.repealed.length,
+    quality,
+  });
 
-  for (const ch of toIngest) {
-    const chapterRef = `Chapter ${ch.number}`;
+  if (existing > 0 && (changes.added.length || changes.amended.length || changes.repealed.length)) {
+    changeLog.push({ source, chapter, ...changes });
+  }
+  return changes;
+}
 
-    if (codesDb.isIngested('municipal_code', chapterRef)) {
-      console.log(`  ✓ ${chapterRef} (${ch.title}) — already indexed`);
-      continue;
-    }
+function describeChanges({ added, amended, repealed, unchanged }) {
+  if (!amended.length && !repealed.length && !unchanged) return `${added.length} provisions indexed`;
+  return `+${added.length} added, ~${amended.length} amended, −${repealed.length} repealed, ${unchanged} unchanged`;
+}
 
-    try {
-      const pdfBuffer = await fetchPdf(ch.url);
-      const provisions = await extractAndChunk(pdfBuffer, {
-        source: 'municipal_code',
-        chapter: chapterRef,
-        chapterTitle: ch.title,
-        pdfUrl: ch.url,
-      });
-
-      if (provisions.length > 0) {
-        codesDb.bulkInsert(provisions);
-        codesDb.logIngestion('municipal_code', chapterRef, provisions.length);
-        totalProvisions += provisions.length;
-        console.log(`  ✓ ${chapterRef} (${ch.title}) — ${provisions.length} provisions indexed`);
-      } else {
-        console.log(`  ⚠ ${chapterRef} (${ch.title}) — no provisions extracted`);
-      }
-
-      // Be polite to the server
-      await sleep(300);
+function printChangeReport() {
+  console.log('\n📝 Changes since last ingestion:');
+  if (changeLog.length === 0) {
+    console.log('  No provisions added, amended or repealed.');
+    return;
+  }
 
-    } catch (e) {
-      console.error(`  ✗ ${chapterRef} (${ch.title}) — ${e.message}`);
+  const MAX_LISTED = 10;
+  for (const doc of changeLog) {
+    console.log(`\n  ${doc.source} — ${doc.chapter}`);
+    for (const [label, items] of [['added', doc.added], ['amended', doc.amended], ['repealed', doc.repealed]]) {
+      if (!items.length) continue;
+      const listed = items.slice(0, MAX_LISTED).map(p => `${p.section}${p.section_title ? ` (${p.section_title.slice(0, 50)})` : ''}`);
+      console.log(`    ${label} (${items.length}): ${listed.join(', ')}${items.length > MAX_LISTED ? ', …' : ''}`);
     }
   }
-
-  console.log(`\n  Municipal Code: ${totalProvisions} provisions indexed`);
-  return totalProvisions;
 }
 
 // ══════════════════════════════════════
-// INGESTION: Zoning By-law
+// QUALITY REPORT
 // ══════════════════════════════════════
 
-async function ingestZoningBylaw() {
-  console.log('\n🏗️  Ingesting Zoning By-law 569-2013...');
-
-  let totalProvisions = 0;
+// Strategies that mean no section structure was found at all
+const FALLBACK_STRATEGIES = new Set(['generic:fixed-size', 'generic:whole-text', 'generic:none']);
+// Below this share of really-numbered provisions, a chapter needs its own parser
+const MIN_NUMBERED_SHARE = 0.5;
 
-  for (const item of SOURCES.zoning_bylaw.pdfUrls) {
-    if (codesDb.isIngested('zoning_bylaw', item.chapter)) {
-      console.log(`  ✓ ${item.chapter} (${item.title}) — already indexed`);
-      continue;
-    }
+// Chapters that look like they need a dedicated parser, for the closing report
+const qualityLog = [];
 
-    try {
-      const pdfBuffer = await fetchPdf(item.url);
-      const provisions = await extractAndChunk(pdfBuffer, {
-        source: 'zoning_bylaw',
-        chapter: item.chapter,
-        chapterTitle: `Zoning By-law 569-2013 — ${item.title}`,
-        pdfUrl: item.url,
-      });
-
-      if (provisions.length > 0) {
-        codesDb.bulkInsert(provisions);
-        codesDb.logIngestion('zoning_bylaw', item.chapter, provisions.length);
-        totalProvisions += provisions.length;
-        console.log(`  ✓ ${item.chapter} (${item.title}) — ${provisions.length} provisions indexed`);
-      }
-
-      await sleep(300);
-    } catch (e) {
-      console.error(`  ✗ ${item.chapter} — ${e.message}`);
-    }
+/**
+ * How well a document was split into provisions. Stored with the
+ * ingestion_log row and served at /api/codes/ingest/quality.
+ */
+function assessQuality(provisions, strategy) {
+  const sectionCounts = new Map();
+  const contentCounts = new Map();
+  for (const p of provisions) {
+    sectionCounts.set(p.section, (sectionCounts.get(p.section) || 0) + 1);
+    contentCounts.set(p.content, (contentCounts.get(p.content) || 0) + 1);
   }
+  const repeats = (counts) => [...counts.values()].reduce((n, c) => n + c - 1, 0);
+
+  // "(Part N)" and missing numbers are the generic chunker giving up
+  const numbered = provisions.filter(p => p.section && !/\(Part \d+\)$/.test(p.section)).length;
+  const report = {
+    strategy: strategy || 'unknown',
+    provisions: provisions.length,
+    numbered,
+    unnumbered: provisions.length - numbered,
+    truncated: provisions.filter(p => p.truncated).length,
+    duplicate_sections: repeats(sectionCounts),
+    duplicate_content: repeats(contentCounts),
+    untitled: provisions.filter(p => !p.section_title).length,
+  };
+
+  const flags = [];
+  if (FALLBACK_STRATEGIES.has(report.strategy)) flags.push('no-structure');
+  if (report.provisions > 0 && numbered / report.provisions < MIN_NUMBERED_SHARE) flags.push('few-numbered');
+  if (report.truncated) flags.push('truncated');
+  if (report.duplicate_sections) flags.push('duplicate-sections');
+  if (report.duplicate_content) flags.push('duplicate-content');
+  if (report.provisions > 0 && report.untitled === report.provisions) flags.push('untitled');
+
+  return { ...report, flags, needs_parser: flags.includes('no-structure') || flags.includes('few-numbered') };
+}
+
+function describeQuality(q) {
+  return `${q.strategy}, ${q.numbered}/${q.provisions} numbered${q.flags.length ? ` [${q.flags.join(', ')}]` : ''}`;
+}
 
-  console.log(`\n  Zoning By-law: ${totalProvisions} provisions indexed`);
-  return totalProvisions;
+function printQualityReport() {
+  if (qualityLog.length === 0) return;
+  console.log('\n🔍 Chapters that may need a dedicated parser:');
+  for (const { source, chapter, quality } of qualityLog) {
+    console.log(`  ${source} — ${chapter}: ${describeQuality(quality)}`);
+  }
 }
 
 // ══════════════════════════════════════
-// INGESTION: Official Plan
+// INGESTION
 // ══════════════════════════════════════
 
-async function ingestOfficialPlan() {
-  console.log('\n📋 Ingesting Official Plan...');
+/**
+ * Run one adapter within a job: discover its documents (once — resuming
+ * reuses the checkpointed list), then fetch → parse → chunk → store each
+ * unfinished one, `concurrency` at a time. Returns false if discovery failed.
+ */
+async function ingestSource(adapter, job, ctx) {
+  console.log(`\n${adapter.icon} Ingesting ${adapter.name}...`);
+
+  if (!job.discovered.includes(adapter.source)) {
+    try {
+      const docs = await adapter.discover(ctx);
+      jobs.recordDiscovery(job.id, adapter.source, docs);
+    } catch (e) {
+      console.error(`  ✗ Could not list ${adapter.name} documents — ${e.message}`);
+      return false;
+    }
+  }
 
+  const items = jobs.remainingItems(job.id, adapter.source);
   let totalProvisions = 0;
 
-  for (const item of SOURCES.official_plan.pdfUrls) {
-    if (codesDb.isIngested('official_plan', item.chapter)) {
-      console.log(`  ✓ ${item.chapter} — already indexed`);
-      continue;
+  await jobs.runPool(items, ctx.options.concurrency, async (item) => {
+    const provisions = await ingestDocument(adapter, item, ctx);
+    totalProvisions += provisions;
+  });
+
+  console.log(`\n  ${adapter.name}: ${totalProvisions} provisions indexed`);
+  return true;
+}
+
+/**
+ * Ingest one document and checkpoint the outcome. Never throws — a failed
+ * document is recorded and left for the next --resume.
+ */
+async function ingestDocument(adapter, item, ctx) {
+  const { doc } = item;
+  const { refresh, force } = ctx.options;
+  const label = doc.title && doc.title !== doc.chapter ? `${doc.chapter} (${doc.title})` : doc.chapter;
+
+  if (alreadyIndexed(adapter.source, doc.chapter, { refresh })) {
+    console.log(`  ✓ ${label} — already indexed`);
+    jobs.updateItem(item, 'skipped');
+    return 0;
+  }
+
+  jobs.updateItem(item, 'running');
+  let attempts = 0;
+  try {
+    const buffer = await jobs.withRetry(() => {
+      attempts++;
+      return adapter.fetch(doc, ctx);
+    }, {
+      retries: FETCH_RETRIES,
+      onRetry: (e, attempt, delay) => console.warn(`  ↻ ${label} — ${e.message}; retry ${attempt}/${FETCH_RETRIES} in ${Math.round(delay / 1000)}s`),
+    });
+
+    const contentHash = sha256(buffer);
+    if (unchangedSinceLastRun(adapter.source, doc.chapter, contentHash, { refresh })) {
+      console.log(`  = ${label} — unchanged`);
+      jobs.updateItem(item, 'unchanged', { attempts });
+      return 0;
     }
 
-    try {
-      const pdfBuffer = await fetchPdf(item.url);
-      const provisions = await extractAndChunk(pdfBuffer, {
-        source: 'official_plan',
-        chapter: item.chapter,
-        chapterTitle: item.title,
-        pdfUrl: item.url,
-      });
-
-      if (provisions.length > 0) {
-        codesDb.bulkInsert(provisions);
-        codesDb.logIngestion('official_plan', item.chapter, provisions.length);
-        totalProvisions += provisions.length;
-        console.log(`  ✓ ${item.chapter} — ${provisions.length} provisions indexed`);
-      }
-    } catch (e) {
-      console.error(`  ✗ ${item.chapter} — ${e.message}`);
+    const parsed = await adapter.parse(buffer, doc, ctx);
+    const { provisions: chunked, strategy } = adapter.chunk(parsed, doc, ctx);
+    const provisions = chunked.map(p => ({
+      source: adapter.source,
+      chapter: doc.chapter,
+      chapter_title: doc.title || doc.chapter,
+      pdf_url: doc.url,
+      summary: null,
+      ...p,
+    }));
+
+    const quality = assessQuality(provisions, strategy);
+    if (quality.needs_parser) qualityLog.push({ source: adapter.source, chapter: doc.chapter, quality });
+
+    if (provisions.length === 0) {
+      console.log(`  ⚠ ${label} — no provisions extracted`);
+      jobs.updateItem(item, 'empty', { attempts });
+      return 0;
     }
-  }
 
-  console.log(`\n  Official Plan: ${totalProvisions} provisions indexed`);
-  return totalProvisions;
+    const changes = saveProvisions(adapter.source, doc.chapter, doc.url, provisions, { contentHash, quality, force });
+    console.log(`  ✓ ${label} — ${describeChanges(changes)} (${describeQuality(quality)})`);
+    jobs.updateItem(item, 'done', { attempts, provisions: provisions.length });
+    return provisions.length;
+  } catch (e) {
+    console.error(`  ✗ ${label} — ${e.message}`);
+    jobs.updateItem(item, 'failed', { attempts, error: e.message });
+    return 0;
+  }
 }
 
 // ══════════════════════════════════════
 // MAIN
 // ══════════════════════════════════════
 
-function sleep(ms) { return new Promise(r => setTimeout(r, ms)); }
+/**
+ * Job options from the command line (see ingest-jobs.js normalizeOptions)
+ */
+function optionsFromArgs() {
+  return {
+    sources: flag('source') || ARGS.find(a => !a.startsWith('--')) || null,
+    refresh: ARGS.includes('--refresh'),
+    force: ARGS.includes('--force'),
+    allChapters: ARGS.includes('--all-chapters'),
+    urls: flagList('url'),
+    meetings: flagList('meetings'),
+    fixtures: flag('fixtures') && path.resolve(flag('fixtures')),
+    local: flag('local') && path.resolve(flag('local')),
+    concurrency: flag('concurrency'),
+  };
+}
+
+/**
+ * The job this process runs: one the server queued (--job=<id>), the last
+ * unfinished one (--resume), or a new one from the command line
+ */
+function jobFromArgs() {
+  if (flag('job')) {
+    const job = jobs.getJob(flag('job'));
+    if (!job) throw new Error(`no ingestion job ${flag('job')}`);
+    if (job.status === 'completed') throw new Error(`ingestion job ${job.id} has already completed`);
+    return job;
+  }
+  if (ARGS.includes('--resume')) {
+    const job = jobs.findResumableJob();
+    if (!job) throw new Error('there is no failed or interrupted ingestion job to resume');
+    return job;
+  }
+  const { options, error } = jobs.normalizeOptions(optionsFromArgs());
+  if (error) throw new Error(error);
+  return jobs.createJob(options);
+}
 
 async function main() {
   console.log('╔══════════════════════════════════════╗');
   console.log('║   Toronto 2.0 — Code Ingestion       ║');
   console.log('╚══════════════════════════════════════╝');
 
-  const source = process.argv[2]?.replace('--source=', '') || 'all';
+  const active = jobs.activeJob();
+  if (active && active.pid !== process.pid && String(active.id) !== flag('job')) {
+    throw new Error(`ingestion job ${active.id} is already running (pid ${active.pid})`);
+  }
 
-  let total = 0;
+  let job = jobFromArgs();
+  const { options } = job;
+  const offline = Boolean(options.fixtures || options.local);
+  const local = options.local ? loadLocalDocuments(options.local) : null;
 
-  if (source === 'all' || source === 'municipal_code') {
-    total += await ingestMunicipalCode();
+  // A local corpus ingests every source it has documents for, unless told otherwise
+  const sources = options.sources || Object.keys(local);
+  const unknown = sources.filter(s => !adapters.ADAPTERS[s]);
+  if (unknown.length > 0) {
+    throw new Error(`unknown source ${unknown.join(', ')} — expected one of: ${Object.keys(adapters.ADAPTERS).join(', ')}`);
   }
 
-  if (source === 'all' || source === 'zoning_bylaw') {
-    total += await ingestZoningBylaw();
+  job = jobs.claimJob(job.id);
+  console.log(`\n🧾 Job ${job.id}${job.discovered.length ? ' (resuming)' : ''}: ${sources.join(', ')}, ${options.concurrency} at a time`);
+  if (options.refresh) console.log('\n🔄 Refresh mode: re-checking indexed documents for changes');
+  if (options.fixtures) console.log(`\n📁 Offline: reading documents from ${options.fixtures}`);
+  if (local) console.log(`\n📁 Offline: ingesting the local documents in ${options.local}`);
+
+  // Stopping the run leaves it resumable
+  for (const signal of ['SIGINT', 'SIGTERM']) {
+    process.on(signal, () => {
+      jobs.finishJob(job.id, 'interrupted', `Stopped by ${signal}.`);
+      console.log(`\n⏸  Stopped — resume with: node ingest-codes.js --resume`);
+      process.exit(130);
+    });
   }
 
-  if (source === 'all' || source === 'official_plan') {
-    total += await ingestOfficialPlan();
+  const limiter = jobs.createHostLimiter(HOST_INTERVAL_MS);
+  const ctx = {
+    fetch: options.fixtures
+      ? createFixtureFetcher(options.fixtures)
+      : (url, type) => fetchCached(url, type, type === 'pdf' ? 'Downloading PDF:' : 'Fetching', { refresh: options.refresh, limiter }),
+    extractText: offline ? extractTextOffline : extractText,
+    extractKeywords,
+    options,
+    log: (message) => console.log(`  ${message}`),
+  };
+
+  const undiscovered = [];
+  for (const source of sources) {
+    const adapter = adapters.createAdapter(source);
+    const ok = await ingestSource(local ? withLocalDocuments(adapter, local[source] || []) : adapter, jobs.getJob(job.id), ctx);
+    if (!ok) undiscovered.push(source);
+  }
+
+  const status = jobs.getJobStatus(job.id);
+  const failed = status.progress.failed;
+  if (failed || undiscovered.length) {
+    const problems = [
+      failed ? `${failed} document${failed === 1 ? '' : 's'} failed` : null,
+      undiscovered.length ? `couldn't list ${undiscovered.join(', ')}` : null,
+    ].filter(Boolean).join('; ');
+    jobs.finishJob(job.id, 'failed', `${problems} — resume with node ingest-codes.js --resume`);
+    console.log(`\n⚠ Job ${job.id}: ${problems}. Resume with: node ingest-codes.js --resume`);
+  } else {
+    jobs.finishJob(job.id, 'completed');
   }
 
+  if (options.refresh) printChangeReport();
+  printQualityReport();
+
+  // Defined terms and where they're used — re-read every run, since an
+  // amended definitions section or a new chapter changes the links
+  const glossary = definitions.rebuildDefinitions();
+  if (glossary.definitions > 0) console.log(`\n📖 Glossary: ${glossary.definitions} defined terms, ${glossary.uses} uses linked`);
+
+  // ...and the citations between provisions ("subject to", "despite", ...)
+  const graph = crossReferences.rebuildReferences();
+  if (graph.references > 0) console.log(`🔗 Cross-references: ${graph.references} citations, ${graph.resolved} resolved to indexed provisions`);
+
+  // Vectors for hybrid search — cheap to compute, so keep them current
+  const embedded = codesDb.ensureEmbeddings();
+  if (embedded > 0) console.log(`\n🧭 Computed local vectors for ${embedded} provisions`);
+
   console.log('\n════════════════════════════════════');
   const stats = codesDb.getCodeStats();
   console.log(`Total provisions indexed: ${stats.total_provisions}`);
+  if (stats.historical_versions) console.log(`Superseded versions kept: ${stats.historical_versions}`);
   console.log('By source:');
   stats.by_source.forEach(s => console.log(`  ${s.source}: ${s.count}`));
   console.log('════════════════════════════════════\n');
@@ -453,5 +636,8 @@ async function main() {
 
 main().catch(e => {
   console.error('Fatal error:', e);
+  // A job that was started stays resumable
+  const job = jobs.activeJob();
+  if (job && job.pid === process.pid) jobs.finishJob(job.id, 'failed', e.message);
   process.exit(1);
 });
@@ -0,0 +1,393 @@
+/**
+ * ingest-jobs.js — Job runner and checkpoints for ingest-codes.js
+ *
+ * Every ingestion run is a job: a row in ingest_jobs holding its options,
+ * plus one ingest_job_items row per document that discover() listed. Items
+ * move pending → running → done / unchanged / skipped / empty / failed, and
+ * every move is written to codes.db as it happens, so:
+ *   - a run that crashes or is stopped picks up where it left off
+ *     (node ingest-codes.js --resume), without re-discovering or redoing
+ *     finished documents
+ *   - progress can be read by anyone with the database — the server's
+ *     GET /api/codes/ingest/status reads the same rows
+ *
+ * Documents are processed by a bounded pool (runPool), requests to one host
+ * are spaced out (createHostLimiter), and transient fetch failures are
+ * retried with exponential backoff (withRetry).
+ *
+ * The server starts jobs with startIngestion(), which runs ingest-codes.js
+ * in a child process so PDF parsing never blocks requests.
+ */
+
+const { spawn } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+const codesDb = require('./codes-db');
+const adapters = require('./source-adapters');
+
+const DEFAULT_CONCURRENCY = 3;
+const MAX_CONCURRENCY = 8;
+
+// A job nobody has claimed after this long never got a process
+const UNCLAIMED_TIMEOUT_S = 60;
+
+// Documents with these statuses count as finished; anything else is redone on resume
+const FINISHED = ['done', 'unchanged', 'skipped', 'empty'];
+
+const LOG_DIR = path.join(__dirname, '.cache');
+
+function sleep(ms) { return new Promise(r => setTimeout(r, ms)); }
+
+// ══════════════════════════════════════
+// Concurrency, rate limiting, retries
+// ══════════════════════════════════════
+
+/**
+ * Run `worker` over `items` with at most `concurrency` in flight.
+ * Workers handle their own errors; a throw stops the pool.
+ */
+async function runPool(items, concurrency, worker) {
+  let next = 0;
+  const lanes = Array.from({ length: Math.min(concurrency, items.length) }, async () => {
+    while (next < items.length) {
+      const item = items[next++];
+      await worker(item);
+    }
+  });
+  await Promise.all(lanes);
+}
+
+/**
+ * Space requests to the same host at least `intervalMs` apart, however
+ * many workers are fetching. wait(url) resolves when it's the URL's turn.
+ */
+function createHostLimiter(intervalMs) {
+  const nextSlot = new Map();
+  return {
+    async wait(url) {
+      const host = new URL(url).host;
+      const now = Date.now();
+      const at = Math.max(now, nextSlot.get(host) || 0);
+      nextSlot.set(host, at + intervalMs);
+      if (at > now) await sleep(at - now);
+    },
+  };
+}
+
+/**
+ * Network errors, timeouts, 429s and 5xx responses are worth another try;
+ * a 404, a parse error or a bug in an adapter isn't. fetch() rejects with
+ * TypeError('fetch failed') and the socket error as its cause, so a
+ * TypeError only counts when that cause is a network error.
+ */
+function isTransient(err) {
+  if (err.status) return err.status === 429 || err.status >= 500;
+  if (err.name === 'AbortError' || err.name === 'TimeoutError') return true;
+  return /ECONNRESET|ECONNREFUSED|ETIMEDOUT|EAI_AGAIN|ENOTFOUND|EPIPE|UND_ERR_|socket hang up/i
+    .test(`${err.code || ''} ${err.cause?.code || ''} ${err.name === 'TypeError' ? '' : err.message}`);
+}
+
+/**
+ * Call fn(attempt) until it succeeds, retrying transient failures up to
+ * `retries` times with exponential backoff (base, 2×base, 4×base, ... plus jitter)
+ */
+async function withRetry(fn, { retries = 3, baseDelayMs = 1000, onRetry = () => {} } = {}) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await fn(attempt);
+    } catch (e) {
+      if (attempt > retries || !isTransient(e)) throw e;
+      const delay = baseDelayMs * 2 ** (attempt - 1) + Math.floor(Math.random() * baseDelayMs / 2);
+      onRetry(e, attempt, delay);
+      await sleep(delay);
+    }
+  }
+}
+
+// ══════════════════════════════════════
+// Options
+// ══════════════════════════════════════
+
+/**
+ * Check and fill in a job's options, from CLI flags or an API request body.
+ * Returns { options } or { error }.
+ *
+ * `sources` may be 'all', a comma-separated string or an array; left out,
+ * it's the default sources, or with `local` every source in the corpus.
+ */
+function normalizeOptions(raw = {}) {
+  const list = (v) => (Array.isArray(v) ? v : typeof v === 'string' ? v.split(',') : [])
+    .map(s => String(s).trim()).filter(Boolean);
+
+  let sources = null;
+  if (raw.sources != null && raw.sources !== '') {
+    sources = [...new Set(list(raw.sources).flatMap(s => (s === 'all' ? adapters.DEFAULT_SOURCES : [s])))];
+    const unknown = sources.filter(s => !adapters.ADAPTERS[s]);
+    if (unknown.length > 0) {
+      return { error: `Unknown source ${unknown.join(', ')} — expected all or one of: ${Object.keys(adapters.ADAPTERS).join(', ')}.` };
+    }
+  } else if (!raw.local) {
+    sources = adapters.DEFAULT_SOURCES;
+  }
+
+  const concurrency = raw.concurrency == null ? DEFAULT_CONCURRENCY : parseInt(raw.concurrency);
+  if (!Number.isInteger(concurrency) || concurrency < 1 || concurrency > MAX_CONCURRENCY) {
+    return { error: `concurrency must be a whole number from 1 to ${MAX_CONCURRENCY}.` };
+  }
+
+  const urls = list(raw.urls);
+  const badUrl = urls.find(u => !/^https?:\/\//i.test(u));
+  if (badUrl) return { error: `Not an http(s) URL: ${badUrl}` };
+
+  return {
+    options: {
+      sources,
+      refresh: Boolean(raw.refresh),
+      force: Boolean(raw.force),
+      allChapters: Boolean(raw.allChapters),
+      urls,
+      meetings: list(raw.meetings),
+      fixtures: raw.fixtures || null,
+      local: raw.local || null,
+      concurrency,
+    },
+  };
+}
+
+// ══════════════════════════════════════
+// Jobs and checkpoints
+// ══════════════════════════════════════
+
+function parseJob(row) {
+  if (!row) return null;
+  return {
+    ...row,
+    options: JSON.parse(row.options),
+    discovered: row.discovered ? row.discovered.split(',') : [],
+  };
+}
+
+function createJob(options) {
+  const db = codesDb.getDb();
+  const { lastInsertRowid } = db.prepare('INSERT INTO ingest_jobs (options) VALUES (?)').run(JSON.stringify(options));
+  return getJob(lastInsertRowid);
+}
+
+function getJob(id) {
+  const db = codesDb.getDb();
+  return parseJob(db.prepare('SELECT * FROM ingest_jobs WHERE id = ?').get(id));
+}
+
+function isAlive(pid) {
+  if (!pid) return false;
+  try {
+    process.kill(pid, 0); // signal 0 only checks that the process exists
+    return true;
+  } catch (e) {
+    return e.code === 'EPERM';
+  }
+}
+
+/**
+ * A job marked running whose process has gone away crashed or was killed
+ */
+function markStaleJobs() {
+  const db = codesDb.getDb();
+  const running = db.prepare(`
+    SELECT id, pid, (julianday('now') - julianday(created_at)) * 86400 AS age_seconds
+    FROM ingest_jobs WHERE status IN ('queued', 'running')
+  `).all();
+  const stale = db.prepare(`UPDATE ingest_jobs SET status = 'interrupted', error = COALESCE(error, 'The ingestion process stopped unexpectedly.') WHERE id = ?`);
+  for (const job of running) {
+    // A job with no process yet is only stale once nothing has claimed it for a while
+    if (job.pid ? !isAlive(job.pid) : job.age_seconds > UNCLAIMED_TIMEOUT_S) stale.run(job.id);
+  }
+}
+
+/**
+ * The job that's running now, if any
+ */
+function activeJob() {
+  markStaleJobs();
+  const db = codesDb.getDb();
+  return parseJob(db.prepare(`SELECT * FROM ingest_jobs WHERE status IN ('queued', 'running') ORDER BY id DESC LIMIT 1`).get());
+}
+
+/**
+ * The most recent job that didn't finish cleanly, for --resume
+ */
+function findResumableJob() {
+  markStaleJobs();
+  const db = codesDb.getDb();
+  return parseJob(db.prepare(`SELECT * FROM ingest_jobs WHERE status IN ('failed', 'interrupted') ORDER BY id DESC LIMIT 1`).get());
+}
+
+/**
+ * Take a job for this process. Documents left running by a previous
+ * attempt go back to pending.
+ */
+function claimJob(id) {
+  const db = codesDb.getDb();
+  db.transaction(() => {
+    db.prepare(`
+      UPDATE ingest_jobs SET status = 'running', pid = ?, error = NULL, finished_at = NULL,
+        started_at = COALESCE(started_at, datetime('now')), heartbeat_at = datetime('now')
+      WHERE id = ?
+    `).run(process.pid, id);
+    db.prepare(`UPDATE ingest_job_items SET status = 'pending', updated_at = datetime('now') WHERE job_id = ? AND status = 'running'`).run(id);
+  })();
+  return getJob(id);
+}
+
+/**
+ * Checkpoint a source's discovered documents. Re-discovering on resume
+ * doesn't duplicate them.
+ */
+function recordDiscovery(jobId, source, docs) {
+  const db = codesDb.getDb();
+  const insert = db.prepare('INSERT OR IGNORE INTO ingest_job_items (job_id, source, chapter, doc) VALUES (?, ?, ?, ?)');
+  db.transaction(() => {
+    for (const doc of docs) insert.run(jobId, source, doc.chapter, JSON.stringify(doc));
+    const job = getJob(jobId);
+    const discovered = [...new Set([...job.discovered, source])].join(',');
+    db.prepare(`UPDATE ingest_jobs SET discovered = ?, heartbeat_at = datetime('now') WHERE id = ?`).run(discovered, jobId);
+  })();
+}
+
+/**
+ * A source's documents that still need doing
+ */
+function remainingItems(jobId, source) {
+  const db = codesDb.getDb();
+  return db.prepare(`
+    SELECT * FROM ingest_job_items
+    WHERE job_id = ? AND source = ? AND status NOT IN (${FINISHED.map(() => '?').join(', ')})
+    ORDER BY id
+  `).all(jobId, source, ...FINISHED).map(item => ({ ...item, doc: JSON.parse(item.doc) }));
+}
+
+function updateItem(item, status, { error = null, provisions = 0, attempts = null } = {}) {
+  const db = codesDb.getDb();
+  db.transaction(() => {
+    db.prepare(`
+      UPDATE ingest_job_items SET status = ?, error = ?, provisions = ?, attempts = COALESCE(?, attempts), updated_at = datetime('now')
+      WHERE id = ?
+    `).run(status, error, provisions, attempts, item.id);
+    db.prepare(`UPDATE ingest_jobs SET heartbeat_at = datetime('now') WHERE id = ?`).run(item.job_id);
+  })();
+}
+
+function finishJob(id, status, error = null) {
+  const db = codesDb.getDb();
+  db.prepare(`
+    UPDATE ingest_jobs SET status = ?, error = ?, finished_at = datetime('now'), heartbeat_at = datetime('now')
+    WHERE id = ?
+  `).run(status, error, id);
+}
+
+/**
+ * Progress of one job (the latest if no id): counts by status, what's
+ * being worked on, and what failed
+ */
+function getJobStatus(id = null) {
+  markStaleJobs();
+  const db = codesDb.getDb();
+  const job = id
+    ? getJob(id)
+    : parseJob(db.prepare('SELECT * FROM ingest_jobs ORDER BY id DESC LIMIT 1').get());
+  if (!job) return null;
+
+  const counts = Object.fromEntries(['pending', 'running', ...FINISHED, 'failed'].map(s => [s, 0]));
+  for (const row of db.prepare('SELECT status, COUNT(*) AS count FROM ingest_job_items WHERE job_id = ? GROUP BY status').all(job.id)) {
+    counts[row.status] = row.count;
+  }
+  const total = Object.values(counts).reduce((a, b) => a + b, 0);
+  const finished = FINISHED.reduce((n, s) => n + counts[s], 0);
+
+  const brief = 'source, chapter, status, attempts, provisions, error, updated_at';
+  const bySource = db.prepare(`
+    SELECT source, COUNT(*) AS documents,
+      SUM(status IN (${FINISHED.map(() => '?').join(', ')})) AS finished,
+      SUM(status = 'failed') AS failed, SUM(provisions) AS provisions
+    FROM ingest_job_items WHERE job_id = ? GROUP BY source ORDER BY MIN(id)
+  `).all(...FINISHED, job.id);
+
+  return {
+    id: job.id,
+    status: job.status,
+    options: job.options,
+    error: job.error,
+    created_at: job.created_at,
+    started_at: job.started_at,
+    heartbeat_at: job.heartbeat_at,
+    finished_at: job.finished_at,
+    // Sources still to be listed aren't in the totals yet
+    sources_pending_discovery: (job.options.sources || []).filter(s => !job.discovered.includes(s)),
+    progress: { total, finished, percent: total ? Math.round((finished / total) * 100) : 0, ...counts },
+    by_source: bySource,
+    running: db.prepare(`SELECT ${brief} FROM ingest_job_items WHERE job_id = ? AND status = 'running' ORDER BY id`).all(job.id),
+    failures: db.prepare(`SELECT ${brief} FROM ingest_job_items WHERE job_id = ? AND status = 'failed' ORDER BY id LIMIT 50`).all(job.id),
+  };
+}
+
+// ══════════════════════════════════════
+// Starting jobs from the server
+// ══════════════════════════════════════
+
+/**
+ * Start ingestion in a child process: a new job with `options`, or with
+ * { resume: true } the last one that didn't finish. Its output goes to
+ * .cache/ingest-job-<id>.log. Returns { job } or { error, status }.
+ */
+function startIngestion({ resume = false, ...raw } = {}) {
+  const running = activeJob();
+  if (running) return { error: `Ingestion job ${running.id} is already running.`, status: 409 };
+
+  let job;
+  if (resume) {
+    job = findResumableJob();
+    if (!job) return { error: 'There is no failed or interrupted job to resume.', status: 404 };
+  } else {
+    const { options, error } = normalizeOptions(raw);
+    if (error) return { error, status: 400 };
+    job = createJob(options);
+  }
+
+  if (!fs.existsSync(LOG_DIR)) fs.mkdirSync(LOG_DIR, { recursive: true });
+  const logPath = path.join(LOG_DIR, `ingest-job-${job.id}.log`);
+  const log = fs.openSync(logPath, 'a');
+  const child = spawn(process.execPath, [path.join(__dirname, 'ingest-codes.js'), `--job=${job.id}`], {
+    cwd: __dirname,
+    env: process.env,
+    stdio: ['ignore', log, log],
+  });
+  fs.closeSync(log);
+
+  // Record the pid now so a child that dies before claiming the job shows as interrupted
+  codesDb.getDb().prepare(`UPDATE ingest_jobs SET pid = ? WHERE id = ? AND pid IS NULL`).run(child.pid, job.id);
+  child.on('exit', (code) => {
+    if (code !== 0) console.error(`Ingestion job ${job.id} exited with code ${code} — see ${logPath}`);
+  });
+
+  return { job: getJobStatus(job.id), log: path.relative(__dirname, logPath) };
+}
+
+module.exports = {
+  DEFAULT_CONCURRENCY,
+  runPool,
+  createHostLimiter,
+  withRetry,
+  isTransient,
+  normalizeOptions,
+  createJob,
+  getJob,
+  activeJob,
+  findResumableJob,
+  claimJob,
+  recordDiscovery,
+  remainingItems,
+  updateItem,
+  finishJob,
+  getJobStatus,
+  startIngestion,
+};
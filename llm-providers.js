@@ -0,0 +1,291 @@
+/**
+ * llm-providers.js — Pluggable LLM backends for trace generation
+ *
+ * Every provider exposes the same shape:
+ *
+ *   {
+ *     name, model,
+ *     missingConfig,   // null, or a message explaining what .env needs
+ *     complete({ system, prompt, provisions, maxTokens, onText, signal }) → Promise<text>
+ *   }
+ *
+ * `onText` is optional; when given, the provider streams and calls it with
+ * each fragment of text as it arrives. `provisions` are the rows retrieved
+ * from codes.db — only the mock provider reads them.
+ *
+ * Pick one with LLM_PROVIDER:
+ *   anthropic — Anthropic Messages API (default)
+ *   openai    — any OpenAI-compatible /chat/completions endpoint
+ *   local     — a local Ollama-style model server (/api/chat)
+ *   mock      — deterministic, offline; builds traces from the retrieved provisions
+ */
+
+const { formatReference } = require('./codes-db');
+
+/**
+ * Read a streamed HTTP body line by line
+ */
+async function* readLines(body) {
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  for await (const chunk of body) {
+    buffer += decoder.decode(chunk, { stream: true });
+    const lines = buffer.split('\n');
+    buffer = lines.pop();
+    yield* lines;
+  }
+  if (buffer) yield buffer;
+}
+
+async function ensureOk(response, name) {
+  if (response.ok) return;
+  const errBody = await response.text();
+  throw new Error(`${name} API error ${response.status}: ${errBody.slice(0, 500)}`);
+}
+
+// ══════════════════════════════════════
+// Anthropic
+// ══════════════════════════════════════
+
+function createAnthropicProvider({ apiKey, model = 'claude-sonnet-4-20250514' }) {
+  return {
+    name: 'anthropic',
+    model,
+    missingConfig: apiKey ? null : 'API key not configured. Set ANTHROPIC_API_KEY in .env',
+
+    async complete({ system, prompt, maxTokens = 1200, onText = null, signal }) {
+      const response = await fetch('https://api.anthropic.com/v1/messages', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'x-api-key': apiKey,
+          'anthropic-version': '2023-06-01'
+        },
+        body: JSON.stringify({
+          model,
+          max_tokens: maxTokens,
+          system,
+          stream: !!onText,
+          messages: [{ role: 'user', content: prompt }]
+        }),
+        signal
+      });
+
+      await ensureOk(response, 'Anthropic');
+
+      if (!onText) {
+        const data = await response.json();
+        return data.content.map(c => c.text || '').join('');
+      }
+
+      // Streaming responses are SSE: pick the text deltas out of each `data:` line
+      let text = '';
+      for await (const line of readLines(response.body)) {
+        if (!line.startsWith('data:')) continue;
+        const event = JSON.parse(line.slice(5));
+        if (event.type === 'content_block_delta' && event.delta?.type === 'text_delta') {
+          text += event.delta.text;
+          onText(event.delta.text);
+        } else if (event.type === 'error') {
+          throw new Error(`Anthropic stream error: ${JSON.stringify(event.error)}`);
+        }
+      }
+      return text;
+    }
+  };
+}
+
+// ══════════════════════════════════════
+// OpenAI-compatible (OpenAI, OpenRouter, vLLM, LM Studio, llama.cpp server…)
+// ══════════════════════════════════════
+
+function createOpenAIProvider({ apiKey, baseUrl = 'https://api.openai.com/v1', model = 'gpt-4o-mini' }) {
+  const isDefaultHost = baseUrl.startsWith('https://api.openai.com');
+
+  return {
+    name: 'openai',
+    model,
+    // Self-hosted compatible servers usually don't need a key
+    missingConfig: apiKey || !isDefaultHost ? null : 'API key not configured. Set LLM_API_KEY in .env',
+
+    async complete({ system, prompt, maxTokens = 1200, onText = null, signal }) {
+      const response = await fetch(`${baseUrl.replace(/\/$/, '')}/chat/completions`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          ...(apiKey ? { 'Authorization': `Bearer ${apiKey}` } : {})
+        },
+        body: JSON.stringify({
+          model,
+          max_tokens: maxTokens,
+          stream: !!onText,
+          messages: [
+            { role: 'system', content: system },
+            { role: 'user', content: prompt }
+          ]
+        }),
+        signal
+      });
+
+      await ensureOk(response, 'OpenAI-compatible');
+
+      if (!onText) {
+        const data = await response.json();
+        return data.choices?.[0]?.message?.content || '';
+      }
+
+      let text = '';
+      for await (const line of readLines(response.body)) {
+        if (!line.startsWith('data:')) continue;
+        const payload = line.slice(5).trim();
+        if (payload === '[DONE]') break;
+        const delta = JSON.parse(payload).choices?.[0]?.delta?.content;
+        if (delta) {
+          text += delta;
+          onText(delta);
+        }
+      }
+      return text;
+    }
+  };
+}
+
+// ══════════════════════════════════════
+// Local model server (Ollama /api/chat, newline-delimited JSON)
+// ══════════════════════════════════════
+
+function createLocalProvider({ baseUrl = 'http://localhost:11434', model = 'llama3.1' }) {
+  return {
+    name: 'local',
+    model,
+    missingConfig: null,
+
+    async complete({ system, prompt, maxTokens = 1200, onText = null, signal }) {
+      const response = await fetch(`${baseUrl.replace(/\/$/, '')}/api/chat`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          model,
+          stream: !!onText,
+          format: 'json',
+          options: { num_predict: maxTokens },
+          messages: [
+            { role: 'system', content: system },
+            { role: 'user', content: prompt }
+          ]
+        }),
+        signal
+      });
+
+      await ensureOk(response, 'Local model');
+
+      if (!onText) {
+        const data = await response.json();
+        return data.message?.content || '';
+      }
+
+      let text = '';
+      for await (const line of readLines(response.body)) {
+        if (!line.trim()) continue;
+        const event = JSON.parse(line);
+        if (event.error) throw new Error(`Local model stream error: ${event.error}`);
+        const delta = event.message?.content;
+        if (delta) {
+          text += delta;
+          onText(delta);
+        }
+      }
+      return text;
+    }
+  };
+}
+
+// ══════════════════════════════════════
+// Mock (offline, deterministic)
+// ══════════════════════════════════════
+
+/**
+ * First sentence of a provision, trimmed to something readable
+ */
+function firstSentence(text, max = 240) {
+  const flat = (text || '').replace(/\s+/g, ' ').trim();
+  const sentence = flat.match(/^.{40,}?[.;](\s|$)/)?.[0] || flat;
+  return sentence.length > max ? sentence.slice(0, max - 1).trimEnd() + '…' : sentence.trim();
+}
+
+/**
+ * Builds a trace from the top retrieved provisions without calling anything.
+ * Same input, same output — so dev machines and CI can run the whole
+ * trace pipeline (search → verify → save) with no key and no network.
+ */
+function createMockProvider() {
+  return {
+    name: 'mock',
+    model: 'mock',
+    missingConfig: null,
+
+    async complete({ provisions = [], onText = null }) {
+      const traces = provisions.slice(0, 3).map(p => ({
+        code_ref: formatReference(p),
+        title: (p.section_title || p.chapter_title || 'Municipal provision').slice(0, 60),
+        code_content: firstSentence(p.content),
+        code_comment: `${p.chapter_title || p.chapter} sets the terms everything downstream has to work within`,
+        annotation: `Your story touches on ${p.chapter_title || p.chapter}. This provision is one of the rules that shaped what happened to you.`
+      }));
+
+      const text = JSON.stringify({
+        traces,
+        summary: traces.length
+          ? `Your experience traces back to ${traces.length} provision${traces.length > 1 ? 's' : ''} in ${[...new Set(provisions.slice(0, 3).map(p => p.chapter_title || p.chapter))].join(', ')}.`
+          : 'No matching provisions were found in the local code database.'
+      });
+
+      if (onText) {
+        for (let i = 0; i < text.length; i += 40) onText(text.slice(i, i + 40));
+      }
+      return text;
+    }
+  };
+}
+
+// ══════════════════════════════════════
+// Factory
+// ══════════════════════════════════════
+
+const PROVIDERS = {
+  anthropic: (env) => createAnthropicProvider({
+    apiKey: env.ANTHROPIC_API_KEY,
+    model: env.LLM_MODEL || undefined
+  }),
+  openai: (env) => createOpenAIProvider({
+    apiKey: env.LLM_API_KEY || env.OPENAI_API_KEY,
+    baseUrl: env.LLM_BASE_URL || undefined,
+    model: env.LLM_MODEL || undefined
+  }),
+  local: (env) => createLocalProvider({
+    baseUrl: env.LLM_BASE_URL || undefined,
+    model: env.LLM_MODEL || undefined
+  }),
+  mock: () => createMockProvider(),
+};
+
+/**
+ * Build the provider named by LLM_PROVIDER (defaults to anthropic)
+ */
+function createProvider(env = process.env) {
+  const name = (env.LLM_PROVIDER || 'anthropic').toLowerCase();
+  const factory = PROVIDERS[name];
+  if (!factory) {
+    throw new Error(`Unknown LLM_PROVIDER "${name}". Use one of: ${Object.keys(PROVIDERS).join(', ')}`);
+  }
+  return factory(env);
+}
+
+module.exports = {
+  createProvider,
+  createAnthropicProvider,
+  createOpenAIProvider,
+  createLocalProvider,
+  createMockProvider,
+};
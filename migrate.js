@@ -0,0 +1,77 @@
+#!/usr/bin/env node
+
+/**
+ * migrate.js — Apply schema migrations to toronto2.db and codes.db
+ *
+ * Run: node migrate.js [--dry-run] [--db=stories|codes]
+ *
+ * The server and the ingestion script migrate their database when they
+ * open it; this does it without starting either, e.g. as a deploy step.
+ * With --dry-run, the pending migrations are run and rolled back, and
+ * listed with whether they apply cleanly. See migrations.js.
+ */
+
+require('dotenv').config();
+const Database = require('better-sqlite3');
+const fs = require('fs');
+const path = require('path');
+const codesDb = require('./codes-db');
+const migrations = require('./migrations');
+
+const ARGS = process.argv.slice(2);
+const flag = (name) => ARGS.find(a => a.startsWith(`--${name}=`))?.slice(name.length + 3) || null;
+
+const STORIES_DB = path.join(__dirname, 'toronto2.db');
+
+// codes.db first: toronto2.db's migrations look provisions up in it
+const DATABASES = [
+  { key: 'codes', file: codesDb.DB_PATH, list: require('./codes-migrations'), open: () => codesDb.getDb({ migrate: false }) },
+  {
+    key: 'stories',
+    file: STORIES_DB,
+    list: require('./stories-migrations'),
+    open: () => {
+      const db = new Database(STORIES_DB);
+      db.pragma('journal_mode = WAL');
+      return db;
+    },
+  },
+];
+
+function main() {
+  const dryRun = ARGS.includes('--dry-run');
+  const only = flag('db');
+  if (only && !DATABASES.some(d => d.key === only)) {
+    throw new Error(`unknown database ${only} — expected one of: ${DATABASES.map(d => d.key).join(', ')}`);
+  }
+
+  // A dry run of toronto2.db's migrations must read codes.db as it is, not
+  // migrate it on the way
+  if (dryRun && fs.existsSync(codesDb.DB_PATH)) codesDb.getDb({ migrate: false });
+
+  for (const target of DATABASES.filter(d => !only || d.key === only)) {
+    const name = path.basename(target.file);
+    const latest = target.list[target.list.length - 1].version;
+    if (dryRun && !fs.existsSync(target.file)) {
+      console.log(`\n${name}: doesn't exist yet — it will be created with migrations 1–${latest}`);
+      continue;
+    }
+
+    const { version, applied } = migrations.migrate(target.open(), target.list, { dryRun });
+    if (applied.length === 0) {
+      console.log(`\n${name}: up to date (schema version ${version})`);
+      continue;
+    }
+    console.log(`\n${name}: ${dryRun ? `at schema version ${version}, ${applied.length} pending` : `now at schema version ${version}`}`);
+    for (const m of applied) console.log(`  ${dryRun ? 'would apply' : 'applied'} ${m.version} ${m.name}`);
+  }
+
+  if (dryRun) console.log('\nDry run: nothing was changed.');
+}
+
+try {
+  main();
+} catch (e) {
+  console.error('Migration failed:', e.message);
+  process.exit(1);
+}
@@ -0,0 +1,128 @@
+/**
+ * migrations.js — Versioned schema migrations for the SQLite databases
+ *
+ * Each database has an ordered list of migrations, { version, name, up(db) }
+ * (stories-migrations.js for toronto2.db, codes-migrations.js for codes.db).
+ * The versions applied to a database are recorded in its `schema_migrations`
+ * table; migrate() applies the rest in order, each in its own transaction
+ * together with its row, so a migration that fails leaves nothing behind and
+ * is retried next time. The server and the ingestion script migrate their
+ * database when they open it, and `npm run migrate` does it by hand
+ * (migrate.js).
+ *
+ * Databases built before migrations existed have no schema_migrations table
+ * but may already have any of the tables and columns, so the migrations up
+ * to that point check before they create or add anything (see addColumn).
+ * Migrations added from here on can assume the ones before them ran.
+ *
+ * Never edit a migration once it has shipped: add a new one.
+ */
+
+const path = require('path');
+
+/**
+ * Add a column unless the table already has it. Returns true if it was added.
+ * `definition` is the column as ALTER TABLE takes it, e.g. 'level TEXT'.
+ */
+function addColumn(db, table, definition) {
+  const name = definition.trim().split(/\s+/)[0];
+  if (db.prepare(`SELECT 1 FROM pragma_table_info(?) WHERE name = ?`).get(table, name)) return false;
+  db.exec(`ALTER TABLE ${table} ADD COLUMN ${definition}`);
+  return true;
+}
+
+// Versions must be unique and listed in order
+function checkList(migrations) {
+  migrations.forEach((m, i) => {
+    if (!Number.isInteger(m.version) || m.version < 1) throw new Error(`Migration "${m.name}" needs a positive integer version`);
+    if (i > 0 && m.version <= migrations[i - 1].version) {
+      throw new Error(`Migration ${m.version} (${m.name}) is listed after ${migrations[i - 1].version}`);
+    }
+  });
+}
+
+function ensureTable(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at TEXT DEFAULT (datetime('now'))
+    )
+  `);
+}
+
+/**
+ * The versions recorded in a database's schema_migrations, oldest first
+ * (none if it has never been migrated)
+ */
+function appliedVersions(db) {
+  const exists = db.prepare(`SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = 'schema_migrations'`).get();
+  if (!exists) return [];
+  return db.prepare(`SELECT version FROM schema_migrations ORDER BY version`).all().map(r => r.version);
+}
+
+/**
+ * Apply the migrations a database hasn't had yet, in order. With dryRun,
+ * they're run in one transaction that is then rolled back, so a migration
+ * that would fail shows up without anything changing. Returns
+ * { database, version, applied: [{ version, name }] } — `version` is the
+ * schema version afterwards (before, for a dry run), `applied` what was
+ * (or would be) applied. Throws if a migration fails, with the migration
+ * named in the message.
+ */
+function migrate(db, migrations, { dryRun = false } = {}) {
+  checkList(migrations);
+  const database = path.basename(db.name);
+  const done = new Set(appliedVersions(db));
+  const latest = migrations.length ? migrations[migrations.length - 1].version : 0;
+  const newest = Math.max(0, ...done);
+  if (newest > latest) {
+    throw new Error(`${database} is at schema version ${newest}, but this code only knows migrations up to ${latest}. Update the code before running it against this database.`);
+  }
+
+  const pending = migrations.filter(m => !done.has(m.version));
+  const run = (m) => {
+    try {
+      m.up(db);
+    } catch (e) {
+      e.message = `${database} migration ${m.version} (${m.name}) failed: ${e.message}`;
+      throw e;
+    }
+  };
+
+  if (dryRun) {
+    if (pending.length) {
+      db.exec('BEGIN');
+      try {
+        ensureTable(db);
+        for (const m of pending) run(m);
+      } finally {
+        db.exec('ROLLBACK');
+      }
+    }
+    return { database, version: newest, applied: pending.map(({ version, name }) => ({ version, name })) };
+  }
+
+  ensureTable(db);
+  const record = db.prepare(`INSERT INTO schema_migrations (version, name) VALUES (?, ?)`);
+  const isApplied = db.prepare(`SELECT 1 FROM schema_migrations WHERE version = ?`);
+  const applied = [];
+  for (const m of pending) {
+    // IMMEDIATE takes the write lock up front, so when the server and the
+    // ingestion script start together only one of them applies each migration
+    const didApply = db.transaction(() => {
+      if (isApplied.get(m.version)) return false;
+      run(m);
+      record.run(m.version, m.name);
+      return true;
+    }).immediate();
+    if (didApply) applied.push({ version: m.version, name: m.name });
+  }
+  return { database, version: Math.max(0, ...appliedVersions(db)), applied };
+}
+
+module.exports = {
+  addColumn,
+  appliedVersions,
+  migrate,
+};
@@ -0,0 +1,259 @@
+/**
+ * neighbourhoods.js — Toronto neighbourhood, ward and street registry
+ *
+ * Static data shipped in data/:
+ *   neighbourhoods.csv  the City's 158 social-planning neighbourhoods, each
+ *                       with its ward and the names people actually use
+ *                       ("Leslieville" → South Riverdale)
+ *   wards.csv           the 25 city wards
+ *   streets.csv         major streets and the neighbourhoods they run
+ *                       through or border
+ *
+ * normalizeNeighbourhood() maps whatever someone typed into the
+ * neighbourhood box to a canonical id, so "Leslieville", "leslieville " and
+ * "Leslieville, East End" all count as one place. geocodeStory() finds a
+ * neighbourhood from place names or a street intersection in the story.
+ *
+ * A neighbourhood's ward is the one that holds most of it; a few straddle
+ * a ward boundary.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DATA_DIR = path.join(__dirname, 'data');
+
+/**
+ * Read one of the registry CSVs. Fields are plain (no quoting); multi-valued
+ * fields are separated with |.
+ */
+function readCsv(file) {
+  const [header, ...lines] = fs.readFileSync(path.join(DATA_DIR, file), 'utf-8').trim().split(/\r?\n/);
+  const columns = header.split(',');
+  return lines.filter(Boolean).map(line => {
+    const values = line.split(',');
+    return Object.fromEntries(columns.map((c, i) => [c, (values[i] || '').trim()]));
+  });
+}
+
+const list = (field) => field ? field.split('|').map(s => s.trim()).filter(Boolean) : [];
+
+/**
+ * Comparable form of a place name: lowercase, no accents or punctuation,
+ * "St." → "st", "&" → "and", no leading "the"
+ */
+function placeKey(text) {
+  return String(text || '')
+    .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[’`]/g, "'")
+    .replace(/&/g, ' and ')
+    .replace(/[^a-z0-9']+/g, ' ')
+    .replace(/'/g, '')
+    .trim()
+    .replace(/^the\s+/, '');
+}
+
+// ── Load the registry ──
+
+const wards = new Map(readCsv('wards.csv').map(w => [parseInt(w.id), { id: parseInt(w.id), name: w.name }]));
+
+const neighbourhoods = new Map(readCsv('neighbourhoods.csv').map(n => [parseInt(n.id), {
+  id: parseInt(n.id),
+  name: n.name,
+  ward_id: parseInt(n.ward),
+  aliases: list(n.aliases),
+}]));
+
+const streets = readCsv('streets.csv').map(s => ({
+  name: s.name,
+  aliases: list(s.aliases),
+  neighbourhoods: list(s.neighbourhoods).map(Number),
+  // "Queen Street" → "Queen": what by-law text and search terms use
+  short: s.name.replace(/\s+(Street|Avenue|Road|Boulevard|Drive)$/, ''),
+}));
+
+// Key → neighbourhood id. Official names win over aliases.
+const nameIndex = new Map();
+for (const n of neighbourhoods.values()) nameIndex.set(placeKey(n.name), n.id);
+for (const n of neighbourhoods.values()) {
+  for (const alias of n.aliases) {
+    if (!nameIndex.has(placeKey(alias))) nameIndex.set(placeKey(alias), n.id);
+  }
+}
+const keysByLength = [...nameIndex.keys()].sort((a, b) => b.length - a.length);
+
+/**
+ * Regex for a place or street name as it might appear in running text:
+ * whole words, any mix of spaces/hyphens, optional "." after abbreviations
+ */
+function mentionRegex(name) {
+  const words = name.replace(/\./g, '').split(/[\s-]+/).map(w => w.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/'/g, "['’]?"));
+  return new RegExp(`(?<![\\w-])${words.join('\\.?[\\s-]+')}\\.?(?![\\w-])`, 'gi');
+}
+
+// Names that are also street names ("Danforth", "Queen West") are matched
+// as streets in stories, not as places
+const streetKeys = new Set(streets.flatMap(s => [s.name, ...s.aliases]).map(placeKey));
+
+const storyPlaces = [...neighbourhoods.values()].flatMap(n =>
+  [n.name, ...n.aliases]
+    .filter(name => !streetKeys.has(placeKey(name)))
+    .map(name => ({ id: n.id, regex: mentionRegex(name) }))
+);
+
+// Longest alias first, so "Queen Street West" isn't also counted as "Queen"
+const storyStreets = streets.flatMap(s =>
+  [s.name, ...s.aliases].map(name => ({ street: s, regex: mentionRegex(name), length: name.length }))
+).sort((a, b) => b.length - a.length);
+
+// A mention only counts if it's capitalized — "the beach" and "a junction"
+// in a story aren't places, "the Beach" and "the Junction" are
+const isProperNoun = (match) => /^[A-Z0-9]/.test(match);
+
+// ══════════════════════════════════════
+// Lookups
+// ══════════════════════════════════════
+
+function formatNeighbourhood(n) {
+  if (!n) return null;
+  const ward = wards.get(n.ward_id);
+  return { id: n.id, name: n.name, ward_id: n.ward_id, ward: ward ? ward.name : null };
+}
+
+function getNeighbourhood(id) {
+  return formatNeighbourhood(neighbourhoods.get(parseInt(id)));
+}
+
+function getWard(id) {
+  return wards.get(parseInt(id)) || null;
+}
+
+function listNeighbourhoods() {
+  return [...neighbourhoods.values()]
+    .map(n => ({ ...formatNeighbourhood(n), aliases: n.aliases }))
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+function listWards() {
+  return [...wards.values()].map(w => ({
+    ...w,
+    neighbourhoods: [...neighbourhoods.values()].filter(n => n.ward_id === w.id).map(n => n.id),
+  }));
+}
+
+/**
+ * Map free-text neighbourhood input to a canonical neighbourhood, or null.
+ *
+ * Tries the whole input, then each comma/slash-separated part
+ * ("Leslieville, East End"), then the longest known name inside it
+ * ("near Trinity Bellwoods park").
+ */
+function normalizeNeighbourhood(input) {
+  const key = placeKey(input);
+  if (!key) return null;
+
+  if (nameIndex.has(key)) return getNeighbourhood(nameIndex.get(key));
+
+  for (const part of String(input).split(/[,;/()]+/)) {
+    const partKey = placeKey(part);
+    if (nameIndex.has(partKey)) return getNeighbourhood(nameIndex.get(partKey));
+  }
+
+  const padded = ` ${key} `;
+  const contained = keysByLength.find(k => padded.includes(` ${k} `));
+  return contained ? getNeighbourhood(nameIndex.get(contained)) : null;
+}
+
+/**
+ * Find the places and streets a story mentions and, where possible, the
+ * neighbourhood it happened in.
+ *
+ * Returns { neighbourhood, method, streets, mentions }:
+ *   neighbourhood — canonical neighbourhood or null
+ *   method        — 'name' (a neighbourhood was named), 'intersection'
+ *                   (two named streets meet in exactly one neighbourhood) or null
+ *   streets       — canonical names of the streets mentioned
+ *   mentions      — place names as written and short street names, for search terms
+ */
+function geocodeStory(text) {
+  const story = String(text || '');
+  const mentions = [];
+
+  // Streets first, blanking each match so shorter aliases don't re-match it
+  let remaining = story;
+  const found = new Map();
+  for (const { street, regex } of storyStreets) {
+    regex.lastIndex = 0;
+    remaining = remaining.replace(regex, (match) => {
+      if (!isProperNoun(match)) return match;
+      if (!found.has(street.name)) found.set(street.name, street);
+      mentions.push(street.short);
+      return ' '.repeat(match.length);
+    });
+  }
+  const mentionedStreets = [...found.values()];
+
+  // Named places, in the order they appear
+  const places = [];
+  for (const { id, regex } of storyPlaces) {
+    regex.lastIndex = 0;
+    let m;
+    while ((m = regex.exec(remaining))) {
+      if (!isProperNoun(m[0])) continue;
+      places.push({ id, index: m.index });
+      mentions.push(m[0]);
+      break;
+    }
+  }
+  places.sort((a, b) => a.index - b.index);
+
+  const result = (neighbourhood, method) => ({
+    neighbourhood: neighbourhood ? getNeighbourhood(neighbourhood) : null,
+    method: neighbourhood ? method : null,
+    streets: mentionedStreets.map(s => s.name),
+    mentions: [...new Set(mentions)],
+  });
+
+  if (places.length > 0) {
+    // Several places named: prefer one that sits on a street the story mentions
+    const onStreet = places.find(p => mentionedStreets.some(s => s.neighbourhoods.includes(p.id)));
+    return result((onStreet || places[0]).id, 'name');
+  }
+
+  // Two streets that only meet in one neighbourhood pin it down
+  for (let i = 0; i < mentionedStreets.length; i++) {
+    for (let j = i + 1; j < mentionedStreets.length; j++) {
+      const shared = mentionedStreets[i].neighbourhoods.filter(id => mentionedStreets[j].neighbourhoods.includes(id));
+      if (shared.length === 1) return result(shared[0], 'intersection');
+    }
+  }
+
+  return result(null, null);
+}
+
+/**
+ * Canonical place for a story: the neighbourhood the citizen typed if we
+ * recognize it, otherwise whatever the story itself gives away.
+ * Returns { neighbourhood_id, ward_id, name, ward, method } or null.
+ */
+function resolvePlace(neighbourhoodInput, story) {
+  const typed = normalizeNeighbourhood(neighbourhoodInput);
+  if (typed) return { neighbourhood_id: typed.id, ward_id: typed.ward_id, name: typed.name, ward: typed.ward, method: 'input' };
+
+  const { neighbourhood, method } = geocodeStory(story);
+  if (neighbourhood) return { neighbourhood_id: neighbourhood.id, ward_id: neighbourhood.ward_id, name: neighbourhood.name, ward: neighbourhood.ward, method };
+
+  return null;
+}
+
+module.exports = {
+  placeKey,
+  getNeighbourhood,
+  getWard,
+  listNeighbourhoods,
+  listWards,
+  normalizeNeighbourhood,
+  geocodeStory,
+  resolvePlace,
+};
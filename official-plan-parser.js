@@ -0,0 +1,339 @@
+/**
+ * official-plan-parser.js — Structured parser for the Toronto Official Plan
+ *
+ * The generic chunkText() splits the Plan on any "n.n.n" it sees, so
+ * policies lose their chapter and section and cross-references in running
+ * text start new chunks. The Plan is organized as:
+ *
+ *   CHAPTER FOUR  Land Use Designations      chapter
+ *   4.5 MIXED USE AREAS                      section
+ *   3.1.2 Built Form                         subsection
+ *   Policies / 1. 2. 3. ...                  policy   (cited as 4.5.2, 3.1.2.1)
+ *
+ * Sections open with explanatory text and carry sidebars — boxed notes
+ * that explain but aren't policy. This module keeps both apart from the
+ * numbered policies, links every node to its parent, and tags each one
+ * with the land-use designations (Neighbourhoods, Mixed Use Areas, ...)
+ * it governs or mentions.
+ */
+
+// Hierarchical nodes hold whole policies, so only guard against runaway text
+const MAX_CONTENT = 8000;
+
+const CHAPTER_NUMBERS = { one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7 };
+
+// "CHAPTER FOUR LAND USE DESIGNATIONS", "Chapter 4 – Land Use Designations"
+const CHAPTER_RE = /^CHAPTER\s+(ONE|TWO|THREE|FOUR|FIVE|SIX|SEVEN|\d)\b\s*[-–—:]?\s*(.*)$/i;
+// "4.5 MIXED USE AREAS", "3.1.2 Built Form" — a dotted number followed by a title
+const HEADING_RE = /^(\d(?:\.\d{1,2}){1,2})\s+([A-Z][^\n]{1,120})$/;
+// "5. Development in Mixed Use Areas ..." — policies are numbered within their section
+const POLICY_RE = /^(\d{1,2})\.\s+(\S.*)$/;
+// The heading that starts a section's numbered policies
+const POLICIES_RE = /^policies$/i;
+// Accessible editions mark sidebars explicitly: "Sidebar: Complete Communities"
+const SIDEBAR_RE = /^(?:start of\s+)?sidebar\b[:\s-]*(.*)$/i;
+const SIDEBAR_END_RE = /^end of sidebar\b/i;
+
+/**
+ * Land-use designations from Chapter 4 and the section that sets each out.
+ * Aliases are the sub-designations that belong to it.
+ */
+const DESIGNATIONS = [
+  { name: 'Neighbourhoods', section: '4.1' },
+  { name: 'Apartment Neighbourhoods', section: '4.2' },
+  { name: 'Parks and Open Space Areas', section: '4.3', aliases: ['Natural Areas', 'Other Open Space Areas'] },
+  { name: 'Utility Corridors', section: '4.4' },
+  { name: 'Mixed Use Areas', section: '4.5' },
+  { name: 'Employment Areas', section: '4.6', aliases: ['Core Employment Areas', 'General Employment Areas'] },
+  { name: 'Regeneration Areas', section: '4.7' },
+  { name: 'Institutional Areas', section: '4.8' },
+];
+
+// Longest name first, so "Apartment Neighbourhoods" isn't also counted as
+// "Neighbourhoods". Designations are capitalized in the Plan; "neighbourhoods"
+// in lower case is just the word.
+const designationPatterns = DESIGNATIONS
+  .flatMap(d => [d.name, ...(d.aliases || [])].map(name => ({ designation: d.name, name })))
+  .sort((a, b) => b.name.length - a.name.length)
+  .map(({ designation, name }) => ({ designation, regex: new RegExp(`\\b${name.replace(/\s+/g, '\\s+')}\\b`, 'g') }));
+
+/**
+ * Designations mentioned in a piece of Plan text, in catalogue order
+ */
+function findDesignations(text) {
+  let remaining = String(text || '');
+  const found = new Set();
+  for (const { designation, regex } of designationPatterns) {
+    regex.lastIndex = 0;
+    remaining = remaining.replace(regex, (match) => {
+      found.add(designation);
+      return ' '.repeat(match.length);
+    });
+  }
+  return DESIGNATIONS.map(d => d.name).filter(name => found.has(name));
+}
+
+/**
+ * The designation a section sets out, if any: everything under 4.5 governs Mixed Use Areas
+ */
+function governedDesignation(number) {
+  const d = DESIGNATIONS.find(d => number === d.section || number.startsWith(`${d.section}.`));
+  return d ? d.name : null;
+}
+
+/**
+ * Running headers, footers and page numbers that pdf-parse leaves inline
+ */
+function isPageFurniture(line) {
+  return /^(City of )?Toronto Official Plan$/i.test(line)
+    || /^Page \d+( of \d+)?$/i.test(line)
+    || /^\d{1,2}-\d{1,3}$/.test(line)
+    || /^\d{1,3}$/.test(line)
+    || /^Office Consolidation/i.test(line);
+}
+
+/**
+ * Table-of-contents entries look like headings but end in dot leaders or page numbers
+ */
+function isTocEntry(line) {
+  return /\.{4,}/.test(line) || /\s\d{1,2}-\d{1,3}$/.test(line);
+}
+
+const MINOR_WORDS = new Set(['a', 'an', 'and', 'as', 'at', 'by', 'for', 'from', 'in', 'of', 'on', 'or', 'the', 'to', 'with']);
+
+/**
+ * Headings are short and Title Case or upper case ("Built Form", "MIXED USE
+ * AREAS"); a wrapped sentence that happens to start with a number isn't.
+ */
+function looksLikeTitle(title) {
+  if (/[.,;:]$/.test(title)) return false;
+  const words = title.split(/\s+/).filter(w => /[a-z]/i.test(w));
+  if (words.length === 0 || words.length > 12) return false;
+  const major = words.filter(w => !MINOR_WORDS.has(w.toLowerCase()));
+  return major.filter(w => /^[A-Z0-9("']/.test(w)).length >= major.length * 0.8;
+}
+
+/**
+ * Title-case an upper-case heading ("MIXED USE AREAS" → "Mixed Use Areas")
+ */
+function tidyTitle(title) {
+  if (!title || /[a-z]/.test(title)) return title || null;
+  return title.toLowerCase()
+    .split(' ')
+    .map((w, i) => (i > 0 && MINOR_WORDS.has(w) ? w : w.charAt(0).toUpperCase() + w.slice(1)))
+    .join(' ');
+}
+
+function parentOf(number) {
+  const parts = number.split('.');
+  return parts.length > 1 ? parts.slice(0, -1).join('.') : null;
+}
+
+/**
+ * Parse the extracted text of the Official Plan into a tree of nodes.
+ * Returns a Map keyed by node number, in document order. Chapters are keyed
+ * "Chapter 4", sidebars "4.5 (Sidebar 1)".
+ */
+function buildTree(text) {
+  const nodes = new Map();
+  let current = null;     // node receiving text
+  let section = null;     // innermost numbered section or subsection
+  let chapter = null;
+  let inSidebar = false;
+  let titlePending = false;  // "CHAPTER FOUR" alone on a line; its title may follow
+
+  const open = (number, level, title, parent) => {
+    let node = nodes.get(number);
+    if (!node) {
+      node = { number, level, title, lines: [], children: [], parent: null, lastPolicy: 0, sidebars: 0 };
+      nodes.set(number, node);
+      if (parent && nodes.has(parent) && parent !== number) {
+        node.parent = parent;
+        nodes.get(parent).children.push(number);
+      }
+    } else if (!node.title && title) {
+      node.title = title;
+    }
+    current = node;
+    return node;
+  };
+
+  const openChapter = (n, title) => {
+    const number = `Chapter ${n}`;
+    // The same chapter heading repeats at the top of every page
+    if (chapter?.number === number) {
+      if (!chapter.title && title) chapter.title = title;
+      return;
+    }
+    chapter = open(number, 'chapter', title, null);
+    section = null;
+    inSidebar = false;
+    titlePending = !title;
+  };
+
+  const openSidebar = (title) => {
+    const host = section || chapter;
+    if (!host) return;
+    host.sidebars++;
+    open(`${host.number} (Sidebar ${host.sidebars})`, 'sidebar', title || null, host.number);
+    inSidebar = true;
+  };
+
+  const closeSidebar = () => {
+    inSidebar = false;
+    current = section || chapter;
+  };
+
+  for (const raw of text.split('\n')) {
+    const line = raw.replace(/\s+/g, ' ').trim();
+    if (!line || isPageFurniture(line)) continue;
+
+    if (titlePending) {
+      titlePending = false;
+      if (!/^\d/.test(line) && looksLikeTitle(line)) {
+        chapter.title = tidyTitle(line);
+        continue;
+      }
+    }
+
+    const chapterMatch = line.match(CHAPTER_RE);
+    const chapterTitle = tidyTitle(chapterMatch?.[2]?.trim());
+    if (chapterMatch && !isTocEntry(line) && (!chapterTitle || looksLikeTitle(chapterTitle))) {
+      const word = chapterMatch[1].toLowerCase();
+      openChapter(CHAPTER_NUMBERS[word] || parseInt(word), chapterTitle);
+      continue;
+    }
+
+    const headingMatch = line.match(HEADING_RE);
+    if (headingMatch && !isTocEntry(line) && looksLikeTitle(headingMatch[2])) {
+      const number = headingMatch[1];
+      const n = number.split('.')[0];
+      if (chapter?.number !== `Chapter ${n}`) openChapter(n, null);
+
+      // Link to the nearest ancestor we've actually seen
+      let parent = parentOf(number);
+      while (parent && !nodes.has(parent)) parent = parentOf(parent);
+      section = open(number, number.split('.').length === 2 ? 'section' : 'subsection', tidyTitle(headingMatch[2].trim()), parent || chapter.number);
+      inSidebar = false;
+      continue;
+    }
+
+    if (SIDEBAR_END_RE.test(line)) {
+      if (inSidebar) closeSidebar();
+      continue;
+    }
+
+    const sidebarMatch = line.match(SIDEBAR_RE);
+    if (sidebarMatch) {
+      openSidebar(sidebarMatch[1].trim());
+      continue;
+    }
+
+    if (POLICIES_RE.test(line) && section) {
+      section.policies = true;
+      if (inSidebar) closeSidebar();
+      continue;
+    }
+
+    // Policies run 1, 2, 3 within a section; anything else numbered is a
+    // list inside a policy or a stray page number
+    const policyMatch = line.match(POLICY_RE);
+    if (policyMatch && section && parseInt(policyMatch[1]) === section.lastPolicy + 1) {
+      section.lastPolicy++;
+      const host = section;
+      open(`${host.number}.${policyMatch[1]}`, 'policy', null, host.number);
+      current.lines.push(line);
+      section = host;
+      inSidebar = false;
+      continue;
+    }
+
+    // Inside a run of policies, a bare heading is a sidebar breaking into it
+    if (section?.policies && section.lastPolicy > 0 && !inSidebar && line.length < 80 && line.split(' ').length >= 2 && looksLikeTitle(line)) {
+      openSidebar(line);
+      continue;
+    }
+
+    if (current) current.lines.push(line);
+  }
+
+  return nodes;
+}
+
+/**
+ * Parse Official Plan text into hierarchical provisions.
+ *
+ * Every node becomes a provision: `section` holds its number as the Plan
+ * cites it ("4.5.2"; "Chapter 4" for chapters), `parent_section` its
+ * parent's, `level` one of chapter / section / subsection / policy / sidebar.
+ * A node without text of its own gets an outline of its children instead.
+ *
+ * Each provision's `designations` lists the land-use designations it
+ * governs (by its place in Chapter 4) or names.
+ *
+ * Returns { provisions, designations } where designations counts the
+ * provisions tagged with each: [{ name, section, count }].
+ */
+function parseOfficialPlan(text, { pdfUrl = null, extractKeywords = () => null } = {}) {
+  const nodes = buildTree(text || '');
+  const provisions = [];
+  const counts = new Map();
+
+  const chapterOf = (node) => {
+    let n = node;
+    while (n.parent) n = nodes.get(n.parent);
+    return n.level === 'chapter' ? n : null;
+  };
+
+  for (const node of nodes.values()) {
+    let content = node.lines.join('\n').trim();
+    if (!content && node.children.length > 0) {
+      content = node.children
+        .map(c => nodes.get(c))
+        .map(c => c.level === 'policy'
+          ? `${c.number} ${(c.lines[0] || '').replace(POLICY_RE, '$2').slice(0, 100)}`
+          : `${c.number} ${c.title || ''}`.trim())
+        .join('\n');
+    }
+    if (!content) continue;
+
+    const chapter = chapterOf(node);
+    // Sidebars belong to the section they sit in
+    const governed = node.level === 'chapter' ? null : governedDesignation(node.level === 'sidebar' ? node.parent : node.number);
+    const designations = findDesignations(`${node.title || ''}\n${content}`);
+    if (governed && !designations.includes(governed)) designations.unshift(governed);
+    for (const d of designations) counts.set(d, (counts.get(d) || 0) + 1);
+
+    // Policies have no title of their own; borrow their section's
+    const title = node.level === 'policy' ? nodes.get(node.parent)?.title : node.title;
+
+    provisions.push({
+      source: 'official_plan',
+      chapter: chapter ? chapter.number : null,
+      chapter_title: chapter?.title ? `Official Plan — ${chapter.title}` : 'Official Plan',
+      section: node.number,
+      section_title: node.level === 'sidebar' ? `Sidebar: ${node.title || 'note'}` : title || null,
+      parent_section: node.parent,
+      level: node.level,
+      content: content.slice(0, MAX_CONTENT),
+      truncated: content.length > MAX_CONTENT,
+      summary: null,
+      pdf_url: pdfUrl,
+      keywords: [...designations, extractKeywords(content)].filter(Boolean).join(', ') || null,
+      designations: designations.join(', ') || null,
+    });
+  }
+
+  return {
+    provisions,
+    designations: DESIGNATIONS
+      .filter(d => counts.has(d.name))
+      .map(d => ({ name: d.name, section: d.section, count: counts.get(d.name) })),
+  };
+}
+
+module.exports = {
+  DESIGNATIONS,
+  findDesignations,
+  parseOfficialPlan,
+};
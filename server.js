@@ -6,6 +6,8 @@ const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
 const path = require('path');
 const crypto = require('crypto');
+const neighbourhoods = require('./neighbourhoods');
+const migrations = require('./migrations');
 
 const app = express();
 app.set('trust proxy', 1);
@@ -23,7 +25,11 @@ const browseLimiter = rateLimit({ windowMs: 15 * 60 * 1000, max: 100 });
 const traceLimiter = rateLimit({ windowMs: 15 * 60 * 1000, max: 10, message: { error: 'Too many traces requested. Try again in a few minutes.' } });
 
 app.use('/api/feed', browseLimiter);
-app.use('/api/trace', traceLimiter);
+app.use('/api/clusters', browseLimiter);
+app.use('/api/stats', browseLimiter);
+// Generating a trace is the expensive part; votes have their own per-IP check (see Votes)
+app.post(['/api/trace', '/api/trace/stream'], traceLimiter);
+app.use('/api/trace', browseLimiter);
 
 // Static files
 app.use(express.static(path.join(__dirname, 'public')));
@@ -32,35 +38,47 @@ app.use(express.static(path.join(__dirname, 'public')));
 const db = new Database(path.join(__dirname, 'toronto2.db'));
 db.pragma('journal_mode = WAL');
 
-db.exec(`
-  CREATE TABLE IF NOT EXISTS stories (
-    id TEXT PRIMARY KEY,
-    story TEXT NOT NULL,
-    neighbourhood TEXT,
-    email TEXT,
-    trace_json TEXT,
-    summary TEXT,
-    status TEXT DEFAULT 'published',
-    created_at TEXT DEFAULT (datetime('now')),
-    upvotes INTEGER DEFAULT 0
-  );
-
-  CREATE INDEX IF NOT EXISTS idx_stories_status ON stories(status);
-  CREATE INDEX IF NOT EXISTS idx_stories_created ON stories(created_at DESC);
-  CREATE INDEX IF NOT EXISTS idx_stories_upvotes ON stories(upvotes DESC);
-`);
+// Bring the schema up to date (see stories-migrations.js; `npm run migrate`
+// does the same without starting the server)
+{
+  const { applied, version } = migrations.migrate(db, require('./stories-migrations'));
+  for (const m of applied) console.log(`  Applied toronto2.db migration ${m.version} (${m.name})`);
+  if (applied.length) console.log(`  toronto2.db is at schema version ${version}`);
+}
 
-// ── Anthropic API Proxy ──
-const ANTHROPIC_API_KEY = process.env.ANTHROPIC_API_KEY;
+// ── LLM Provider ──
+// Anthropic by default; see llm-providers.js for LLM_PROVIDER options
 const codesDb = require('./codes-db');
+const vocabulary = require('./vocabulary');
+const definitions = require('./definitions');
+const crossReferences = require('./cross-references');
+const ingestJobs = require('./ingest-jobs');
+const storyClusters = require('./story-clusters');
+const traceItems = require('./trace-items');
+const traceStats = require('./trace-stats');
+const llm = require('./llm-providers').createProvider();
+const { parseTraceOutput } = require('./trace-output');
+
+// Open codes.db now, so its migrations run at startup rather than on the first request
+codesDb.getDb();
+
+// Retrieval path for trace context: keyword (FTS5 only), vector, or hybrid
+const RETRIEVAL_MODE = codesDb.SEARCH_MODES.includes(process.env.RETRIEVAL_MODE) ? process.env.RETRIEVAL_MODE : 'keyword';
+
+// How many provisions cited by the retrieved ones ("despite Chapter 591")
+// to add to the trace context; 0 turns this off
+const RETRIEVAL_REFERENCES = Math.max(parseInt(process.env.RETRIEVAL_REFERENCES ?? '4') || 0, 0);
+
+// How many times to send a malformed response back to the model for repair
+const TRACE_MAX_REPAIRS = Math.max(parseInt(process.env.TRACE_MAX_REPAIRS ?? '2') || 0, 0);
 
 // Lean system prompt — the actual code text comes from local search
 const SYSTEM_PROMPT = `You are a Toronto municipal code analyst for the Toronto 2.0 project. Given a citizen's story and a set of REAL provisions from Toronto's municipal codes, identify 2-3 provisions that contributed to the citizen's problem.
 
-You will receive actual provision text retrieved from the city's code database. Use these real provisions in your response — quote section numbers and paraphrase the actual text. If the provided provisions don't fully explain the problem, you may reference other well-known Toronto provisions you're confident exist, but prioritize the retrieved ones.
+You will receive actual provision text retrieved from the city's code database. Cite only these provisions — quote their section numbers and paraphrase the actual text. A provision marked "Cited by" is one the others defer to or override; check whether it changes what they mean for the citizen. Where DEFINED TERMS are listed, read the provisions with those meanings, and say in plain words what a defined term means when your paraphrase relies on it. Every code_ref is checked against the database before it is published, and citations that can't be found are flagged or removed, so never invent or guess a section number.
 
 For each provision, write:
-- code_ref: The exact chapter/section reference
+- code_ref: The chapter and section exactly as given on the provision's Reference line
 - title: A short descriptive title (5-8 words)
 - code_content: Paraphrase of what the provision actually says
 - code_comment: The systemic downstream effect
@@ -74,284 +92,1122 @@ Respond ONLY with valid JSON (no markdown fences):
   "summary": "One sentence capturing the systemic pattern revealed"
 }`;
 
+// How to handle traces whose code_ref matches nothing in codes.db:
+// 'flag' keeps them marked unverified, 'drop' removes them before saving
+const UNVERIFIED_TRACES = process.env.UNVERIFIED_TRACES === 'drop' ? 'drop' : 'flag';
+
+// Defined terms given to the model with the provisions, and kept per trace
+const PROMPT_DEFINITIONS = 10;
+const TRACE_DEFINITIONS = 5;
+
+/**
+ * Check each LLM-cited code_ref against codes.db and attach the real
+ * provision it resolves to, so the frontend can link to the source text.
+ */
+function verifyTraces(traces, candidates) {
+  const verified = traces.map(t => {
+    const resolved = codesDb.resolveCodeRef(t.code_ref, { candidates });
+    if (!resolved) {
+      return { ...t, verified: false, match: null, provision_id: null, provision_hash: null, pdf_url: null, source_text: null, designations: [], definitions: [] };
+    }
+
+    const { provision, match } = resolved;
+    return {
+      ...t,
+      verified: match !== 'chapter',
+      match,
+      provision_id: provision.id,
+      // Which version of the text this trace was made against (see pinVersions)
+      provision_hash: provision.content_hash || null,
+      pdf_url: provision.pdf_url || null,
+      source_text: provision.content.slice(0, 1500),
+      // Official Plan land-use designations, for filtering the feed
+      designations: provision.designations ? provision.designations.split(',').map(d => d.trim()) : [],
+      // Defined terms the cited provision uses, shown inline with the trace
+      definitions: definitions.definitionsFor([provision.id], { limit: TRACE_DEFINITIONS })
+        .map(d => ({ term: d.term, definition: d.definition, reference: d.reference })),
+    };
+  });
+
+  if (UNVERIFIED_TRACES === 'drop') return verified.filter(t => t.provision_id);
+  return verified;
+}
+
+/**
+ * Point each citation in a saved trace at the version of the provision it
+ * was made against, and say whether the law has changed since:
+ *   provision_version_id — the row holding the text as it was cited
+ *   law_status           — 'current', 'amended' or 'repealed'
+ * Traces saved before citations carried a hash fall back to the version
+ * in force when the story was traced.
+ */
+function pinVersions(traces, tracedAt) {
+  return traces.map(t => {
+    if (!t.provision_id) return t;
+    const found = codesDb.findVersion(t.provision_id, { contentHash: t.provision_hash, asOf: tracedAt });
+    if (!found) return t;
+    return { ...t, provision_version_id: found.provision.id, law_status: found.status };
+  });
+}
+
 /**
  * Extract search terms from a citizen's story to query the code database.
  * This is the bridge between human language and legal terminology.
  */
 function extractSearchTerms(story) {
-  const terms = new Set();
   const s = story.toLowerCase();
 
-  // Map citizen language → code concepts
-  const mappings = {
-    // Transit
-    'late|commute|bus|streetcar|subway|ttc|train|transit|shuttle': 'transit TTC service streetcar bus',
-    'traffic|congestion|gridlock|slow|stuck': 'traffic right-of-way road',
-    // Housing
-    'rent|apartment|condo|housing|afford|expensive|lease': 'housing residential dwelling density',
-    'basement|suite|secondary|laneway|garden suite': 'laneway secondary suite dwelling additional',
-    'build|construct|renovate|addition|permit': 'building permit construction site plan',
-    // Parking
-    'parking|park|car|drive|garage': 'parking minimum vehicle spaces',
-    // Noise
-    'noise|loud|music|construction noise|barking': 'noise sound prohibited',
-    // Property
-    'fence|yard|garden|tree|property line': 'fence property boundary setback',
-    'snow|plow|ice|winter|shovel|salt': 'snow ice removal clearing windrow',
-    'garbage|waste|recycling|bin|collection': 'waste collection recycling',
-    // Commercial
-    'restaurant|bar|cafe|patio|food|shop|store|business': 'commercial retail restaurant licence patio',
-    'sign|billboard|awning': 'sign advertising display',
-    // Streets
-    'sidewalk|road|pothole|crosswalk|intersection': 'street sidewalk road maintenance',
-    'bike|bicycle|cycling|cycle track': 'bicycle cycling lane',
-    'pedestrian|walk|crossing': 'pedestrian crosswalk sidewalk',
-    // Development
-    'development|tower|highrise|condo|new building': 'development height density setback angular',
-    'heritage|old building|historic': 'heritage conservation designation',
-    // Safety
-    'safety|dangerous|hazard': 'safety property standard',
-    'fire|smoke|alarm': 'fire safety building code',
-    // Animals
-    'dog|pet|animal|leash': 'animal dog pet',
-    // Licensing
-    'licence|license|permit|application|wait': 'licence permit application',
-  };
-
-  for (const [patterns, searchTerms] of Object.entries(mappings)) {
-    const regex = new RegExp(patterns, 'i');
-    if (regex.test(s)) {
-      searchTerms.split(' ').forEach(t => terms.add(t));
-    }
-  }
+  // Map citizen language → code concepts (editable via /api/admin/vocabulary)
+  const terms = new Set(vocabulary.expandStory(s).terms);
 
   // Also add any neighbourhood names or street names mentioned
   // (these help contextualize zoning)
-  const locations = s.match(/\b(queen|king|bloor|dundas|yonge|spadina|bathurst|ossington|college|st\.?\s*clair|danforth|eglinton|lawrence|sheppard|finch|scarborough|etobicoke|north york|east york|leslieville|parkdale|junction|kensington|annex|beaches|liberty|distillery|corktown|regent|moss park|cabbage ?town|river ?dale)\b/gi);
-  if (locations) locations.forEach(l => terms.add(l.toLowerCase()));
+  neighbourhoods.geocodeStory(story).mentions.forEach(l => terms.add(l.toLowerCase().replace(/\./g, '')));
 
   return [...terms].join(' ');
 }
 
-app.post('/api/trace', async (req, res) => {
-  const { story, neighbourhood, email } = req.body;
+/**
+ * An error whose message is safe to show the citizen, with an HTTP status
+ */
+function traceError(status, message) {
+  return Object.assign(new Error(message), { status, expose: true });
+}
 
-  if (!story || story.trim().length < 20) {
-    return res.status(400).json({ error: 'Story must be at least 20 characters.' });
+/**
+ * Steps 1–2: search the local code database and build the LLM prompt
+ */
+function buildTraceContext(story, neighbourhood) {
+  const searchTerms = extractSearchTerms(story);
+  const place = neighbourhoods.resolvePlace(neighbourhood, story);
+  let relevantProvisions = [];
+
+  // Keyword search runs on the extracted legal terms; the vector path
+  // embeds the story itself, which catches what the term map misses
+  if (searchTerms || RETRIEVAL_MODE !== 'keyword') {
+    relevantProvisions = codesDb.searchProvisions(searchTerms, {
+      limit: 8,
+      mode: RETRIEVAL_MODE,
+      vectorQuery: `${story} ${searchTerms}`
+    });
   }
 
-  if (!ANTHROPIC_API_KEY) {
-    return res.status(500).json({ error: 'API key not configured. Set ANTHROPIC_API_KEY in .env' });
+  // One hop along the cross-reference graph: the exceptions and overrides
+  // the retrieved provisions defer to
+  relevantProvisions = relevantProvisions.concat(
+    crossReferences.referencedProvisions(relevantProvisions, { limit: RETRIEVAL_REFERENCES })
+  );
+
+  let codeContext = '';
+
+  if (relevantProvisions.length > 0) {
+    codeContext = '\n\nRELEVANT PROVISIONS FROM TORONTO\'S CODE DATABASE:\n' +
+      relevantProvisions.map((p, i) => {
+        const citedBy = (p.referenced_by || []).map(r => {
+          const n = relevantProvisions.findIndex(q => q.id === r.id) + 1;
+          return `Provision ${n} ("${r.relation.replace(/_/g, ' ')} ${r.cited}")`;
+        });
+        return `\n--- Provision ${i + 1} ---\n` +
+          `Source: ${p.source}\n` +
+          `Reference: ${codesDb.formatReference(p)}\n` +
+          (citedBy.length ? `Cited by: ${citedBy.join(', ')}\n` : '') +
+          `Title: ${p.chapter_title}${p.section_title ? ' — ' + p.section_title : ''}\n` +
+          `Text: ${p.content.slice(0, 800)}\n`;
+      }).join('');
+
+    // What the by-laws mean by the terms these provisions use
+    const terms = definitions.definitionsFor(relevantProvisions.map(p => p.id), { limit: PROMPT_DEFINITIONS });
+    if (terms.length > 0) {
+      codeContext += '\nDEFINED TERMS (as the code defines them):\n' +
+        terms.map(d => `- "${d.term}" (${d.reference}): ${d.definition.slice(0, 300)}\n`).join('');
+    }
+  } else {
+    codeContext = '\n\n[No matching provisions found in the local database. Use your knowledge of Toronto municipal codes, referencing real chapter numbers and by-law sections where possible.]';
   }
 
+  const placeLine = place ? `\nNEIGHBOURHOOD: ${place.name} (Ward ${place.ward_id} ${place.ward})`
+    : neighbourhood ? `\nNEIGHBOURHOOD: ${neighbourhood}` : '';
+  const prompt = `Here is a Toronto citizen's story. Trace it back to the municipal code.\n\nSTORY: "${story.trim()}"${placeLine}${codeContext}`;
+
+  return { searchTerms, relevantProvisions, prompt, place };
+}
+
+/**
+ * Call the configured LLM once. When `onText` is given the response is
+ * streamed and each text fragment is passed to it as it arrives.
+ * Resolves to the full response text.
+ */
+async function callLLM(prompt, { provisions, onText = null, signal } = {}) {
   try {
-    // ── Step 1: Search local code database ──
-    const searchTerms = extractSearchTerms(story);
-    let relevantProvisions = [];
+    return await llm.complete({ system: SYSTEM_PROMPT, prompt, provisions, maxTokens: 1200, onText, signal });
+  } catch (err) {
+    if (signal?.aborted) throw err;
+    console.error(`LLM error (${llm.name}):`, err.message);
+    throw traceError(502, 'Failed to generate trace. Try again.');
+  }
+}
 
-    if (searchTerms) {
-      relevantProvisions = codesDb.searchProvisions(searchTerms, { limit: 8 });
-    }
+function logLLMFailure(attempt, errors, text) {
+  console.warn(`LLM output rejected (${llm.name}, attempt ${attempt}): ${errors.join(' ')}`);
+  db.prepare(`
+    INSERT INTO llm_failures (provider, model, attempt, errors, raw_output) VALUES (?, ?, ?, ?, ?)
+  `).run(llm.name, llm.model, attempt, JSON.stringify(errors), String(text || '').slice(0, 20000));
+}
 
-    // ── Step 2: Build context for the LLM ──
-    let codeContext = '';
-
-    if (relevantProvisions.length > 0) {
-      codeContext = '\n\nRELEVANT PROVISIONS FROM TORONTO\'S CODE DATABASE:\n' +
-        relevantProvisions.map((p, i) => {
-          return `\n--- Provision ${i + 1} ---\n` +
-            `Source: ${p.source}\n` +
-            `Reference: ${p.chapter}${p.section ? ', ' + p.section : ''}\n` +
-            `Title: ${p.chapter_title}${p.section_title ? ' — ' + p.section_title : ''}\n` +
-            `Text: ${p.content.slice(0, 800)}\n`;
-        }).join('');
-    } else {
-      codeContext = '\n\n[No matching provisions found in the local database. Use your knowledge of Toronto municipal codes, referencing real chapter numbers and by-law sections where possible.]';
-    }
+/**
+ * Ask the model to fix its own output: the original request, what it sent
+ * back, and exactly what was wrong with it.
+ */
+function buildRepairPrompt(prompt, text, errors) {
+  return `${prompt}\n\n` +
+    `YOUR PREVIOUS RESPONSE:\n${String(text || '').slice(0, 4000)}\n\n` +
+    `That response could not be used:\n${errors.map(e => `- ${e}`).join('\n')}\n\n` +
+    `Respond again with ONLY the corrected JSON object — no preamble, no markdown fences.`;
+}
 
-    // ── Step 3: Call Anthropic API with targeted context ──
-    const response = await fetch('https://api.anthropic.com/v1/messages', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'x-api-key': ANTHROPIC_API_KEY,
-        'anthropic-version': '2023-06-01'
-      },
-      body: JSON.stringify({
-        model: 'claude-sonnet-4-20250514',
-        max_tokens: 1200,
-        system: SYSTEM_PROMPT,
-        messages: [
-          {
-            role: 'user',
-            content: `Here is a Toronto citizen's story. Trace it back to the municipal code.\n\nSTORY: "${story.trim()}"${neighbourhood ? `\nNEIGHBOURHOOD: ${neighbourhood}` : ''}${codeContext}`
-          }
-        ]
-      })
-    });
+/**
+ * Step 3: call the LLM until it returns a valid { traces, summary } object,
+ * repairing up to TRACE_MAX_REPAIRS times. `onRetry` fires before each
+ * repair attempt so streaming clients can discard the partial output.
+ */
+async function generateTraceOutput(prompt, { provisions, onText, onRetry, signal } = {}) {
+  let attemptPrompt = prompt;
 
-    if (!response.ok) {
-      const errBody = await response.text();
-      console.error('Anthropic API error:', response.status, errBody);
-      return res.status(502).json({ error: 'Failed to generate trace. Try again.' });
+  for (let attempt = 1; ; attempt++) {
+    const text = await callLLM(attemptPrompt, { provisions, onText, signal });
+    const { value, errors } = parseTraceOutput(text);
+    if (value) return value;
+
+    logLLMFailure(attempt, errors, text);
+    if (attempt > TRACE_MAX_REPAIRS) {
+      throw traceError(502, 'The trace came back garbled. Try again.');
     }
 
-    const data = await response.json();
-    const text = data.content.map(c => c.text || '').join('');
-    const clean = text.replace(/```json|```/g, '').trim();
-    const parsed = JSON.parse(clean);
+    onRetry?.({ attempt, errors });
+    attemptPrompt = buildRepairPrompt(prompt, text, errors);
+  }
+}
+
+/**
+ * Steps 4–5: verify the trace's citations and save the story
+ */
+function finishTrace(parsed, { story, neighbourhood, email, relevantProvisions, place }) {
+  // ── Verify citations against the code database ──
+  const rawCount = parsed.traces.length;
+  parsed.traces = verifyTraces(parsed.traces, relevantProvisions);
+
+  if (parsed.traces.length === 0) {
+    console.warn(`Trace rejected: none of ${rawCount} citations matched codes.db`);
+    throw traceError(502, 'We couldn\'t match your story to real provisions. Try adding a little more detail.');
+  }
 
-    // ── Step 4: Store in database ──
-    const id = crypto.randomBytes(8).toString('hex');
-    const stmt = db.prepare(`
-      INSERT INTO stories (id, story, neighbourhood, email, trace_json, summary)
-      VALUES (?, ?, ?, ?, ?, ?)
-    `);
+  // ── Store in database ──
+  const id = crypto.randomBytes(8).toString('hex');
+  const stmt = db.prepare(`
+    INSERT INTO stories (id, story, neighbourhood, neighbourhood_id, ward_id, email, trace_json, summary, status)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, 'pending')
+  `);
 
+  db.transaction(() => {
     stmt.run(
       id,
       story.trim(),
       neighbourhood || null,
+      place ? place.neighbourhood_id : null,
+      place ? place.ward_id : null,
       email || null,
       JSON.stringify(parsed.traces),
       parsed.summary || null
     );
+    traceItems.saveTraceItems(db, id, parsed.traces);
+  })();
 
-    // Log which provisions were used (for analytics)
-    console.log(`Trace ${id}: ${relevantProvisions.length} local provisions used, ${parsed.traces.length} traces generated`);
+  // Log which provisions were used (for analytics)
+  const verifiedCount = parsed.traces.filter(t => t.verified).length;
+  console.log(`Trace ${id}: ${relevantProvisions.length} local provisions used, ${parsed.traces.length} traces generated (${verifiedCount} verified, ${rawCount - parsed.traces.length} dropped)`);
 
-    res.json({
-      id,
-      traces: parsed.traces,
-      summary: parsed.summary
-    });
+  // New stories wait in the moderation queue before reaching the feed
+  return {
+    id,
+    status: 'pending',
+    traces: parsed.traces,
+    summary: parsed.summary
+  };
+}
+
+/**
+ * Shared request validation for both trace endpoints
+ */
+function validateTraceRequest(req, res) {
+  const { story } = req.body;
+
+  if (!story || story.trim().length < 20) {
+    res.status(400).json({ error: 'Story must be at least 20 characters.' });
+    return false;
+  }
+
+  if (llm.missingConfig) {
+    res.status(500).json({ error: llm.missingConfig });
+    return false;
+  }
 
+  return true;
+}
+
+app.post('/api/trace', async (req, res) => {
+  if (!validateTraceRequest(req, res)) return;
+  const { story, neighbourhood, email } = req.body;
+
+  try {
+    const { relevantProvisions, prompt, place } = buildTraceContext(story, neighbourhood);
+    const parsed = await generateTraceOutput(prompt, { provisions: relevantProvisions });
+    res.json(finishTrace(parsed, { story, neighbourhood, email, relevantProvisions, place }));
   } catch (err) {
+    if (err.expose) return res.status(err.status).json({ error: err.message });
     console.error('Trace generation error:', err);
     res.status(500).json({ error: 'Something went wrong generating the trace.' });
   }
 });
 
-// ── Feed Endpoints ──
+// Same pipeline as POST /api/trace, reported as Server-Sent Events:
+//   terms      — the search terms extracted from the story
+//   provisions — the provisions found in the local code database
+//   delta      — a fragment of the LLM's output as it arrives
+//   retry      — the output was malformed and the model is being asked to
+//                repair it; discard the deltas received so far
+//   done       — the saved trace (same shape as POST /api/trace)
+//   error      — { error } if anything fails; the stream then ends
+app.post('/api/trace/stream', async (req, res) => {
+  if (!validateTraceRequest(req, res)) return;
+  const { story, neighbourhood, email } = req.body;
 
-// Get recent traces for the feed
-app.get('/api/feed', (req, res) => {
-  const { page = 1, limit = 10, sort = 'recent' } = req.query;
-  const offset = (parseInt(page) - 1) * parseInt(limit);
-  const safeLimit = Math.min(parseInt(limit), 20);
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
 
-  let orderBy = 'created_at DESC';
-  if (sort === 'popular') orderBy = 'upvotes DESC, created_at DESC';
+  const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
 
-  const stories = db.prepare(`
-    SELECT id, story, neighbourhood, trace_json, summary, created_at, upvotes
-    FROM stories
-    WHERE status = 'published'
-    ORDER BY ${orderBy}
-    LIMIT ? OFFSET ?
-  `).all(safeLimit, offset);
+  // Stop paying for tokens nobody will read
+  const abort = new AbortController();
+  res.on('close', () => { if (!res.writableFinished) abort.abort(); });
+
+  try {
+    const { searchTerms, relevantProvisions, prompt, place } = buildTraceContext(story, neighbourhood);
+    send('terms', { terms: searchTerms ? searchTerms.split(' ') : [] });
+    send('provisions', {
+      provisions: relevantProvisions.map(p => ({
+        id: p.id, source: p.source, chapter: p.chapter, chapter_title: p.chapter_title,
+        section: p.section, section_title: p.section_title
+      }))
+    });
+
+    const parsed = await generateTraceOutput(prompt, {
+      provisions: relevantProvisions,
+      onText: (t) => send('delta', { text: t }),
+      onRetry: ({ attempt }) => send('retry', { attempt }),
+      signal: abort.signal
+    });
+    send('done', finishTrace(parsed, { story, neighbourhood, email, relevantProvisions, place }));
+  } catch (err) {
+    if (abort.signal.aborted) return console.log('Trace stream closed by client');
+    if (!err.expose) console.error('Trace generation error:', err);
+    send('error', { error: err.expose ? err.message : 'Something went wrong generating the trace.' });
+  }
+
+  res.end();
+});
 
-  const total = db.prepare(`SELECT COUNT(*) as count FROM stories WHERE status = 'published'`).get();
+// ── Traces (see trace-items.js) ──
 
-  const formatted = stories.map(s => ({
+/**
+ * Published stories as the feed, trace and cluster endpoints return them
+ */
+function formatPublicStories(stories) {
+  const traces = traceItems.loadTraces(db, stories.map(s => s.id));
+  return stories.map(s => formatPublicStory(s, traces.get(s.id)));
+}
+
+function formatPublicStory(s, traces) {
+  return {
     id: s.id,
     story: s.story,
     neighbourhood: s.neighbourhood,
-    traces: JSON.parse(s.trace_json || '[]'),
+    place: neighbourhoods.getNeighbourhood(s.neighbourhood_id),
+    traces: pinVersions(traces, s.created_at),
     summary: s.summary,
     created_at: s.created_at,
-    upvotes: s.upvotes
-  }));
+    upvotes: s.upvotes,
+    me_too: s.me_too
+  };
+}
+
+// Get recent traces for the feed
+// Trending: upvotes decayed by age, upvotes / (hours + 2)^gravity
+const TRENDING_GRAVITY = 1.5;
+const FEED_MAX_LIMIT = 20;
+
+// Query parameters the feed reads, each a single string
+const FEED_PARAMS = ['page', 'cursor', 'limit', 'sort', 'q', 'neighbourhood', 'ward', 'source', 'chapter', 'from', 'to', 'designation'];
+
+// Sort key (besides created_at, id) for each feed order; params are bound
+// after `as_of` is known
+const FEED_SORTS = {
+  recent: null,
+  popular: 'upvotes',
+  trending: `upvotes / pow((julianday(@as_of) - julianday(created_at)) * 24 + 2, ${TRENDING_GRAVITY})`,
+};
+
+/**
+ * A feed cursor is the sort key of the last story returned plus the time
+ * the first page was read. Later pages only see stories from before then,
+ * so new stories never shift the pages being walked.
+ */
+function encodeFeedCursor(sort, asOf, row) {
+  const key = FEED_SORTS[sort] ? [row.sort_key, row.created_at, row.id] : [row.created_at, row.id];
+  return Buffer.from(JSON.stringify({ sort, as_of: asOf, key })).toString('base64url');
+}
+
+function decodeFeedCursor(cursor, sort) {
+  try {
+    const c = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    const length = FEED_SORTS[sort] ? 3 : 2;
+    if (c.sort !== sort || typeof c.as_of !== 'string' || !Array.isArray(c.key) || c.key.length !== length) return null;
+    return c;
+  } catch {
+    return null;
+  }
+}
+
+// A positive whole number, or null for anything else ("abc", "-1", "2.5")
+function positiveInt(value) {
+  return /^\d+$/.test(String(value)) && parseInt(value) > 0 ? parseInt(value) : null;
+}
+
+// Words of a search box as an FTS5 query: every word must match, the last as a prefix
+function storySearchQuery(q) {
+  const words = String(q).replace(/[^\w\s]/g, ' ').trim().split(/\s+/).filter(Boolean);
+  return words.map((w, i) => `"${w}"${i === words.length - 1 ? '*' : ''}`).join(' ');
+}
+
+// Get the feed. Filters: ?q= (story, summary and trace text), ?neighbourhood=
+// (id or name), ?ward=, ?source= and ?chapter= (what the traces cite),
+// ?from= / ?to= (YYYY-MM-DD, inclusive), ?designation=.
+// Sorts: recent, popular, trending. Page with ?cursor= (next_cursor of the
+// previous response) or, for jumping to a page, ?page=.
+app.get('/api/feed', (req, res) => {
+  const { page, cursor, limit = 10, sort = 'recent', q, neighbourhood, ward, source, chapter, from, to, designation } = req.query;
+
+  // ?source[]=x and ?source=a&source=b parse as arrays, which the driver can't bind
+  const repeated = FEED_PARAMS.find(name => req.query[name] !== undefined && typeof req.query[name] !== 'string');
+  if (repeated) return res.status(400).json({ error: `${repeated} must be a single value.` });
+  if (!Object.hasOwn(FEED_SORTS, sort)) return res.status(400).json({ error: `sort must be one of: ${Object.keys(FEED_SORTS).join(', ')}.` });
+  const requestedLimit = positiveInt(limit);
+  if (!requestedLimit) return res.status(400).json({ error: 'limit must be a positive integer.' });
+  const safeLimit = Math.min(requestedLimit, FEED_MAX_LIMIT);
+  if (page !== undefined && cursor !== undefined) return res.status(400).json({ error: 'Use either page or cursor, not both.' });
+  const safePage = page === undefined ? 1 : positiveInt(page);
+  if (!safePage) return res.status(400).json({ error: 'page must be a positive integer.' });
+  const after = cursor === undefined ? null : decodeFeedCursor(cursor, sort);
+  if (cursor !== undefined && !after) return res.status(400).json({ error: 'Invalid cursor.' });
+
+  const asOf = after ? after.as_of : new Date().toISOString().slice(0, 19).replace('T', ' ');
+  let where = `status = 'published' AND created_at <= @as_of`;
+  const params = { as_of: asOf };
+
+  if (q && String(q).trim()) {
+    const match = storySearchQuery(q);
+    if (!match) return res.status(400).json({ error: 'q has no searchable words.' });
+    where += ` AND rowid IN (SELECT rowid FROM stories_fts WHERE stories_fts MATCH @q)`;
+    params.q = match;
+  }
+
+  if (neighbourhood) {
+    const place = /^\d+$/.test(neighbourhood) ? neighbourhoods.getNeighbourhood(neighbourhood) : neighbourhoods.normalizeNeighbourhood(neighbourhood);
+    if (!place) return res.status(400).json({ error: `Unknown neighbourhood: ${neighbourhood}` });
+    where += ` AND neighbourhood_id = @neighbourhood_id`;
+    params.neighbourhood_id = place.id;
+  }
+
+  if (ward) {
+    if (!neighbourhoods.getWard(ward)) return res.status(400).json({ error: `Unknown ward: ${ward}` });
+    where += ` AND ward_id = @ward_id`;
+    params.ward_id = parseInt(ward);
+  }
+
+  // ?source=zoning_bylaw&chapter=150 — stories with a citation there
+  if (source || chapter) {
+    where += ` AND EXISTS (
+      SELECT 1 FROM trace_items i
+      WHERE i.story_id = stories.id AND (@source IS NULL OR i.source = @source) AND (@chapter IS NULL OR i.chapter = @chapter)
+    )`;
+    const named = chapter ? String(chapter).trim() : null;
+    params.source = source || null;
+    params.chapter = named && /^\d+$/.test(named) ? `Chapter ${named}` : named;
+  }
+
+  for (const [name, value, op, modifier] of [['from', from, '>=', ''], ['to', to, '<', ', \'+1 day\'']]) {
+    if (value === undefined) continue;
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(value) || isNaN(Date.parse(value))) {
+      return res.status(400).json({ error: `${name} must be a date (YYYY-MM-DD).` });
+    }
+    where += ` AND created_at ${op} datetime(@${name}${modifier})`;
+    params[name] = value;
+  }
+
+  // ?designation=Mixed Use Areas — stories with a citation tagged with that designation
+  if (designation) {
+    where += ` AND EXISTS (
+      SELECT 1 FROM trace_items i, json_each(i.designations) d
+      WHERE i.story_id = stories.id AND i.designations IS NOT NULL AND d.value = @designation COLLATE NOCASE
+    )`;
+    params.designation = designation;
+  }
+
+  const sortKey = FEED_SORTS[sort];
+  const keyColumns = sortKey ? ['sort_key', 'created_at', 'id'] : ['created_at', 'id'];
+  let seek = '';
+  if (after) {
+    seek = `WHERE (${keyColumns.join(', ')}) < (${keyColumns.map((_, i) => `@key${i}`).join(', ')})`;
+    after.key.forEach((value, i) => { params[`key${i}`] = value; });
+  }
+
+  const stories = db.prepare(`
+    SELECT * FROM (
+      SELECT id, story, neighbourhood, neighbourhood_id, summary, created_at, upvotes, me_too${sortKey ? `, ${sortKey} AS sort_key` : ''}
+      FROM stories
+      WHERE ${where}
+    )
+    ${seek}
+    ORDER BY ${keyColumns.map(c => `${c} DESC`).join(', ')}
+    LIMIT @limit OFFSET @offset
+  `).all({ ...params, limit: safeLimit + 1, offset: after ? 0 : (safePage - 1) * safeLimit });
+
+  const more = stories.length > safeLimit;
+  if (more) stories.pop();
+
+  const total = db.prepare(`SELECT COUNT(*) as count FROM stories WHERE ${where}`).get(params);
 
   res.json({
-    stories: formatted,
+    stories: formatPublicStories(stories),
     total: total.count,
-    page: parseInt(page),
-    pages: Math.ceil(total.count / safeLimit)
+    page: after ? null : safePage,
+    pages: Math.ceil(total.count / safeLimit),
+    next_cursor: more ? encodeFeedCursor(sort, asOf, stories[stories.length - 1]) : null
   });
 });
 
 // Get a single trace by ID
 app.get('/api/trace/:id', (req, res) => {
   const story = db.prepare(`
-    SELECT id, story, neighbourhood, trace_json, summary, created_at, upvotes
+    SELECT id, story, neighbourhood, neighbourhood_id, summary, created_at, upvotes, me_too
     FROM stories
     WHERE id = ? AND status = 'published'
   `).get(req.params.id);
 
   if (!story) return res.status(404).json({ error: 'Trace not found.' });
 
+  res.json(formatPublicStories([story])[0]);
+});
+
+// ── Votes ──
+// One upvote and one "me too" per client per story, either of which can be
+// taken back. A client is its signed voter cookie and nothing else. A keyed
+// fingerprint of IP and browser headers is only a duplicate signal: people
+// behind one NAT often share it, so it caps a story's votes from one
+// fingerprint at VOTES_PER_FINGERPRINT rather than counting as one voter.
+// Each IP may cast VOTES_PER_IP_PER_HOUR votes an hour.
+
+// Route name → votes.kind and the stories column that counts it
+const VOTE_KINDS = {
+  upvote: { kind: 'upvote', column: 'upvotes' },
+  'me-too': { kind: 'me_too', column: 'me_too' },
+};
+const VOTES_PER_IP_PER_HOUR = Math.max(parseInt(process.env.VOTES_PER_IP_PER_HOUR ?? '60') || 0, 1);
+const VOTES_PER_FINGERPRINT = 3;
+const VOTER_COOKIE = 't2_voter';
+
+// Without VOTER_SECRET, a random one is generated and kept in the settings table
+const VOTER_SECRET = process.env.VOTER_SECRET || (() => {
+  db.prepare(`INSERT OR IGNORE INTO settings (key, value) VALUES ('voter_secret', ?)`).run(crypto.randomBytes(32).toString('hex'));
+  return db.prepare(`SELECT value FROM settings WHERE key = 'voter_secret'`).get().value;
+})();
+
+const keyedHash = (value) => crypto.createHmac('sha256', VOTER_SECRET).update(value).digest('base64url');
+
+/**
+ * Who is voting: the voter id from a valid signed cookie (issuing one if
+ * there's none), plus the fingerprint and IP hash of the request
+ */
+function identifyVoter(req, res) {
+  const cookie = (req.get('cookie') || '').split(';').map(c => c.trim()).find(c => c.startsWith(`${VOTER_COOKIE}=`));
+
+  let voterId = null;
+  const [id, signature] = (cookie ? cookie.slice(VOTER_COOKIE.length + 1) : '').split('.');
+  if (id && signature) {
+    const a = Buffer.from(signature);
+    const b = Buffer.from(keyedHash(id));
+    if (a.length === b.length && crypto.timingSafeEqual(a, b)) voterId = id;
+  }
+  if (!voterId) {
+    voterId = crypto.randomUUID();
+    res.cookie(VOTER_COOKIE, `${voterId}.${keyedHash(voterId)}`, {
+      httpOnly: true, sameSite: 'lax', secure: req.secure, maxAge: 365 * 24 * 60 * 60 * 1000
+    });
+  }
+
+  const ip = req.ip || '';
+  return {
+    voterId,
+    fingerprint: keyedHash(`${ip}|${req.get('user-agent') || ''}|${req.get('accept-language') || ''}`),
+    ipHash: keyedHash(ip),
+  };
+}
+
+const findVote = db.prepare(`
+  SELECT 1 FROM votes WHERE story_id = ? AND kind = ? AND voter_id = ?
+`);
+
+function voteState(storyId, voter) {
+  const story = db.prepare(`SELECT upvotes, me_too FROM stories WHERE id = ?`).get(storyId);
+  return {
+    upvotes: story.upvotes,
+    me_too: story.me_too,
+    voted: {
+      upvote: !!findVote.get(storyId, 'upvote', voter.voterId),
+      me_too: !!findVote.get(storyId, 'me_too', voter.voterId),
+    }
+  };
+}
+
+// Vote (POST) or take the vote back (DELETE). Voting twice is a no-op.
+app.post('/api/trace/:id/:kind(upvote|me-too)', (req, res) => {
+  const { kind, column } = VOTE_KINDS[req.params.kind];
+  const story = db.prepare(`SELECT id FROM stories WHERE id = ? AND status = 'published'`).get(req.params.id);
+  if (!story) return res.status(404).json({ error: 'Trace not found.' });
+
+  const voter = identifyVoter(req, res);
+  if (findVote.get(story.id, kind, voter.voterId)) return res.json(voteState(story.id, voter));
+
+  const sameFingerprint = db.prepare(`
+    SELECT COUNT(*) AS count FROM votes WHERE story_id = ? AND kind = ? AND fingerprint = ?
+  `).get(story.id, kind, voter.fingerprint);
+  if (sameFingerprint.count >= VOTES_PER_FINGERPRINT) {
+    return res.status(429).json({ error: 'This story has had too many votes from this network and browser.' });
+  }
+
+  const recent = db.prepare(`
+    SELECT COUNT(*) AS count FROM votes WHERE ip_hash = ? AND created_at > datetime('now', '-1 hour')
+  `).get(voter.ipHash);
+  if (recent.count >= VOTES_PER_IP_PER_HOUR) {
+    return res.status(429).json({ error: 'Too many votes from this network. Try again later.' });
+  }
+
+  db.transaction(() => {
+    db.prepare(`
+      INSERT OR IGNORE INTO votes (story_id, kind, voter_id, fingerprint, ip_hash) VALUES (?, ?, ?, ?, ?)
+    `).run(story.id, kind, voter.voterId, voter.fingerprint, voter.ipHash);
+    db.prepare(`UPDATE stories SET ${column} = ${column} + 1 WHERE id = ?`).run(story.id);
+  })();
+
+  res.json(voteState(story.id, voter));
+});
+
+app.delete('/api/trace/:id/:kind(upvote|me-too)', (req, res) => {
+  const { kind, column } = VOTE_KINDS[req.params.kind];
+  const story = db.prepare(`SELECT id FROM stories WHERE id = ? AND status = 'published'`).get(req.params.id);
+  if (!story) return res.status(404).json({ error: 'Trace not found.' });
+
+  const voter = identifyVoter(req, res);
+  db.transaction(() => {
+    const removed = db.prepare(`
+      DELETE FROM votes WHERE story_id = ? AND kind = ? AND voter_id = ?
+    `).run(story.id, kind, voter.voterId).changes;
+    if (removed) db.prepare(`UPDATE stories SET ${column} = MAX(${column} - ?, 0) WHERE id = ?`).run(removed, story.id);
+  })();
+
+  res.json(voteState(story.id, voter));
+});
+
+// ── Story Clusters (see story-clusters.js) ──
+
+// Recomputed when a story is published, edited or taken down
+let clusterCache = { signature: null, clusters: [] };
+
+function getClusters() {
+  const { signature } = db.prepare(`
+    SELECT COUNT(*) || '|' || IFNULL(MAX(created_at), '') || '|' || IFNULL(MAX(moderated_at), '') AS signature
+    FROM stories WHERE status = 'published'
+  `).get();
+  if (signature !== clusterCache.signature) {
+    const stories = db.prepare(`SELECT id, story, created_at FROM stories WHERE status = 'published'`).all();
+    const traces = traceItems.loadTraces(db, stories.map(s => s.id));
+    stories.forEach(s => { s.traces = traces.get(s.id); });
+    clusterCache = { signature, clusters: storyClusters.clusterStories(stories) };
+  }
+  return clusterCache.clusters;
+}
+
+/**
+ * Counts that change without re-clustering (upvotes, dates, where the
+ * stories come from), from the cluster's current stories
+ */
+function clusterStats(cluster, stories) {
+  const places = {};
+  for (const s of stories) {
+    const name = neighbourhoods.getNeighbourhood(s.neighbourhood_id)?.name || s.neighbourhood;
+    if (name) places[name] = (places[name] || 0) + 1;
+  }
+  const dates = stories.map(s => s.created_at).sort();
+  return {
+    id: cluster.id,
+    size: cluster.size,
+    root: cluster.root,
+    provisions: cluster.provisions,
+    upvotes: stories.reduce((sum, s) => sum + s.upvotes, 0),
+    neighbourhoods: Object.entries(places).sort((a, b) => b[1] - a[1]).map(([name, count]) => ({ name, count })),
+    first_story_at: dates[0] || null,
+    last_story_at: dates[dates.length - 1] || null,
+  };
+}
+
+function clusterStories(cluster) {
+  const placeholders = cluster.story_ids.map(() => '?').join(', ');
+  return db.prepare(`
+    SELECT id, story, neighbourhood, neighbourhood_id, summary, created_at, upvotes, me_too
+    FROM stories
+    WHERE id IN (${placeholders}) AND status = 'published'
+    ORDER BY upvotes DESC, created_at DESC
+  `).all(...cluster.story_ids);
+}
+
+// Stories grouped by shared root cause, biggest first (?sort=popular for most upvoted)
+app.get('/api/clusters', (req, res) => {
+  const { page = 1, limit = 10, sort = 'size' } = req.query;
+  const safeLimit = Math.min(Math.max(parseInt(limit) || 10, 1), 50);
+  const safePage = Math.max(parseInt(page) || 1, 1);
+
+  const clusters = getClusters().map(c => {
+    const stories = clusterStories(c);
+    return { ...clusterStats(c, stories), top_story: stories[0] ? { id: stories[0].id, story: stories[0].story } : null };
+  });
+  if (sort === 'popular') clusters.sort((a, b) => b.upvotes - a.upvotes || b.size - a.size);
+
   res.json({
-    id: story.id,
-    story: story.story,
-    neighbourhood: story.neighbourhood,
-    traces: JSON.parse(story.trace_json || '[]'),
-    summary: story.summary,
-    created_at: story.created_at,
-    upvotes: story.upvotes
+    clusters: clusters.slice((safePage - 1) * safeLimit, safePage * safeLimit),
+    total: clusters.length,
+    page: safePage,
+    pages: Math.ceil(clusters.length / safeLimit)
   });
 });
 
-// Upvote a trace
-app.post('/api/trace/:id/upvote', (req, res) => {
-  const result = db.prepare(`
-    UPDATE stories SET upvotes = upvotes + 1 WHERE id = ? AND status = 'published'
-  `).run(req.params.id);
-
-  if (result.changes === 0) return res.status(404).json({ error: 'Trace not found.' });
+// One cluster with every story tied to its root cause
+app.get('/api/clusters/:id', (req, res) => {
+  const cluster = getClusters().find(c => c.id === req.params.id);
+  if (!cluster) return res.status(404).json({ error: 'Cluster not found.' });
 
-  const story = db.prepare(`SELECT upvotes FROM stories WHERE id = ?`).get(req.params.id);
-  res.json({ upvotes: story.upvotes });
+  const stories = clusterStories(cluster);
+  res.json({ ...clusterStats(cluster, stories), stories: formatPublicStories(stories) });
 });
 
-// ── Stats endpoint (for future dashboard) ──
+// ── Stats (see trace-stats.js; charted by dashboard.html) ──
+// The endpoints read the weekly rollups, which are rebuilt after a story is
+// moderated and every STATS_ROLLUP_MS (for votes), never on a request for them
+
+const STATS_ROLLUP_MS = 60 * 1000;
+
+function rollUpStats() {
+  try {
+    traceStats.rollUp(db);
+  } catch (e) {
+    console.error('Stats rollup failed:', e.message);
+  }
+}
+
+rollUpStats();
+setInterval(rollUpStats, STATS_ROLLUP_MS).unref();
+
+const formatCitation = ({ citation, ...c }) => ({ key: citation, ...c });
+
+/**
+ * Filters shared by the stats endpoints: ?source=, ?chapter= (a bare
+ * number means "Chapter N"), ?provision_id= and ?neighbourhood= (id or
+ * name). Returns { filters } or { error }.
+ */
+function statsFilters(query) {
+  const filters = {};
+  if (query.source) filters.source = String(query.source);
+  if (query.chapter) {
+    const chapter = String(query.chapter).trim();
+    filters.chapter = /^\d+$/.test(chapter) ? `Chapter ${chapter}` : chapter;
+  }
+  if (query.provision_id !== undefined) {
+    filters.provisionId = positiveInt(query.provision_id);
+    if (!filters.provisionId) return { error: 'provision_id must be a positive integer.' };
+  }
+  if (query.neighbourhood) {
+    const n = String(query.neighbourhood);
+    const place = /^\d+$/.test(n) ? neighbourhoods.getNeighbourhood(n) : neighbourhoods.normalizeNeighbourhood(n);
+    if (!place) return { error: `Unknown neighbourhood: ${n}` };
+    filters.neighbourhoodId = place.id;
+  }
+  return { filters };
+}
+
+// A whole-number query parameter within [min, max], or the default when absent
+function boundedInt(value, fallback, min, max) {
+  if (value === undefined) return fallback;
+  const n = positiveInt(value);
+  return n && n >= min && n <= max ? n : null;
+}
+
 app.get('/api/stats', (req, res) => {
-  const total = db.prepare(`SELECT COUNT(*) as count FROM stories WHERE status = 'published'`).get();
-  const neighbourhoods = db.prepare(`
-    SELECT neighbourhood, COUNT(*) as count
-    FROM stories
-    WHERE status = 'published' AND neighbourhood IS NOT NULL AND neighbourhood != ''
-    GROUP BY neighbourhood
+  const total = db.prepare(`SELECT IFNULL(SUM(stories), 0) as count FROM story_stats`).get();
+
+  // Grouped by canonical id, so "Leslieville" and "leslieville " count together
+  const topNeighbourhoods = db.prepare(`
+    SELECT neighbourhood_id, SUM(stories) as count
+    FROM story_stats
+    WHERE neighbourhood_id IS NOT NULL
+    GROUP BY neighbourhood_id
     ORDER BY count DESC
     LIMIT 10
+  `).all().map(({ neighbourhood_id, count }) => {
+    const n = neighbourhoods.getNeighbourhood(neighbourhood_id);
+    return { neighbourhood_id, neighbourhood: n ? n.name : null, ward_id: n ? n.ward_id : null, count };
+  });
+
+  const topWards = db.prepare(`
+    SELECT ward_id, SUM(stories) as count
+    FROM story_stats
+    WHERE ward_id IS NOT NULL
+    GROUP BY ward_id
+    ORDER BY count DESC
+  `).all().map(({ ward_id, count }) => ({ ward_id, ward: neighbourhoods.getWard(ward_id)?.name || null, count }));
+
+  const unplaced = db.prepare(`SELECT IFNULL(SUM(stories), 0) as count FROM story_stats WHERE neighbourhood_id IS NULL`).get();
+
+  // Most cited provisions (or reference text, for unverified citations)
+  const topCodes = traceStats.topCitations(db, {}, { limit: 10 })
+    .map(c => ({ ref: c.code_ref, provision_id: c.provision_id, count: c.stories }));
+
+  // Distinct clients who upvoted or said "me too" to a story citing each
+  // verified provision — one person backing three stories counts once
+  const mostSupported = db.prepare(`
+    SELECT i.provision_id, MIN(i.code_ref) AS ref,
+      COUNT(DISTINCT v.voter_id) AS supporters,
+      COUNT(DISTINCT s.id) AS stories
+    FROM trace_items i
+    JOIN stories s ON s.id = i.story_id AND s.status = 'published'
+    JOIN votes v ON v.story_id = s.id
+    WHERE i.provision_id IS NOT NULL
+    GROUP BY i.provision_id
+    ORDER BY supporters DESC, stories DESC
+    LIMIT 10
   `).all();
 
-  // Most cited code references across all traces
-  const allTraces = db.prepare(`SELECT trace_json FROM stories WHERE status = 'published'`).all();
-  const codeRefCounts = {};
-  allTraces.forEach(row => {
-    const traces = JSON.parse(row.trace_json || '[]');
-    traces.forEach(t => {
-      const ref = t.code_ref?.split(',')[0]?.trim() || t.code_ref;
-      if (ref) codeRefCounts[ref] = (codeRefCounts[ref] || 0) + 1;
-    });
+  res.json({
+    total_stories: total.count,
+    top_neighbourhoods: topNeighbourhoods,
+    top_wards: topWards,
+    unplaced_stories: unplaced.count,
+    most_cited_codes: topCodes,
+    most_supported_provisions: mostSupported
   });
+});
 
-  const topCodes = Object.entries(codeRefCounts)
-    .sort((a, b) => b[1] - a[1])
-    .slice(0, 10)
-    .map(([ref, count]) => ({ ref, count }));
+// Most-cited provisions × the neighbourhoods citing them (?rows=, ?columns=)
+app.get('/api/stats/matrix', (req, res) => {
+  const { filters, error } = statsFilters(req.query);
+  if (error) return res.status(400).json({ error });
+  const rows = boundedInt(req.query.rows, 10, 1, 50);
+  const columns = boundedInt(req.query.columns, 10, 1, 50);
+  if (!rows || !columns) return res.status(400).json({ error: 'rows and columns must be whole numbers from 1 to 50.' });
 
+  const matrix = traceStats.provisionMatrix(db, filters, { rows, columns });
   res.json({
-    total_stories: total.count,
-    top_neighbourhoods: neighbourhoods,
-    most_cited_codes: topCodes
+    provisions: matrix.citations.map(formatCitation),
+    neighbourhoods: matrix.neighbourhood_ids.map(id => {
+      const n = neighbourhoods.getNeighbourhood(id);
+      return { id, name: n ? n.name : null, ward_id: n ? n.ward_id : null };
+    }),
+    counts: matrix.counts
+  });
+});
+
+// Stories per week, oldest first (?weeks=, default 26)
+app.get('/api/stats/timeseries', (req, res) => {
+  const { filters, error } = statsFilters(req.query);
+  if (error) return res.status(400).json({ error });
+  const weeks = boundedInt(req.query.weeks, 26, 1, 104);
+  if (!weeks) return res.status(400).json({ error: 'weeks must be a whole number from 1 to 104.' });
+
+  res.json({ weeks: traceStats.weeklySeries(db, filters, { weeks }) });
+});
+
+// The most-cited chapters of each source (?limit= chapters per source)
+app.get('/api/stats/chapters', (req, res) => {
+  const { filters, error } = statsFilters(req.query);
+  if (error) return res.status(400).json({ error });
+  const limit = boundedInt(req.query.limit, 10, 1, 50);
+  if (!limit) return res.status(400).json({ error: 'limit must be a whole number from 1 to 50.' });
+
+  res.json({ sources: traceStats.chaptersBySource(db, filters, { limit }) });
+});
+
+// Provisions cited more in the last ?weeks= weeks (default 4) than the weeks before
+app.get('/api/stats/rising', (req, res) => {
+  const { filters, error } = statsFilters(req.query);
+  if (error) return res.status(400).json({ error });
+  const weeks = boundedInt(req.query.weeks, 4, 1, 26);
+  const limit = boundedInt(req.query.limit, 10, 1, 50);
+  if (!weeks || !limit) return res.status(400).json({ error: 'weeks must be from 1 to 26 and limit from 1 to 50.' });
+
+  res.json({ weeks, rising: traceStats.risingCitations(db, filters, { weeks, limit }).map(formatCitation) });
+});
+
+// ── Neighbourhood Registry (see neighbourhoods.js) ──
+
+app.get('/api/neighbourhoods', (req, res) => {
+  res.json({ neighbourhoods: neighbourhoods.listNeighbourhoods() });
+});
+
+app.get('/api/wards', (req, res) => {
+  res.json({ wards: neighbourhoods.listWards() });
+});
+
+// What a neighbourhood input (?q=) and/or story text (?story=) resolve to
+app.get('/api/neighbourhoods/resolve', (req, res) => {
+  const { q = '', story = '' } = req.query;
+  if (!q && !story) return res.status(400).json({ error: 'Query parameter "q" or "story" is required.' });
+
+  res.json({
+    neighbourhood: neighbourhoods.normalizeNeighbourhood(q),
+    story: story ? neighbourhoods.geocodeStory(story) : null,
+  });
+});
+
+// ── Admin / Moderation ──
+// Every submitted story lands as 'pending' and only reaches the feed and
+// stats once a moderator approves it. Routes require ADMIN_TOKEN.
+
+// The placeholder an earlier .env.example shipped with counts as unset
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN === 'change-me' ? '' : process.env.ADMIN_TOKEN;
+if (process.env.ADMIN_TOKEN === 'change-me') console.warn('ADMIN_TOKEN is still the example placeholder; admin routes are off until it is changed.');
+const MODERATION_STATUSES = ['pending', 'published', 'rejected', 'unpublished'];
+
+function requireAdmin(req, res, next) {
+  if (!ADMIN_TOKEN) {
+    return res.status(503).json({ error: 'Admin access not configured. Set ADMIN_TOKEN in .env' });
+  }
+
+  const header = req.get('authorization') || '';
+  const provided = header.startsWith('Bearer ') ? header.slice(7) : (req.get('x-admin-token') || '');
+
+  const a = Buffer.from(provided);
+  const b = Buffer.from(ADMIN_TOKEN);
+  if (a.length !== b.length || !crypto.timingSafeEqual(a, b)) {
+    return res.status(401).json({ error: 'Invalid admin token.' });
+  }
+  next();
+}
+
+app.use('/api/admin', browseLimiter, requireAdmin);
+
+function getStoryForAdmin(id) {
+  return db.prepare(`
+    SELECT id, story, neighbourhood, neighbourhood_id, email, summary, status,
+           rejection_reason, moderated_at, created_at, upvotes
+    FROM stories WHERE id = ?
+  `).get(id);
+}
+
+function formatAdminStory(s) {
+  return {
+    id: s.id,
+    story: s.story,
+    neighbourhood: s.neighbourhood,
+    place: neighbourhoods.getNeighbourhood(s.neighbourhood_id),
+    email: s.email,
+    traces: pinVersions(traceItems.loadTraces(db, [s.id]).get(s.id), s.created_at),
+    summary: s.summary,
+    status: s.status,
+    rejection_reason: s.rejection_reason,
+    moderated_at: s.moderated_at,
+    created_at: s.created_at,
+    upvotes: s.upvotes
+  };
+}
+
+/**
+ * Move a story to a new moderation status.
+ * `from` limits which statuses the transition is allowed from.
+ */
+function setStoryStatus(req, res, { to, from, reason = null }) {
+  const story = getStoryForAdmin(req.params.id);
+  if (!story) return res.status(404).json({ error: 'Story not found.' });
+
+  if (!from.includes(story.status)) {
+    return res.status(409).json({ error: `Cannot move a ${story.status} story to ${to}.` });
+  }
+
+  db.prepare(`
+    UPDATE stories SET status = ?, rejection_reason = ?, moderated_at = datetime('now') WHERE id = ?
+  `).run(to, reason, story.id);
+  rollUpStats();
+
+  console.log(`Moderation: ${story.id} ${story.status} → ${to}${reason ? ` (${reason})` : ''}`);
+  res.json(formatAdminStory(getStoryForAdmin(story.id)));
+}
+
+// List stories in the moderation queue (oldest first so nothing waits forever)
+app.get('/api/admin/stories', (req, res) => {
+  const { status = 'pending', limit = 50 } = req.query;
+  if (!MODERATION_STATUSES.includes(status)) {
+    return res.status(400).json({ error: `Status must be one of: ${MODERATION_STATUSES.join(', ')}.` });
+  }
+
+  const safeLimit = Math.min(Math.max(parseInt(limit) || 50, 1), 200);
+  const stories = db.prepare(`
+    SELECT id, story, neighbourhood, neighbourhood_id, email, summary, status,
+           rejection_reason, moderated_at, created_at, upvotes
+    FROM stories
+    WHERE status = ?
+    ORDER BY created_at ASC
+    LIMIT ?
+  `).all(status, safeLimit);
+
+  const counts = db.prepare(`SELECT status, COUNT(*) as count FROM stories GROUP BY status`).all();
+
+  res.json({
+    stories: stories.map(formatAdminStory),
+    counts: Object.fromEntries(counts.map(c => [c.status, c.count]))
+  });
+});
+
+app.post('/api/admin/stories/:id/approve', (req, res) => {
+  setStoryStatus(req, res, { to: 'published', from: ['pending', 'rejected', 'unpublished'] });
+});
+
+app.post('/api/admin/stories/:id/reject', (req, res) => {
+  const reason = req.body?.reason ?? '';
+  if (typeof reason !== 'string') return res.status(400).json({ error: 'The reason must be text.' });
+  if (!reason.trim()) return res.status(400).json({ error: 'A rejection reason is required.' });
+  setStoryStatus(req, res, { to: 'rejected', from: ['pending', 'unpublished'], reason: reason.trim().slice(0, 500) });
+});
+
+app.post('/api/admin/stories/:id/unpublish', (req, res) => {
+  const reason = req.body?.reason ?? '';
+  if (typeof reason !== 'string') return res.status(400).json({ error: 'The reason must be text.' });
+  setStoryStatus(req, res, { to: 'unpublished', from: ['published'], reason: reason.trim().slice(0, 500) || null });
+});
+
+// Recent LLM responses that failed validation, newest first
+app.get('/api/admin/llm-failures', (req, res) => {
+  const safeLimit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+  const failures = db.prepare(`
+    SELECT id, provider, model, attempt, errors, raw_output, created_at
+    FROM llm_failures ORDER BY id DESC LIMIT ?
+  `).all(safeLimit);
+
+  res.json({ failures: failures.map(f => ({ ...f, errors: JSON.parse(f.errors || '[]') })) });
+});
+
+// Edit story text (e.g. to strip an address or a name before approving)
+app.patch('/api/admin/stories/:id', (req, res) => {
+  const story = getStoryForAdmin(req.params.id);
+  if (!story) return res.status(404).json({ error: 'Story not found.' });
+
+  const { story: text, neighbourhood } = req.body || {};
+  if (text !== undefined && (typeof text !== 'string' || text.trim().length < 20)) {
+    return res.status(400).json({ error: 'Story must be at least 20 characters.' });
+  }
+  // null clears the neighbourhood
+  if (neighbourhood !== undefined && neighbourhood !== null && typeof neighbourhood !== 'string') {
+    return res.status(400).json({ error: 'Neighbourhood must be text.' });
+  }
+
+  const newText = text !== undefined ? text.trim() : story.story;
+  const newHood = neighbourhood !== undefined ? (neighbourhood || '').trim() || null : story.neighbourhood;
+  const place = neighbourhoods.resolvePlace(newHood, newText);
+
+  db.prepare(`
+    UPDATE stories SET story = ?, neighbourhood = ?, neighbourhood_id = ?, ward_id = ?, moderated_at = datetime('now') WHERE id = ?
+  `).run(newText, newHood, place ? place.neighbourhood_id : null, place ? place.ward_id : null, story.id);
+  rollUpStats();
+
+  res.json(formatAdminStory(getStoryForAdmin(story.id)));
+});
+
+// Vocabulary: citizen phrases → legal concepts (see vocabulary.js)
+app.get('/api/admin/vocabulary', (req, res) => {
+  res.json({ concepts: vocabulary.listVocabulary() });
+});
+
+// Try a story against the current vocabulary without generating a trace
+app.post('/api/admin/vocabulary/test', (req, res) => {
+  const text = typeof req.body?.text === 'string' ? req.body.text : '';
+  if (!text.trim()) return res.status(400).json({ error: 'Text is required.' });
+  res.json({ ...vocabulary.expandStory(text.toLowerCase()), keywords: vocabulary.tagProvision(text) });
+});
+
+// Add a mapping: { concept, phrase, scope?, weight?, expansion? }
+app.post('/api/admin/vocabulary', (req, res) => {
+  const result = vocabulary.addMapping(req.body || {});
+  if (result.error) return res.status(400).json({ error: result.error });
+  res.status(201).json(result);
+});
+
+app.delete('/api/admin/vocabulary/phrases/:id', (req, res) => {
+  if (!vocabulary.removePhrase(req.params.id)) return res.status(404).json({ error: 'Phrase not found.' });
+  res.json({ ok: true });
+});
+
+// Start an ingestion run in the background (see ingest-jobs.js):
+// { sources?, refresh?, force?, all_chapters?, urls?, meetings?, concurrency? }
+// or { resume: true } to carry on with the last failed/interrupted run.
+// Watch it at GET /api/codes/ingest/status.
+app.post('/api/admin/ingest', (req, res) => {
+  const body = req.body || {};
+  const result = ingestJobs.startIngestion({
+    resume: body.resume === true,
+    sources: body.sources,
+    refresh: body.refresh === true,
+    force: body.force === true,
+    allChapters: body.all_chapters === true,
+    urls: body.urls,
+    meetings: body.meetings,
+    concurrency: body.concurrency,
   });
+  if (result.error) return res.status(result.status).json({ error: result.error });
+  res.status(202).json(result);
 });
 
 // ── Code Database Endpoints ──
 
 // Search the code database directly
 app.get('/api/codes/search', (req, res) => {
-  const { q, source, limit = 10 } = req.query;
+  const { q, source, designation, limit = 10, mode = RETRIEVAL_MODE, as_of } = req.query;
   if (!q) return res.status(400).json({ error: 'Query parameter "q" is required.' });
+  const repeated = Object.entries({ q, source, designation, mode, as_of }).find(([, value]) => value !== undefined && typeof value !== 'string');
+  if (repeated) return res.status(400).json({ error: `${repeated[0]} must be a single value.` });
+  if (!codesDb.SEARCH_MODES.includes(mode)) {
+    return res.status(400).json({ error: `Mode must be one of: ${codesDb.SEARCH_MODES.join(', ')}.` });
+  }
+  const asOf = as_of ? codesDb.asOfTime(as_of) : null;
+  if (as_of && !asOf) return res.status(400).json({ error: 'as_of must be a date, e.g. 2025-01-31.' });
 
   const results = codesDb.searchProvisions(q, {
-    limit: Math.min(parseInt(limit), 20),
-    source: source || null
+    limit: Math.min(parseInt(limit) || 10, 20),
+    source: source || null,
+    mode,
+    asOf,
+    designation: designation || null
   });
 
-  res.json({ query: q, results });
+  res.json({ query: q, mode, as_of: asOf, designation: designation || null, results });
 });
 
 // Get code database stats
@@ -359,6 +1215,139 @@ app.get('/api/codes/stats', (req, res) => {
   res.json(codesDb.getCodeStats());
 });
 
+// Official Plan land-use designations that provisions are tagged with
+app.get('/api/codes/designations', (req, res) => {
+  res.json({ designations: codesDb.listDesignations() });
+});
+
+// Progress of the latest ingestion run, or ?job=<id>. Admin only: jobs carry
+// their options (local paths included) and raw error messages.
+app.get('/api/codes/ingest/status', requireAdmin, (req, res) => {
+  if (req.query.job !== undefined && !/^\d+$/.test(req.query.job)) return res.status(400).json({ error: 'job must be a job id.' });
+  const status = ingestJobs.getJobStatus(req.query.job ? Number(req.query.job) : null);
+  if (!status) return res.status(404).json({ error: req.query.job ? 'Ingestion job not found.' : 'No ingestion has been run yet.' });
+  res.json(status);
+});
+
+// How each chapter was split at its last ingestion (?source=, ?flagged=1 for
+// only the chapters that need a dedicated parser)
+app.get('/api/codes/ingest/quality', (req, res) => {
+  const flagged = req.query.flagged === '1' || req.query.flagged === 'true';
+  const chapters = codesDb.getIngestionQuality({ source: req.query.source || null, flagged });
+  res.json({
+    total: chapters.length,
+    needs_parser: chapters.filter(c => c.needs_parser).length,
+    chapters,
+  });
+});
+
+// Get a single provision, with parent/children and prev/next navigation
+app.get('/api/codes/provision/:id', (req, res) => {
+  const id = parseInt(req.params.id);
+  if (!Number.isInteger(id) || id < 1) return res.status(400).json({ error: 'Provision id must be a positive integer.' });
+
+  const provision = codesDb.getProvision(id);
+  if (!provision) return res.status(404).json({ error: 'Provision not found.' });
+
+  res.json({ ...provision, definitions: definitions.definitionsFor([id], { limit: 50 }) });
+});
+
+// What a provision cites ("subject to § 591-3.1", "despite Chapter 591")
+app.get('/api/codes/provision/:id/references', (req, res) => {
+  const id = parseInt(req.params.id);
+  if (!Number.isInteger(id) || id < 1) return res.status(400).json({ error: 'Provision id must be a positive integer.' });
+
+  const result = crossReferences.referencesFrom(id);
+  if (!result) return res.status(404).json({ error: 'Provision not found.' });
+
+  res.json(result);
+});
+
+// What cites a provision, or its whole chapter
+app.get('/api/codes/provision/:id/referenced-by', (req, res) => {
+  const id = parseInt(req.params.id);
+  if (!Number.isInteger(id) || id < 1) return res.status(400).json({ error: 'Provision id must be a positive integer.' });
+
+  const result = crossReferences.referencesTo(id);
+  if (!result) return res.status(404).json({ error: 'Provision not found.' });
+
+  res.json(result);
+});
+
+// Every version of a provision's section, with word diffs between them
+app.get('/api/codes/provision/:id/history', (req, res) => {
+  const id = parseInt(req.params.id);
+  if (!Number.isInteger(id) || id < 1) return res.status(400).json({ error: 'Provision id must be a positive integer.' });
+
+  const history = codesDb.getSectionHistory(id);
+  if (!history) return res.status(404).json({ error: 'Provision not found.' });
+
+  res.json(history);
+});
+
+// Defined terms, alphabetically (?q= part of a term, ?source=, ?chapter=)
+app.get('/api/codes/glossary', (req, res) => {
+  const { q, source, chapter, page = 1, limit = 50 } = req.query;
+  const repeated = Object.entries({ q, source, chapter }).find(([, value]) => value !== undefined && typeof value !== 'string');
+  if (repeated) return res.status(400).json({ error: `${repeated[0]} must be a single value.` });
+  const safeLimit = Math.min(Math.max(parseInt(limit) || 50, 1), 200);
+  const safePage = Math.max(parseInt(page) || 1, 1);
+
+  const result = definitions.searchGlossary({
+    q: q || null,
+    source: source || null,
+    chapter: chapter ? (/^\d+$/.test(chapter.trim()) ? `Chapter ${chapter.trim()}` : chapter.trim()) : null,
+    offset: (safePage - 1) * safeLimit,
+    limit: safeLimit,
+  });
+
+  res.json({ ...result, page: safePage, pages: Math.ceil(result.total / safeLimit) });
+});
+
+// One defined term and the provisions that use it
+app.get('/api/codes/glossary/:id', (req, res) => {
+  const id = parseInt(req.params.id);
+  if (!Number.isInteger(id) || id < 1) return res.status(400).json({ error: 'Definition id must be a positive integer.' });
+
+  const definition = definitions.getDefinition(id);
+  if (!definition) return res.status(404).json({ error: 'Definition not found.' });
+
+  res.json(definition);
+});
+
+// List the chapters in one source (municipal_code, zoning_bylaw, official_plan, ...)
+app.get('/api/codes/sources/:source/chapters', (req, res) => {
+  const chapters = codesDb.listChapters(req.params.source);
+  if (chapters.length === 0) return res.status(404).json({ error: `No provisions indexed for source "${req.params.source}".` });
+
+  res.json({ source: req.params.source, chapters });
+});
+
+// Page through a chapter's sections in order — accepts "Chapter 591" or just "591"
+app.get('/api/codes/chapters/:chapter', (req, res) => {
+  const raw = req.params.chapter.trim();
+  const chapter = /^\d+$/.test(raw) ? `Chapter ${raw}` : raw;
+  const { page = 1, limit = 50 } = req.query;
+
+  const safeLimit = Math.min(Math.max(parseInt(limit) || 50, 1), 200);
+  const safePage = Math.max(parseInt(page) || 1, 1);
+
+  let source = req.query.source;
+  if (!source) {
+    const sources = codesDb.getChapterSources(chapter);
+    if (sources.length === 0) return res.status(404).json({ error: `${chapter} not found.` });
+    if (sources.length > 1) {
+      return res.status(400).json({ error: `${chapter} exists in more than one source. Pass ?source=`, sources });
+    }
+    source = sources[0];
+  }
+
+  const result = codesDb.getChapter(chapter, source, { offset: (safePage - 1) * safeLimit, limit: safeLimit });
+  if (!result) return res.status(404).json({ error: `${chapter} not found in ${source}.` });
+
+  res.json({ ...result, page: safePage, pages: Math.ceil(result.total / safeLimit) });
+});
+
 // SPA fallback
 app.get('*', (req, res) => {
   res.sendFile(path.join(__dirname, 'public', 'index.html'));
@@ -366,5 +1355,6 @@ app.get('*', (req, res) => {
 
 // ── Start ──
 app.listen(PORT, () => {
-  console.log(`\n  🏙️  Toronto 2.0 running at http://localhost:${PORT}\n`);
+  console.log(`\n  🏙️  Toronto 2.0 running at http://localhost:${PORT}`);
+  console.log(`  LLM: ${llm.name} (${llm.model})\n`);
 });
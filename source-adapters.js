@@ -0,0 +1,708 @@
+/**
+ * source-adapters.js — Pluggable document sources for ingest-codes.js
+ *
+ * Every adapter exposes the same shape:
+ *
+ *   {
+ *     source, name, icon,
+ *     discover(ctx)            → Promise<[{ chapter, title, url, type }]>
+ *     fetch(doc, ctx)          → Promise<Buffer>
+ *     parse(buffer, doc, ctx)  → Promise<parsed>   (whatever chunk() wants)
+ *     chunk(parsed, doc, ctx)  → { provisions, strategy }
+ *   }
+ *
+ * `source` is the provisions.source value. discover() lists the documents
+ * to ingest; a document's `chapter` is what ingestion_log tracks it by and
+ * `type` ('pdf' or 'html') is how it's cached. chunk() returns provisions
+ * without the fields the document already implies — ingest-codes.js fills
+ * in source, chapter, chapter_title and pdf_url, then stores them. Adapters
+ * never touch codes.db. `strategy` names how the document was split
+ * ('zoning-parser', 'generic:section-sign', ...) for the quality report;
+ * a provision cut to length is marked `truncated`.
+ *
+ * `ctx` carries everything that depends on how ingestion was started:
+ *   fetch(url, type)        — cached HTTP, or fixture files when offline
+ *   extractText(buffer)     — PDF text (null if unreadable)
+ *   extractKeywords(text)   — vocabulary tags
+ *   options                 — { allChapters, urls, meetings }
+ *   log(message)
+ *
+ * Sources:
+ *   municipal_code    — Toronto Municipal Code chapters (PDF)
+ *   zoning_bylaw      — Zoning By-law 569-2013 (PDF, zoning-parser.js)
+ *   official_plan     — Official Plan (PDF, official-plan-parser.js)
+ *   bylaw             — individual by-laws published as HTML (--url=)
+ *   ttc               — TTC service standards (PDF, --url=)
+ *   ontario_statute   — Ontario statutes from e-Laws (HTML)
+ *   building_code     — Ontario Building Code, O. Reg. 332/12 (HTML)
+ *   council_decision  — City Council decisions from TMMIS (HTML, --meetings=)
+ */
+
+const cheerio = require('cheerio');
+const { parseZoningBylaw } = require('./zoning-parser');
+const { parseOfficialPlan } = require('./official-plan-parser');
+
+// Structured parsers keep whole sections, so only guard against runaway text
+const MAX_CONTENT = 8000;
+// The generic chunker's pieces are arbitrary, so keep them short
+const MAX_CHUNK = 3000;
+
+// ══════════════════════════════════════
+// Shared steps
+// ══════════════════════════════════════
+
+const fetchDocument = (doc, ctx) => ctx.fetch(doc.url, doc.type);
+
+async function parsePdf(buffer, doc, ctx) {
+  return { text: await ctx.extractText(buffer, doc.chapter) };
+}
+
+async function parseHtml(buffer) {
+  return { $: cheerio.load(buffer.toString('utf8')) };
+}
+
+/**
+ * Split PDF text into provisions on section-like patterns.
+ *
+ * Municipal code PDFs follow a fairly consistent pattern:
+ * - Section headers like "§ 591-2.1" or "ARTICLE III"
+ * - Subsections indented or numbered
+ *
+ * We chunk on section boundaries to keep provisions atomic. This is the
+ * fallback for any document without a structured parser. The strategy is
+ * "generic:" plus the pattern that won, "generic:fixed-size" when none
+ * split the text, or "generic:whole-text" for a short unsplittable one.
+ */
+function chunkText(text, { chapter, extractKeywords }) {
+  if (!text || text.length < 50) return { provisions: [], strategy: 'generic:none' };
+
+  // Split on section-like patterns
+  const sectionPatterns = [
+    // § 591-2.1 or § 841-4
+    { name: 'section-sign', pattern: /(?=§\s*\d+[\-–]\d+)/g },
+    // ARTICLE I, ARTICLE II etc.
+    { name: 'article', pattern: /(?=ARTICLE\s+[IVXLC]+)/gi },
+    // Section 15.10.40 or 5.10.40
+    { name: 'dotted-number', pattern: /(?=\d+\.\d+\.\d+)/g },
+    // Numbered sections like "(1)", "(2)" at start of line
+    { name: 'numbered-paragraph', pattern: /(?=\n\s*\(\d+\)\s+[A-Z])/g },
+  ];
+
+  let sections = [text]; // Start with the full text
+  let strategy = 'whole-text';
+
+  // Try each pattern, use the one that gives the best granularity
+  for (const { name, pattern } of sectionPatterns) {
+    const splits = text.split(pattern).filter(s => s.trim().length > 30);
+    if (splits.length > sections.length && splits.length < 200) {
+      sections = splits;
+      strategy = name;
+    }
+  }
+
+  // If we couldn't split into sections, chunk by ~1500 chars with overlap
+  if (sections.length <= 1 && text.length > 2000) {
+    sections = chunkBySize(text, 1500, 200);
+    strategy = 'fixed-size';
+  }
+
+  const provisions = sections.map((content, i) => {
+    // Try to extract a section number from the beginning
+    const sectionMatch = content.match(/^§?\s*([\d\-–.]+)/);
+    const section = sectionMatch ? sectionMatch[1].trim() : null;
+
+    // Try to extract a title (first line, if it looks like a title)
+    const lines = content.trim().split('\n');
+    const firstLine = lines[0]?.trim();
+    const sectionTitle = firstLine && firstLine.length < 120 ? firstLine : null;
+
+    return {
+      section: section ? `${chapter}-${section}` : `${chapter} (Part ${i + 1})`,
+      section_title: sectionTitle,
+      content: content.trim().slice(0, MAX_CHUNK),
+      truncated: content.trim().length > MAX_CHUNK,
+      keywords: extractKeywords(content),
+    };
+  });
+
+  return { provisions: provisions.filter(p => p.content.length > 50), strategy: `generic:${strategy}` };
+}
+
+/**
+ * Chunk text by character count with overlap
+ */
+function chunkBySize(text, chunkSize, overlap) {
+  const chunks = [];
+  let start = 0;
+  while (start < text.length) {
+    const end = Math.min(start + chunkSize, text.length);
+    chunks.push(text.slice(start, end));
+    start = end - overlap;
+    if (start >= text.length - overlap) break;
+  }
+  return chunks;
+}
+
+/**
+ * The text of an HTML page as lines, one per innermost block element, in
+ * document order. Scripts, navigation and page chrome are dropped.
+ */
+function htmlLines($, root = 'body') {
+  $('script, style, noscript, nav, header, footer').remove();
+
+  const blocks = 'h1, h2, h3, h4, h5, h6, p, li, td, th, dt, dd, pre';
+  const lines = [];
+  $(root).find(blocks).each((_, el) => {
+    if ($(el).find(blocks).length) return;
+    const text = $(el).text().replace(/\s+/g, ' ').trim();
+    if (text) lines.push(text);
+  });
+
+  // Pages that put their text straight into divs
+  if (lines.length === 0) {
+    return $(root).text().split('\n').map(l => l.replace(/\s+/g, ' ').trim()).filter(Boolean);
+  }
+  return lines;
+}
+
+const MINOR_WORDS = new Set(['a', 'an', 'and', 'as', 'at', 'by', 'for', 'from', 'in', 'of', 'on', 'or', 'the', 'to', 'with']);
+
+/**
+ * Headings are short and Title Case; a wrapped sentence that happens to
+ * start with a number isn't.
+ */
+function looksLikeTitle(title) {
+  if (/[.,;:]$/.test(title)) return false;
+  const words = title.split(/\s+/).filter(w => /[a-z]/i.test(w));
+  if (words.length === 0 || words.length > 12) return false;
+  const major = words.filter(w => !MINOR_WORDS.has(w.toLowerCase()));
+  return major.filter(w => /^[A-Z0-9("']/.test(w)).length >= major.length * 0.8;
+}
+
+/**
+ * Table-of-contents entries look like headings but end in dot leaders or page numbers
+ */
+function isTocEntry(line) {
+  return /\.{4,}/.test(line) || /\s\d{1,3}$/.test(line);
+}
+
+/**
+ * Split lines into sections at lines matching `heading`, which captures
+ * (number, title). Text before the first heading is dropped.
+ */
+function splitByHeadings(lines, heading) {
+  const sections = [];
+  let current = null;
+  for (const line of lines) {
+    const m = line.match(heading);
+    if (m && !isTocEntry(line) && looksLikeTitle(m[2].trim())) {
+      current = { number: m[1], title: m[2].trim(), lines: [] };
+      sections.push(current);
+      continue;
+    }
+    if (current) current.lines.push(line);
+  }
+  return sections;
+}
+
+/**
+ * Split lines into paragraphs numbered 1., 2., 3. ... Only the next number
+ * in sequence starts a new one, so lists inside a paragraph stay put.
+ */
+function splitNumberedParagraphs(lines) {
+  const sections = [];
+  let current = null;
+  for (const line of lines) {
+    const m = line.match(/^(\d{1,3})\.\s+(\S.*)$/);
+    if (m && parseInt(m[1]) === sections.length + 1) {
+      current = { number: m[1], title: null, lines: [line] };
+      sections.push(current);
+      continue;
+    }
+    if (current) current.lines.push(line);
+  }
+  return sections;
+}
+
+/**
+ * Turn split sections into provisions, skipping any without text
+ */
+function toProvisions(sections, { extractKeywords, level = 'section', section = (s) => s.number, parent = () => null }) {
+  return sections
+    .map(s => ({ s, content: s.lines.join('\n').trim() }))
+    .filter(({ content }) => content.length > 0)
+    .map(({ s, content }) => ({
+      section: section(s),
+      section_title: s.title || null,
+      parent_section: parent(s),
+      level,
+      content: content.slice(0, MAX_CONTENT),
+      truncated: content.length > MAX_CONTENT,
+      keywords: extractKeywords(`${s.title || ''}\n${content}`),
+    }));
+}
+
+// ══════════════════════════════════════
+// Toronto Municipal Code
+// ══════════════════════════════════════
+
+function createMunicipalCodeAdapter({
+  indexUrl = 'https://www.toronto.ca/legdocs/bylaws/lawmcode.htm',
+  // These are the citizen-facing chapters most likely to appear in traces
+  priorityChapters = [
+    349, 354, 363, 395, 415, 441, 447, 459, 469, 489, 492,
+    510, 517, 523, 545, 547, 548, 553, 555, 591, 608, 611,
+    612, 615, 629, 632, 636, 658, 673, 681, 693, 694, 719,
+    738, 743, 767, 813, 841, 844, 849, 851, 880, 886, 903,
+    910, 915, 918, 919, 925, 937, 950
+  ],
+} = {}) {
+  return {
+    source: 'municipal_code',
+    name: 'Toronto Municipal Code',
+    icon: '📜',
+
+    async discover(ctx) {
+      const $ = cheerio.load((await ctx.fetch(indexUrl, 'html')).toString('utf8'));
+
+      // Parse chapter links from the table
+      const chapters = [];
+      $('a[href*="municode"]').each((_, el) => {
+        const href = $(el).attr('href');
+        const text = $(el).text().trim();
+        const chapterMatch = text.match(/Chapter\s+(\d+)/);
+
+        if (chapterMatch && href.endsWith('.pdf')) {
+          // Get the chapter title from the next cell or the link context
+          const cells = $(el).closest('tr').find('td');
+          chapters.push({
+            number: parseInt(chapterMatch[1]),
+            title: cells.eq(1)?.text()?.trim() || text,
+            url: href.startsWith('http') ? href : `https://www.toronto.ca/legdocs/municode/${href.split('/').pop()}`,
+          });
+        }
+      });
+
+      ctx.log(`Found ${chapters.length} chapters`);
+
+      // Filter to priority chapters (or all if flag set)
+      const doAll = ctx.options.allChapters;
+      const toIngest = doAll ? chapters : chapters.filter(c => priorityChapters.includes(c.number));
+      ctx.log(`Ingesting ${toIngest.length} ${doAll ? 'total' : 'priority'} chapters\n`);
+
+      return toIngest.map(c => ({ chapter: `Chapter ${c.number}`, title: c.title, url: c.url, type: 'pdf' }));
+    },
+
+    fetch: fetchDocument,
+    parse: parsePdf,
+    chunk: ({ text }, doc, ctx) => chunkText(text, { chapter: doc.chapter, extractKeywords: ctx.extractKeywords }),
+  };
+}
+
+// ══════════════════════════════════════
+// Zoning By-law 569-2013
+// ══════════════════════════════════════
+
+// Below this many numbered clauses, the structured parser probably misread the PDF
+const MIN_ZONING_CLAUSES = 10;
+
+function createZoningBylawAdapter({
+  documents = [
+    // Volume 1: Chapters 1-800 (all the main regulations)
+    {
+      url: 'https://www.toronto.ca/legdocs/bylaws/2013/law0569-schedule-a-vol1-ch1-800.pdf',
+      chapter: 'Zoning By-law 569-2013 Vol. 1',
+      title: 'Chapters 1-800 (Administration, Zones, Parking, General Provisions, Definitions)'
+    },
+    // Volume 2: Exceptions Part 1
+    {
+      url: 'https://www.toronto.ca/legdocs/bylaws/2013/law0569-schedule-a-vol2-ch900-part1.pdf',
+      chapter: 'Zoning By-law 569-2013 Vol. 2',
+      title: 'Exceptions Part 1'
+    },
+    // Older consolidated version (has useful standalone structure)
+    {
+      url: 'https://www.toronto.ca/wp-content/uploads/2018/07/97ec-City-Planning-Zoning-Zoning-By-law-Part-1.pdf',
+      chapter: 'Zoning By-law 569-2013 Consolidated',
+      title: 'Office Consolidation (Chapters 1-80)'
+    },
+  ],
+} = {}) {
+  return {
+    source: 'zoning_bylaw',
+    name: 'Zoning By-law 569-2013',
+    icon: '🏗️ ',
+
+    async discover() {
+      return documents.map(d => ({ ...d, type: 'pdf' }));
+    },
+
+    fetch: fetchDocument,
+    parse: parsePdf,
+
+    // Rebuild the numbered clause tree; fall back to generic chunking
+    // if the volume doesn't follow the by-law's numbering
+    chunk({ text }, doc, ctx) {
+      const { provisions, definitions } = parseZoningBylaw(text, { pdfUrl: doc.url, extractKeywords: ctx.extractKeywords });
+      const clauses = provisions.filter(p => p.level === 'clause' || p.level === 'regulation').length;
+
+      if (clauses >= MIN_ZONING_CLAUSES) {
+        ctx.log(`✓ ${doc.chapter} — parsed ${clauses} clauses/regulations${definitions.length ? `, ${definitions.length} defined terms` : ''}`);
+        return { provisions, strategy: 'zoning-parser' };
+      }
+
+      ctx.log(`⚠ ${doc.chapter} — only ${clauses} numbered clauses found, using generic chunking`);
+      const chunked = chunkText(text, { chapter: doc.chapter, extractKeywords: ctx.extractKeywords });
+      return { ...chunked, provisions: chunked.provisions.map(p => ({ ...p, chapter_title: `Zoning By-law 569-2013 — ${doc.title}` })) };
+    },
+  };
+}
+
+// ══════════════════════════════════════
+// Official Plan
+// ══════════════════════════════════════
+
+// Below this many numbered policies, the structured parser probably misread the PDF
+const MIN_PLAN_POLICIES = 10;
+
+function createOfficialPlanAdapter({
+  documents = [
+    { url: 'https://www.toronto.ca/wp-content/uploads/2019/06/8f06-OfficialPlanAODA_Compiled-3.0.pdf', chapter: 'Official Plan', title: 'Consolidated Official Plan' },
+  ],
+} = {}) {
+  return {
+    source: 'official_plan',
+    name: 'Official Plan',
+    icon: '📋',
+
+    async discover() {
+      return documents.map(d => ({ ...d, type: 'pdf' }));
+    },
+
+    fetch: fetchDocument,
+    parse: parsePdf,
+
+    // Rebuild the chapter → section → policy tree; fall back to generic
+    // chunking if the document doesn't follow the Plan's numbering
+    chunk({ text }, doc, ctx) {
+      const { provisions, designations } = parseOfficialPlan(text, { pdfUrl: doc.url, extractKeywords: ctx.extractKeywords });
+      const policies = provisions.filter(p => p.level === 'policy').length;
+      const sidebars = provisions.filter(p => p.level === 'sidebar').length;
+
+      if (policies >= MIN_PLAN_POLICIES) {
+        ctx.log(`✓ ${doc.chapter} — parsed ${policies} policies, ${sidebars} sidebars`);
+        if (designations.length) ctx.log(`  Designations: ${designations.map(d => `${d.name} (${d.count})`).join(', ')}`);
+        return { provisions, strategy: 'official-plan-parser' };
+      }
+
+      ctx.log(`⚠ ${doc.chapter} — only ${policies} numbered policies found, using generic chunking`);
+      return chunkText(text, { chapter: doc.chapter, extractKeywords: ctx.extractKeywords });
+    },
+  };
+}
+
+// ══════════════════════════════════════
+// By-laws published as HTML
+// ══════════════════════════════════════
+
+/**
+ * One-off by-laws (enacting, amending, designating) that aren't part of
+ * the consolidated Municipal Code. There's no index to discover them
+ * from, so pass each page with --url=.
+ */
+function createHtmlBylawAdapter() {
+  return {
+    source: 'bylaw',
+    name: 'By-laws (HTML)',
+    icon: '📄',
+
+    async discover(ctx) {
+      const urls = ctx.options.urls || [];
+      if (urls.length === 0) ctx.log('No by-laws to ingest — pass each page with --url=');
+      return urls.map(url => ({ chapter: bylawNumberFromUrl(url), title: null, url, type: 'html' }));
+    },
+
+    fetch: fetchDocument,
+    parse: parseHtml,
+
+    chunk({ $ }, doc, ctx) {
+      const heading = $('h1').first().text().replace(/\s+/g, ' ').trim() || $('title').text().trim();
+      const lines = htmlLines($);
+
+      // "By-law No. 1234-2019" in the page itself beats the guess from the URL
+      const number = `${heading}\n${lines.slice(0, 20).join('\n')}`.match(/By-law\s+(?:No\.\s*)?(\d{1,4}-\d{4})/i);
+      const chapter = number ? `By-law ${number[1]}` : doc.chapter;
+      const title = heading && !/^By-law\s+(No\.\s*)?[\d-]+$/i.test(heading) ? heading : doc.title;
+
+      const sections = splitNumberedParagraphs(lines);
+      const chunked = sections.length > 0
+        ? { provisions: toProvisions(sections, { extractKeywords: ctx.extractKeywords }), strategy: 'numbered-paragraphs' }
+        : chunkText(lines.join('\n'), { chapter, extractKeywords: ctx.extractKeywords });
+
+      return { ...chunked, provisions: chunked.provisions.map(p => ({ ...p, chapter, chapter_title: title || chapter })) };
+    },
+  };
+}
+
+/**
+ * "…/bylaws/2019/law1234.htm" → "By-law 1234-2019"; anything else keeps its file name
+ */
+function bylawNumberFromUrl(url) {
+  const m = url.match(/\/(\d{4})\/law0*(\d+)[^/]*$/i);
+  return m ? `By-law ${m[2]}-${m[1]}` : url.split('/').pop().replace(/\.\w+$/, '');
+}
+
+// ══════════════════════════════════════
+// TTC service standards
+// ══════════════════════════════════════
+
+// "3.2 Crowding Standards" — numbered headings, one or two levels deep
+const TTC_HEADING_RE = /^(\d{1,2}(?:\.\d{1,2}){0,2})\.?\s+([A-Z][^\n]{2,100})$/;
+
+/**
+ * The TTC's standards for how often service runs, how crowded vehicles
+ * may get and how far people walk to a stop. The TTC moves these PDFs
+ * between site redesigns, so there's no default copy — pass each with --url=.
+ */
+function createTtcAdapter({ chapter = 'TTC Service Standards', title = 'Service Standards and Decision Rules for Planning Transit Service' } = {}) {
+  return {
+    source: 'ttc',
+    name: 'TTC Service Standards',
+    icon: '🚇',
+
+    async discover(ctx) {
+      const urls = ctx.options.urls || [];
+      if (urls.length === 0) ctx.log('No TTC documents to ingest — pass each PDF with --url=');
+      return urls.map((url, i) => ({ chapter: i === 0 ? chapter : `${chapter} (${i + 1})`, title, url, type: 'pdf' }));
+    },
+
+    fetch: fetchDocument,
+    parse: parsePdf,
+
+    chunk({ text }, doc, ctx) {
+      const lines = String(text || '').split('\n').map(l => l.replace(/\s+/g, ' ').trim()).filter(Boolean);
+      const sections = splitByHeadings(lines, TTC_HEADING_RE);
+      if (sections.length < 3) return chunkText(text, { chapter: doc.chapter, extractKeywords: ctx.extractKeywords });
+
+      const numbers = new Set(sections.map(s => s.number));
+      const provisions = toProvisions(sections, {
+        extractKeywords: ctx.extractKeywords,
+        parent: (s) => {
+          const parent = s.number.split('.').slice(0, -1).join('.');
+          return parent && numbers.has(parent) ? parent : null;
+        },
+      });
+      return { provisions, strategy: 'headings' };
+    },
+  };
+}
+
+// ══════════════════════════════════════
+// Ontario statutes and regulations (e-Laws)
+// ══════════════════════════════════════
+
+/**
+ * Split an e-Laws page into sections. e-Laws marks up each paragraph with
+ * a class: headnote-e (the section's title), section-e (its first
+ * paragraph, starting with the number) and subsection-e / clause-e / ...
+ * for the rest. Pages without that markup fall back to `heading` lines.
+ */
+function splitElaws($, heading) {
+  if ($('p.section-e').length === 0) return splitByHeadings(htmlLines($), heading);
+
+  const sections = [];
+  let current = null;
+  let title = null;
+  $('p').each((_, el) => {
+    const cls = $(el).attr('class') || '';
+    const text = $(el).text().replace(/\s+/g, ' ').trim();
+    if (!text) return;
+
+    if (/\bheadnote-e\b/.test(cls)) {
+      title = text;
+    } else if (/\bsection-e\b/.test(cls)) {
+      const number = text.match(/^(\d+(?:\.\d+)*)\b/);
+      current = { number: number ? number[1] : String(sections.length + 1), title, lines: [text] };
+      sections.push(current);
+      title = null;
+    } else if (current && /-e\b/.test(cls) && !/\b(partnum|parttitle|part|heading\d?)-e\b/.test(cls)) {
+      current.lines.push(text);
+    }
+  });
+  return sections;
+}
+
+// Plain-text fallback: "8 Powers of the City" / "8. Powers of the City"
+const STATUTE_HEADING_RE = /^(\d{1,3}(?:\.\d{1,2})?)\.?\s+([A-Z][^\n]{2,100})$/;
+
+/**
+ * Provincial statutes that set what the City can and can't do — the City
+ * of Toronto Act, the Planning Act, the Highway Traffic Act. Sections are
+ * stored as plain numbers ("8") and cited as "City of Toronto Act, 2006, s. 8".
+ */
+function createOntarioStatuteAdapter({
+  documents = [
+    { url: 'https://www.ontario.ca/laws/statute/06c11', chapter: 'City of Toronto Act, 2006', title: 'City of Toronto Act, 2006, S.O. 2006, c. 11, Sched. A' },
+    { url: 'https://www.ontario.ca/laws/statute/90p13', chapter: 'Planning Act', title: 'Planning Act, R.S.O. 1990, c. P.13' },
+    { url: 'https://www.ontario.ca/laws/statute/90h08', chapter: 'Highway Traffic Act', title: 'Highway Traffic Act, R.S.O. 1990, c. H.8' },
+    { url: 'https://www.ontario.ca/laws/statute/06r17', chapter: 'Residential Tenancies Act, 2006', title: 'Residential Tenancies Act, 2006, S.O. 2006, c. 17' },
+  ],
+} = {}) {
+  return {
+    source: 'ontario_statute',
+    name: 'Ontario statutes',
+    icon: '⚖️ ',
+
+    async discover() {
+      return documents.map(d => ({ ...d, type: 'html' }));
+    },
+
+    fetch: fetchDocument,
+    parse: parseHtml,
+
+    chunk({ $ }, doc, ctx) {
+      const strategy = $('p.section-e').length > 0 ? 'elaws-markup' : 'headings';
+      return { provisions: toProvisions(splitElaws($, STATUTE_HEADING_RE), { extractKeywords: ctx.extractKeywords }), strategy };
+    },
+  };
+}
+
+// "9.8.2.1. Width" — Building Code articles are four levels deep
+const BUILDING_CODE_ARTICLE_RE = /^(\d{1,2}\.\d{1,2}\.\d{1,2}\.\d{1,2})\.?\s+([A-Z][^\n]{1,120})$/;
+
+/**
+ * The Ontario Building Code (O. Reg. 332/12). Its Divisions A, B and C each
+ * number their articles from 1.1.1.1, so the division becomes the chapter:
+ * "Ontario Building Code Division B", article "9.8.2.1".
+ */
+function createBuildingCodeAdapter({
+  documents = [
+    { url: 'https://www.ontario.ca/laws/regulation/120332', chapter: 'Ontario Building Code', title: 'Building Code, O. Reg. 332/12' },
+  ],
+} = {}) {
+  return {
+    source: 'building_code',
+    name: 'Ontario Building Code',
+    icon: '🧱',
+
+    async discover() {
+      return documents.map(d => ({ ...d, type: 'html' }));
+    },
+
+    fetch: fetchDocument,
+    parse: parseHtml,
+
+    chunk({ $ }, doc, ctx) {
+      const provisions = [];
+      let division = null;
+      let article = null;
+      const flush = () => {
+        if (article) provisions.push(...toProvisions([article], { extractKeywords: ctx.extractKeywords, level: 'article' })
+          .map(p => ({ ...p, chapter: division ? `${doc.chapter} Division ${division}` : doc.chapter })));
+        article = null;
+      };
+
+      for (const line of htmlLines($)) {
+        const divisionMatch = line.match(/^Division\s+([ABC])\b/);
+        if (divisionMatch && line.length < 80) {
+          flush();
+          division = divisionMatch[1];
+          continue;
+        }
+        const m = line.match(BUILDING_CODE_ARTICLE_RE);
+        if (m && !isTocEntry(line) && looksLikeTitle(m[2].trim())) {
+          flush();
+          article = { number: m[1], title: m[2].trim(), lines: [] };
+          continue;
+        }
+        if (article) article.lines.push(line);
+      }
+      flush();
+      return { provisions, strategy: 'articles' };
+    },
+  };
+}
+
+// ══════════════════════════════════════
+// City Council decisions (TMMIS)
+// ══════════════════════════════════════
+
+// "CC12.3 - Housing Action Plan" or "2024.CC12.3 - ..."
+const AGENDA_ITEM_RE = /^((?:\d{4}\.)?[A-Z]{2,5}\d{1,3}\.\d{1,3}[a-z]?)\s*[-–—:]\s*(\S.{2,300})$/;
+
+/**
+ * What City Council decided at a meeting, one provision per agenda item.
+ * Meetings are named the way TMMIS names them — "2024.CC12" is the 12th
+ * Council meeting of the 2022–2026 term, held in 2024 — and passed with
+ * --meetings=2024.CC12,2024.CC13.
+ */
+function createCouncilDecisionAdapter({
+  decisionsUrl = (meeting) => `https://secure.toronto.ca/council/report.do?meeting=${encodeURIComponent(meeting)}&type=decisions`,
+} = {}) {
+  return {
+    source: 'council_decision',
+    name: 'City Council decisions',
+    icon: '🏛️ ',
+
+    async discover(ctx) {
+      const meetings = ctx.options.meetings || [];
+      if (meetings.length === 0) ctx.log('No meetings to ingest — pass --meetings=2024.CC12,...');
+      return meetings.map(meeting => ({ chapter: `City Council ${meeting}`, title: `City Council meeting ${meeting}`, url: decisionsUrl(meeting), type: 'html', meeting }));
+    },
+
+    fetch: fetchDocument,
+    parse: parseHtml,
+
+    chunk({ $ }, doc, ctx) {
+      const year = (doc.meeting || '').match(/^(\d{4})\./)?.[1];
+      const items = [];
+      let current = null;
+      for (const line of htmlLines($)) {
+        const m = line.match(AGENDA_ITEM_RE);
+        if (m) {
+          const id = year && !/^\d{4}\./.test(m[1]) ? `${year}.${m[1]}` : m[1];
+          current = { number: id, title: m[2].trim(), lines: [] };
+          items.push(current);
+          continue;
+        }
+        if (current) current.lines.push(line);
+      }
+      return { provisions: toProvisions(items, { extractKeywords: ctx.extractKeywords, level: 'item' }), strategy: 'agenda-items' };
+    },
+  };
+}
+
+// ══════════════════════════════════════
+// Registry
+// ══════════════════════════════════════
+
+const ADAPTERS = {
+  municipal_code: createMunicipalCodeAdapter,
+  zoning_bylaw: createZoningBylawAdapter,
+  official_plan: createOfficialPlanAdapter,
+  bylaw: createHtmlBylawAdapter,
+  ttc: createTtcAdapter,
+  ontario_statute: createOntarioStatuteAdapter,
+  building_code: createBuildingCodeAdapter,
+  council_decision: createCouncilDecisionAdapter,
+};
+
+// What `--source=all` ingests: the City's own consolidated codes. The rest
+// are opt-in — some need --url= or --meetings=, and the statutes are large.
+const DEFAULT_SOURCES = ['municipal_code', 'zoning_bylaw', 'official_plan'];
+
+/**
+ * Build the adapter for a source, or null if there isn't one
+ */
+function createAdapter(source, config = {}) {
+  const factory = ADAPTERS[source];
+  return factory ? factory(config) : null;
+}
+
+module.exports = {
+  ADAPTERS,
+  DEFAULT_SOURCES,
+  createAdapter,
+  chunkText,
+  htmlLines,
+};
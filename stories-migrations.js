@@ -0,0 +1,228 @@
+/**
+ * stories-migrations.js — Schema migrations for toronto2.db
+ *
+ * In order, one per change to the schema (see migrations.js). server.js
+ * applies them at startup.
+ */
+
+const { addColumn } = require('./migrations');
+
+// Searchable text of a trace_json value: each citation's reference, title,
+// paraphrase and annotation
+const TRACE_TEXT = (json) => `(
+  SELECT group_concat(
+    IFNULL(json_extract(t.value, '$.code_ref'), '') || ' ' || IFNULL(json_extract(t.value, '$.title'), '') || ' ' ||
+    IFNULL(json_extract(t.value, '$.code_content'), '') || ' ' || IFNULL(json_extract(t.value, '$.annotation'), ''), ' ')
+  FROM json_each(CASE WHEN json_valid(${json}) THEN ${json} ELSE '[]' END) t
+)`;
+
+module.exports = [
+  {
+    version: 1,
+    name: 'stories',
+    up(db) {
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS stories (
+          id TEXT PRIMARY KEY,
+          story TEXT NOT NULL,
+          neighbourhood TEXT,
+          email TEXT,
+          trace_json TEXT,
+          summary TEXT,
+          status TEXT DEFAULT 'pending',  -- 'pending', 'published', 'rejected', 'unpublished'
+          created_at TEXT DEFAULT (datetime('now')),
+          upvotes INTEGER DEFAULT 0
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_stories_status ON stories(status);
+        CREATE INDEX IF NOT EXISTS idx_stories_created ON stories(created_at DESC);
+        CREATE INDEX IF NOT EXISTS idx_stories_upvotes ON stories(upvotes DESC);
+      `);
+    },
+  },
+  {
+    version: 2,
+    name: 'moderation',
+    up(db) {
+      addColumn(db, 'stories', 'rejection_reason TEXT');
+      addColumn(db, 'stories', 'moderated_at TEXT');
+    },
+  },
+  {
+    // LLM responses that failed to parse or validate, kept for later review
+    version: 3,
+    name: 'llm_failures',
+    up(db) {
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS llm_failures (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          provider TEXT,
+          model TEXT,
+          attempt INTEGER,
+          errors TEXT,                    -- JSON array of validation messages
+          raw_output TEXT,
+          created_at TEXT DEFAULT (datetime('now'))
+        );
+      `);
+    },
+  },
+  {
+    // Canonical ids from data/neighbourhoods.csv and data/wards.csv
+    version: 4,
+    name: 'story_places',
+    up(db) {
+      const neighbourhoods = require('./neighbourhoods');
+      addColumn(db, 'stories', 'neighbourhood_id INTEGER');
+      addColumn(db, 'stories', 'ward_id INTEGER');
+      db.exec(`CREATE INDEX IF NOT EXISTS idx_stories_neighbourhood ON stories(neighbourhood_id)`);
+
+      // Place stories saved before the registry existed
+      const setPlace = db.prepare(`UPDATE stories SET neighbourhood_id = ?, ward_id = ? WHERE id = ?`);
+      for (const s of db.prepare(`SELECT id, story, neighbourhood FROM stories WHERE neighbourhood_id IS NULL`).all()) {
+        const place = neighbourhoods.resolvePlace(s.neighbourhood, s.story);
+        if (place) setPlace.run(place.neighbourhood_id, place.ward_id, s.id);
+      }
+    },
+  },
+  {
+    // Full-text index over each story, its summary and the text of its traces,
+    // kept in step by triggers (rowid = stories.rowid)
+    version: 5,
+    name: 'stories_fts',
+    up(db) {
+      db.exec(`
+        CREATE VIRTUAL TABLE IF NOT EXISTS stories_fts USING fts5(story, summary, traces, tokenize = 'porter unicode61');
+
+        CREATE TRIGGER IF NOT EXISTS stories_fts_insert AFTER INSERT ON stories BEGIN
+          INSERT INTO stories_fts (rowid, story, summary, traces) VALUES (new.rowid, new.story, new.summary, ${TRACE_TEXT('new.trace_json')});
+        END;
+        CREATE TRIGGER IF NOT EXISTS stories_fts_update AFTER UPDATE OF story, summary, trace_json ON stories BEGIN
+          DELETE FROM stories_fts WHERE rowid = old.rowid;
+          INSERT INTO stories_fts (rowid, story, summary, traces) VALUES (new.rowid, new.story, new.summary, ${TRACE_TEXT('new.trace_json')});
+        END;
+        CREATE TRIGGER IF NOT EXISTS stories_fts_delete AFTER DELETE ON stories BEGIN
+          DELETE FROM stories_fts WHERE rowid = old.rowid;
+        END;
+
+        -- Index the stories saved before the index existed
+        DELETE FROM stories_fts;
+        INSERT INTO stories_fts (rowid, story, summary, traces) SELECT rowid, story, summary, ${TRACE_TEXT('trace_json')} FROM stories;
+      `);
+    },
+  },
+  {
+    // One row per client per story and kind of vote; stories.upvotes and
+    // stories.me_too count them (plus upvotes from before votes were recorded)
+    version: 6,
+    name: 'votes',
+    up(db) {
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS votes (
+          story_id TEXT NOT NULL,
+          kind TEXT NOT NULL,             -- 'upvote' or 'me_too'
+          voter_id TEXT NOT NULL,         -- from the signed voter cookie
+          fingerprint TEXT NOT NULL,      -- keyed hash of IP + browser headers
+          ip_hash TEXT NOT NULL,          -- keyed hash of IP, for velocity checks
+          created_at TEXT DEFAULT (datetime('now')),
+          PRIMARY KEY (story_id, kind, voter_id)
+        );
+        CREATE UNIQUE INDEX IF NOT EXISTS idx_votes_fingerprint ON votes(story_id, kind, fingerprint);
+        CREATE INDEX IF NOT EXISTS idx_votes_ip ON votes(ip_hash, created_at);
+
+        -- Values generated once and kept across restarts
+        CREATE TABLE IF NOT EXISTS settings (
+          key TEXT PRIMARY KEY,
+          value TEXT NOT NULL
+        );
+      `);
+      addColumn(db, 'stories', 'me_too INTEGER DEFAULT 0');
+    },
+  },
+  {
+    // Each trace citation as a row, and weekly rollups of published stories
+    // (rebuilt by trace-stats.js rollUp())
+    version: 7,
+    name: 'trace_stats',
+    up(db) {
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS trace_items (
+          story_id TEXT NOT NULL,
+          position INTEGER NOT NULL,
+          code_ref TEXT NOT NULL,
+          provision_id INTEGER,           -- codes.db provision, when verified
+          source TEXT,
+          chapter TEXT,
+          PRIMARY KEY (story_id, position)
+        );
+        CREATE INDEX IF NOT EXISTS idx_trace_items_provision ON trace_items(provision_id);
+        CREATE INDEX IF NOT EXISTS idx_trace_items_chapter ON trace_items(source, chapter);
+
+        CREATE TABLE IF NOT EXISTS citation_stats (
+          week TEXT NOT NULL,             -- Monday, YYYY-MM-DD
+          citation TEXT NOT NULL,         -- 'p' || provision_id, or 'r' || code_ref
+          provision_id INTEGER,
+          code_ref TEXT,
+          source TEXT,
+          chapter TEXT,
+          neighbourhood_id INTEGER,
+          stories INTEGER NOT NULL,
+          upvotes INTEGER NOT NULL,
+          me_too INTEGER NOT NULL
+        );
+        CREATE INDEX IF NOT EXISTS idx_citation_stats_week ON citation_stats(week);
+        CREATE INDEX IF NOT EXISTS idx_citation_stats_citation ON citation_stats(citation);
+        CREATE TABLE IF NOT EXISTS story_stats (
+          week TEXT NOT NULL,
+          neighbourhood_id INTEGER,
+          stories INTEGER NOT NULL,
+          upvotes INTEGER NOT NULL,
+          me_too INTEGER NOT NULL
+        );
+      `);
+    },
+  },
+  {
+    // The whole trace in trace_items (see trace-items.js), which the feed,
+    // trace, cluster and stats endpoints read; stories.trace_json keeps the
+    // trace as it was generated
+    version: 8,
+    name: 'trace_items_text',
+    up(db) {
+      const traceItems = require('./trace-items');
+      const added = ['title TEXT',
+        'content TEXT',         // the code_content quoted in the trace
+        'comment TEXT',         // code_comment
+        'annotation TEXT',
+        'verified INTEGER',     // NULL for traces saved before verification
+        'match TEXT', 'provision_hash TEXT', 'pdf_url TEXT', 'source_text TEXT',
+        'designations TEXT',    // JSON array
+        'definitions TEXT',     // JSON array of { term, definition, reference }
+      ].map(column => addColumn(db, 'trace_items', column));
+      // Rows that only held the citation are copied again with the rest
+      if (added.some(Boolean)) db.exec(`DELETE FROM trace_items`);
+      traceItems.backfillTraceItems(db);
+    },
+  },
+  {
+    // A fingerprint is shared by everyone on one NAT with the same browser,
+    // so it no longer identifies a voter (see Votes in server.js)
+    version: 9,
+    name: 'votes_fingerprint_not_unique',
+    up(db) {
+      db.exec(`
+        DROP INDEX IF EXISTS idx_votes_fingerprint;
+        CREATE INDEX idx_votes_fingerprint ON votes(story_id, kind, fingerprint);
+      `);
+    },
+  },
+  {
+    // Wards in story_stats, so /api/stats reads every list from the rollup
+    version: 10,
+    name: 'story_stats_ward',
+    up(db) {
+      addColumn(db, 'story_stats', 'ward_id INTEGER');
+      // Rebuilt with wards on the next rollUp()
+      db.exec(`DELETE FROM settings WHERE key = 'citation_stats_signature'`);
+    },
+  },
+];
@@ -0,0 +1,144 @@
+/**
+ * story-clusters.js — Group feed stories that share a root cause
+ *
+ * Many stories describe the same systemic issue in different words. They
+ * are grouped locally, without the LLM, in three passes:
+ *   1. citations — each story joins the provision it cites that the most
+ *      other stories cite too (its root cause), if any other story does
+ *   2. text — a story left over joins the group whose stories read most
+ *      like it (cosine of embeddings.js vectors), or starts a group that
+ *      later stories can join
+ *   3. merge — groups whose stories read alike are merged, so garden suite
+ *      complaints citing 150.8.60.20 and 150.8.60.40 end up together
+ * Groups of MIN_CLUSTER_SIZE or more stories are clusters. Each cluster's
+ * root is the citation most of its stories share.
+ *
+ * A citation is keyed by provision_id when it was verified against
+ * codes.db, otherwise by its code_ref text.
+ */
+
+const crypto = require('crypto');
+const embeddings = require('./embeddings');
+
+const MIN_CLUSTER_SIZE = 2;
+
+// A leftover story joins a group when it's at least this close to the
+// group's centroid; groups merge at MERGE_SIMILARITY
+const JOIN_SIMILARITY = 0.35;
+const MERGE_SIMILARITY = 0.5;
+
+/**
+ * Key a trace's citation: the provision it resolved to, or the reference text
+ */
+function citationKey(trace) {
+  if (trace.provision_id) return `p${trace.provision_id}`;
+  const ref = String(trace.code_ref || '').toLowerCase().replace(/\s+/g, ' ').trim();
+  return ref ? `r${crypto.createHash('sha1').update(ref).digest('hex').slice(0, 10)}` : null;
+}
+
+function centroid(members) {
+  const vec = new Float32Array(embeddings.DIM);
+  for (const m of members) for (let i = 0; i < vec.length; i++) vec[i] += m.vector[i];
+  let norm = 0;
+  for (let i = 0; i < vec.length; i++) norm += vec[i] * vec[i];
+  norm = Math.sqrt(norm);
+  if (norm > 0) for (let i = 0; i < vec.length; i++) vec[i] /= norm;
+  return vec;
+}
+
+/**
+ * Cluster stories. Each story is { id, story, traces, created_at } with
+ * traces as trace-items.js loads them. Returns clusters, largest first:
+ *   { id, size, root, provisions: [{ key, provision_id, code_ref, title,
+ *     pdf_url, stories }], story_ids }
+ * The id is stable while the root is: "p<provision_id>" for a verified
+ * root, "r<hash>" for an unverified one.
+ */
+function clusterStories(stories) {
+  const items = [...stories]
+    .sort((a, b) => String(a.created_at).localeCompare(String(b.created_at)) || String(a.id).localeCompare(String(b.id)))
+    .map(s => {
+      const keys = [...new Set((s.traces || []).map(citationKey).filter(Boolean))];
+      return { ...s, keys, vector: embeddings.embed(s.story || '') };
+    });
+
+  // How many stories cite each provision
+  const citedBy = new Map();
+  for (const item of items) for (const key of item.keys) citedBy.set(key, (citedBy.get(key) || 0) + 1);
+
+  // 1. Citations: join the most widely cited provision, earliest-cited on ties
+  const groups = new Map();
+  const leftover = [];
+  for (const item of items) {
+    const root = item.keys.reduce((best, key) => (citedBy.get(key) > (citedBy.get(best) || 1) ? key : best), null);
+    if (!root) { leftover.push(item); continue; }
+    if (!groups.has(root)) groups.set(root, []);
+    groups.get(root).push(item);
+  }
+
+  // 2. Text: leftovers join the closest group, or start one of their own
+  const list = [...groups.values()].map(members => ({ members, centroid: centroid(members) }));
+  for (const item of leftover) {
+    let best = null;
+    let bestScore = JOIN_SIMILARITY;
+    for (const group of list) {
+      const score = embeddings.similarity(item.vector, group.centroid);
+      if (score >= bestScore) { best = group; bestScore = score; }
+    }
+    if (best) {
+      best.members.push(item);
+      best.centroid = centroid(best.members);
+    } else {
+      list.push({ members: [item], centroid: item.vector });
+    }
+  }
+
+  // 3. Merge groups that read alike into the earlier one
+  for (let i = 0; i < list.length; i++) {
+    for (let j = list.length - 1; j > i; j--) {
+      if (embeddings.similarity(list[i].centroid, list[j].centroid) < MERGE_SIMILARITY) continue;
+      list[i].members.push(...list.splice(j, 1)[0].members);
+      list[i].centroid = centroid(list[i].members);
+    }
+  }
+
+  return list
+    .filter(g => g.members.length >= MIN_CLUSTER_SIZE)
+    .map(g => describeCluster(g.members))
+    .sort((a, b) => b.size - a.size || a.id.localeCompare(b.id));
+}
+
+/**
+ * The provisions a group's stories cite, most shared first, and its root
+ */
+function describeCluster(members) {
+  const provisions = new Map();
+  for (const m of members) {
+    const seen = new Set();
+    for (const t of m.traces || []) {
+      const key = citationKey(t);
+      if (!key || seen.has(key)) continue;
+      seen.add(key);
+      if (!provisions.has(key)) {
+        provisions.set(key, { key, provision_id: t.provision_id || null, code_ref: t.code_ref, title: t.title, pdf_url: t.pdf_url || null, stories: 0 });
+      }
+      provisions.get(key).stories++;
+    }
+  }
+
+  const ranked = [...provisions.values()].sort((a, b) => b.stories - a.stories || (b.provision_id ? 1 : 0) - (a.provision_id ? 1 : 0));
+  const root = ranked[0] || null;
+  return {
+    // Text-only groups with no citations at all are named after their first story
+    id: root ? root.key : `s${members[0].id}`,
+    size: members.length,
+    root,
+    provisions: ranked,
+    story_ids: members.map(m => m.id),
+  };
+}
+
+module.exports = {
+  MIN_CLUSTER_SIZE,
+  clusterStories,
+};
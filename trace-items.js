@@ -0,0 +1,134 @@
+/**
+ * trace-items.js — Stories' traces as rows
+ *
+ * Each citation in a story's trace is a `trace_items` row: its position in
+ * the trace, what the LLM wrote (code_ref, title, content, comment,
+ * annotation), what verification attached (provision_id, match, pdf_url,
+ * source text, designations, defined terms), and the source and chapter
+ * the citation falls in. The feed, single-trace, cluster and stats
+ * endpoints read traces from here, so "every story citing Chapter 591" is
+ * a plain query. stories.trace_json keeps the trace exactly as it was
+ * generated.
+ *
+ * Functions take the stories database (toronto2.db) as their first argument.
+ */
+
+const codesDb = require('./codes-db');
+
+/**
+ * Where a citation points: a verified provision's source and chapter, or
+ * what can be read from the reference text. Zoning By-law citations are
+ * counted by the chapter their section number is in (150.8.60.20 → Chapter
+ * 150) rather than the volume the PDF was split into.
+ */
+function citationTarget(trace) {
+  let p = null;
+  if (trace.provision_id) {
+    p = codesDb.getDb().prepare(`SELECT source, chapter, section FROM provisions WHERE id = ?`).get(trace.provision_id) || null;
+  }
+  if (!p) {
+    const parsed = trace.code_ref ? codesDb.parseCodeRef(trace.code_ref) : null;
+    p = parsed ? { source: parsed.source, chapter: parsed.chapter, section: parsed.sections?.[0] || null } : {};
+  }
+  const zoningChapter = p.source === 'zoning_bylaw' && /^\d+\./.test(p.section || '') ? `Chapter ${p.section.split('.')[0]}` : null;
+  return { source: p.source || null, chapter: zoningChapter || p.chapter || null };
+}
+
+const json = (value) => (value === undefined || value === null ? null : JSON.stringify(value));
+
+/**
+ * Replace a story's trace_items with `traces` (as verifyTraces returns them)
+ */
+function saveTraceItems(db, storyId, traces) {
+  const insert = db.prepare(`
+    INSERT INTO trace_items (story_id, position, code_ref, provision_id, title, content, comment, annotation,
+      verified, match, provision_hash, pdf_url, source_text, designations, definitions, source, chapter)
+    VALUES (@story_id, @position, @code_ref, @provision_id, @title, @content, @comment, @annotation,
+      @verified, @match, @provision_hash, @pdf_url, @source_text, @designations, @definitions, @source, @chapter)
+  `);
+  db.transaction(() => {
+    db.prepare(`DELETE FROM trace_items WHERE story_id = ?`).run(storyId);
+    (traces || []).forEach((t, position) => {
+      insert.run({
+        story_id: storyId,
+        position,
+        code_ref: t.code_ref || '',
+        provision_id: t.provision_id || null,
+        title: t.title ?? null,
+        content: t.code_content ?? null,
+        comment: t.code_comment ?? null,
+        annotation: t.annotation ?? null,
+        // Traces saved before verification existed have no flag at all
+        verified: t.verified === undefined ? null : (t.verified ? 1 : 0),
+        match: t.match ?? null,
+        provision_hash: t.provision_hash ?? null,
+        pdf_url: t.pdf_url ?? null,
+        source_text: t.source_text ?? null,
+        designations: json(t.designations),
+        definitions: json(t.definitions),
+        ...citationTarget(t),
+      });
+    });
+  })();
+}
+
+/**
+ * Copy the traces of stories that have no trace_items yet out of their
+ * trace_json. Returns how many stories were copied.
+ */
+function backfillTraceItems(db) {
+  const missing = db.prepare(`
+    SELECT id, trace_json FROM stories
+    WHERE trace_json IS NOT NULL AND trace_json NOT IN ('', '[]')
+      AND NOT EXISTS (SELECT 1 FROM trace_items i WHERE i.story_id = stories.id)
+  `).all();
+  for (const s of missing) {
+    try { saveTraceItems(db, s.id, JSON.parse(s.trace_json)); } catch { /* unreadable trace_json: nothing to copy */ }
+  }
+  return missing.length;
+}
+
+// A trace_items row in the shape traces were generated in
+function rowToTrace(row) {
+  const trace = {
+    code_ref: row.code_ref,
+    title: row.title,
+    code_content: row.content,
+    code_comment: row.comment,
+    annotation: row.annotation,
+  };
+  if (row.verified === null) return trace;
+  return {
+    ...trace,
+    verified: !!row.verified,
+    match: row.match,
+    provision_id: row.provision_id,
+    provision_hash: row.provision_hash,
+    pdf_url: row.pdf_url,
+    source_text: row.source_text,
+    designations: row.designations ? JSON.parse(row.designations) : [],
+    ...(row.definitions !== null && { definitions: JSON.parse(row.definitions) }),
+  };
+}
+
+/**
+ * The traces of the given stories, in order: Map of story id → traces
+ * (stories with none map to [])
+ */
+function loadTraces(db, storyIds) {
+  const traces = new Map(storyIds.map(id => [id, []]));
+  if (storyIds.length === 0) return traces;
+  const rows = db.prepare(`
+    SELECT * FROM trace_items
+    WHERE story_id IN (SELECT value FROM json_each(?))
+    ORDER BY story_id, position
+  `).all(JSON.stringify(storyIds));
+  for (const row of rows) traces.get(row.story_id).push(rowToTrace(row));
+  return traces;
+}
+
+module.exports = {
+  saveTraceItems,
+  backfillTraceItems,
+  loadTraces,
+};
@@ -0,0 +1,167 @@
+/**
+ * trace-output.js — Parse and validate the LLM's trace JSON
+ *
+ * Models don't always follow "respond ONLY with valid JSON": they add a
+ * preamble, wrap the object in ``` fences, leave a trailing comma, or drop
+ * a field. This module digs the JSON object out of whatever came back,
+ * repairs the common slips, and checks it against the shape the frontend
+ * and database expect:
+ *
+ *   { traces: [{ code_ref, title, code_content, code_comment, annotation }], summary }
+ *
+ * Anything it can't fix is reported as a list of readable errors, which
+ * server.js feeds back to the model on a repair attempt.
+ */
+
+const TRACE_FIELDS = ['code_ref', 'title', 'code_content', 'code_comment', 'annotation'];
+const MAX_TRACES = 5;
+
+/**
+ * Find the first top-level {...} block in text, respecting strings.
+ * If the object never closes (e.g. the model hit max_tokens), returns
+ * everything from the opening brace so the parse error says so.
+ */
+function findJsonObject(text) {
+  const start = text.indexOf('{');
+  if (start === -1) return null;
+
+  let depth = 0;
+  let inString = false;
+  let escaped = false;
+
+  for (let i = start; i < text.length; i++) {
+    const ch = text[i];
+    if (inString) {
+      if (escaped) escaped = false;
+      else if (ch === '\\') escaped = true;
+      else if (ch === '"') inString = false;
+      continue;
+    }
+    if (ch === '"') inString = true;
+    else if (ch === '{') depth++;
+    else if (ch === '}' && --depth === 0) return text.slice(start, i + 1);
+  }
+
+  return text.slice(start);
+}
+
+/**
+ * Fix the slips models make most: trailing commas and smart quotes
+ * used as JSON delimiters. Only the text between string literals is
+ * touched, so a comma before "]" or a curly quote inside a value stays.
+ */
+function repairJson(text) {
+  let out = '';
+  let inString = false;
+  let escaped = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (inString) {
+      if (escaped) escaped = false;
+      else if (ch === '\\') escaped = true;
+      else if (ch === '"') inString = false;
+      out += ch;
+      continue;
+    }
+    if (ch === '"') {
+      inString = true;
+    } else if (ch === ',' && /^\s*[}\]]/.test(text.slice(i + 1))) {
+      continue;
+    } else if (ch === '“' || ch === '”') {
+      // A curly-quoted string: straighten its quotes, escape any straight ones inside
+      const end = text.slice(i + 1).search(/[“”]/);
+      if (end !== -1) {
+        out += JSON.stringify(text.slice(i + 1, i + 1 + end));
+        i += end + 1;
+        continue;
+      }
+    }
+    out += ch;
+  }
+
+  return out;
+}
+
+/**
+ * Pull a JSON object out of free-form model output.
+ * Returns { value } or { error }.
+ */
+function extractJson(text) {
+  const cleaned = String(text || '').replace(/```(?:json)?/gi, '').trim();
+  if (!cleaned) return { error: 'Response was empty.' };
+
+  const block = findJsonObject(cleaned);
+  const candidates = [cleaned, block, block && repairJson(block)].filter(Boolean);
+
+  let lastError = null;
+  for (const candidate of candidates) {
+    try {
+      return { value: JSON.parse(candidate) };
+    } catch (e) {
+      lastError = e.message;
+    }
+  }
+
+  return { error: block ? `Response is not valid JSON (${lastError}).` : 'Response does not contain a JSON object.' };
+}
+
+/**
+ * Check a parsed object against the trace schema.
+ * Returns { value, errors } — value is normalized (trimmed strings, known
+ * fields only, at most MAX_TRACES traces) and only meaningful when errors is empty.
+ */
+function validateTraceOutput(obj) {
+  const errors = [];
+
+  if (!obj || typeof obj !== 'object' || Array.isArray(obj)) {
+    return { value: null, errors: ['Top level must be an object with "traces" and "summary".'] };
+  }
+
+  if (!Array.isArray(obj.traces)) {
+    errors.push('"traces" must be an array.');
+  } else if (obj.traces.length === 0) {
+    errors.push('"traces" must contain at least one provision.');
+  }
+
+  const traces = (Array.isArray(obj.traces) ? obj.traces : []).slice(0, MAX_TRACES).map((t, i) => {
+    if (!t || typeof t !== 'object') {
+      errors.push(`traces[${i}] must be an object.`);
+      return null;
+    }
+    const trace = {};
+    for (const field of TRACE_FIELDS) {
+      const v = t[field];
+      if (typeof v !== 'string' || !v.trim()) {
+        errors.push(`traces[${i}].${field} must be a non-empty string.`);
+      } else {
+        trace[field] = v.trim();
+      }
+    }
+    return trace;
+  });
+
+  if (typeof obj.summary !== 'string' || !obj.summary.trim()) {
+    errors.push('"summary" must be a non-empty string.');
+  }
+
+  return {
+    value: errors.length ? null : { traces, summary: obj.summary.trim() },
+    errors
+  };
+}
+
+/**
+ * Extract and validate in one step: { value, errors }
+ */
+function parseTraceOutput(text) {
+  const { value, error } = extractJson(text);
+  if (error) return { value: null, errors: [error] };
+  return validateTraceOutput(value);
+}
+
+module.exports = {
+  extractJson,
+  validateTraceOutput,
+  parseTraceOutput,
+};
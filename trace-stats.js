@@ -0,0 +1,225 @@
+/**
+ * trace-stats.js — Citation analytics over published stories
+ *
+ * Stats are SQL over the `trace_items` rows (see trace-items.js) rather
+ * than a re-parse of every trace_json. On top of those rows,
+ * `citation_stats` holds weekly counts per citation and neighbourhood for
+ * published stories, and `story_stats` the weekly counts per neighbourhood
+ * and ward of the stories themselves. rollUp() rebuilds both when the
+ * published stories, their votes or their citations have changed since the
+ * last build; server.js calls it after moderating a story and on a timer
+ * (for votes), so the queries below only ever read.
+ *
+ * A citation is its provision when the trace was verified against codes.db,
+ * otherwise its code_ref text. Weeks start on Monday (YYYY-MM-DD).
+ *
+ * Functions take the stories database (toronto2.db) as their first argument.
+ */
+
+// Monday of the week a timestamp falls in
+const WEEK = (column) => `date(${column}, '-6 days', 'weekday 1')`;
+
+// Changes whenever anything the rollup counts does; votes are weighted by
+// rowid so a vote moving from one story to another shows up too
+function rollupSignature(db) {
+  return db.prepare(`
+    SELECT (SELECT COUNT(*) || '|' || IFNULL(MAX(created_at), '') || '|' || IFNULL(MAX(moderated_at), '') || '|'
+              || TOTAL(upvotes * rowid) || '|' || TOTAL(me_too * rowid)
+            FROM stories WHERE status = 'published')
+      || '|' || (SELECT COUNT(*) FROM trace_items) AS signature
+  `).get().signature;
+}
+
+/**
+ * Rebuild citation_stats and story_stats if what they count has changed
+ * since the last build. Returns true if they were rebuilt.
+ */
+function rollUp(db) {
+  const signature = rollupSignature(db);
+  const built = db.prepare(`SELECT value FROM settings WHERE key = 'citation_stats_signature'`).get();
+  if (built && built.value === signature) return false;
+
+  db.transaction(() => {
+    db.exec(`DELETE FROM citation_stats`);
+    db.exec(`DELETE FROM story_stats`);
+    db.exec(`
+      INSERT INTO story_stats (week, neighbourhood_id, ward_id, stories, upvotes, me_too)
+      SELECT ${WEEK('created_at')}, neighbourhood_id, ward_id, COUNT(*), SUM(upvotes), SUM(me_too)
+      FROM stories WHERE status = 'published'
+      GROUP BY 1, neighbourhood_id, ward_id
+    `);
+    // One count per story per citation, however often the story cites it
+    db.exec(`
+      INSERT INTO citation_stats (week, citation, provision_id, code_ref, source, chapter, neighbourhood_id, stories, upvotes, me_too)
+      SELECT ${WEEK('s.created_at')}, c.citation, c.provision_id, c.code_ref, c.source, c.chapter, s.neighbourhood_id,
+        COUNT(*), SUM(s.upvotes), SUM(s.me_too)
+      FROM (
+        SELECT story_id, COALESCE('p' || provision_id, 'r' || lower(trim(code_ref))) AS citation,
+          MAX(provision_id) AS provision_id, MIN(code_ref) AS code_ref, MAX(source) AS source, MAX(chapter) AS chapter
+        FROM trace_items
+        WHERE provision_id IS NOT NULL OR trim(code_ref) != ''
+        GROUP BY story_id, citation
+      ) c
+      JOIN stories s ON s.id = c.story_id AND s.status = 'published'
+      GROUP BY 1, c.citation, s.neighbourhood_id
+    `);
+    db.prepare(`INSERT INTO settings (key, value) VALUES ('citation_stats_signature', ?)
+      ON CONFLICT(key) DO UPDATE SET value = excluded.value`).run(signature);
+  })();
+  return true;
+}
+
+// ══════════════════════════════════════
+// Queries (read the last rollUp())
+// ══════════════════════════════════════
+
+/**
+ * WHERE clause for the filters every query takes: source, chapter,
+ * provision_id, neighbourhood_id and a first week (`since`)
+ */
+function filterClause({ source = null, chapter = null, provisionId = null, neighbourhoodId = null, since = null } = {}) {
+  const where = ['1 = 1'];
+  const params = [];
+  if (source) { where.push('source = ?'); params.push(source); }
+  if (chapter) { where.push('chapter = ?'); params.push(chapter); }
+  if (provisionId) { where.push('provision_id = ?'); params.push(provisionId); }
+  if (neighbourhoodId) { where.push('neighbourhood_id = ?'); params.push(neighbourhoodId); }
+  if (since) { where.push('week >= ?'); params.push(since); }
+  return { sql: where.join(' AND '), params };
+}
+
+/**
+ * The Monday `weeks` weeks back from the current week (which counts as one)
+ */
+function weeksAgo(db, weeks) {
+  return db.prepare(`SELECT date(${WEEK("'now'")}, ?) AS week`).get(`-${(weeks - 1) * 7} days`).week;
+}
+
+/**
+ * The most-cited citations: [{ citation, provision_id, code_ref, source,
+ * chapter, stories, upvotes, me_too }]
+ */
+function topCitations(db, filters = {}, { limit = 10 } = {}) {
+  const f = filterClause(filters);
+  return db.prepare(`
+    SELECT citation, MAX(provision_id) AS provision_id, MIN(code_ref) AS code_ref, MAX(source) AS source, MAX(chapter) AS chapter,
+      SUM(stories) AS stories, SUM(upvotes) AS upvotes, SUM(me_too) AS me_too
+    FROM citation_stats WHERE ${f.sql}
+    GROUP BY citation
+    ORDER BY stories DESC, upvotes DESC, citation
+    LIMIT ?
+  `).all(...f.params, limit);
+}
+
+/**
+ * Citations × neighbourhoods: the `rows` most-cited citations, the
+ * `columns` neighbourhoods that cite them most, and the story count of
+ * each pair (counts[row][column]). Stories with no neighbourhood are left out.
+ */
+function provisionMatrix(db, filters = {}, { rows = 10, columns = 10 } = {}) {
+  const f = filterClause(filters);
+  const citations = topCitations(db, filters, { limit: rows });
+  if (citations.length === 0) return { citations: [], neighbourhood_ids: [], counts: [] };
+
+  const keys = JSON.stringify(citations.map(c => c.citation));
+  const neighbourhoodIds = db.prepare(`
+    SELECT neighbourhood_id FROM citation_stats
+    WHERE ${f.sql} AND neighbourhood_id IS NOT NULL AND citation IN (SELECT value FROM json_each(?))
+    GROUP BY neighbourhood_id
+    ORDER BY SUM(stories) DESC, neighbourhood_id
+    LIMIT ?
+  `).all(...f.params, keys, columns).map(r => r.neighbourhood_id);
+
+  const cells = db.prepare(`
+    SELECT citation, neighbourhood_id, SUM(stories) AS stories FROM citation_stats
+    WHERE ${f.sql} AND citation IN (SELECT value FROM json_each(?)) AND neighbourhood_id IN (SELECT value FROM json_each(?))
+    GROUP BY citation, neighbourhood_id
+  `).all(...f.params, keys, JSON.stringify(neighbourhoodIds));
+
+  const counts = citations.map(() => neighbourhoodIds.map(() => 0));
+  for (const cell of cells) {
+    counts[citations.findIndex(c => c.citation === cell.citation)][neighbourhoodIds.indexOf(cell.neighbourhood_id)] = cell.stories;
+  }
+  return { citations, neighbourhood_ids: neighbourhoodIds, counts };
+}
+
+/**
+ * Weekly counts for the last `weeks` weeks, oldest first, with empty
+ * weeks included: [{ week, stories, upvotes, me_too }]. Filtered by source
+ * or chapter, `stories` counts citations, so a story citing two provisions
+ * of the chapter counts twice.
+ */
+function weeklySeries(db, filters = {}, { weeks = 26 } = {}) {
+  const since = weeksAgo(db, weeks);
+  const f = filterClause({ ...filters, since });
+  const table = filters.source || filters.chapter || filters.provisionId ? 'citation_stats' : 'story_stats';
+  const byWeek = new Map(db.prepare(`
+    SELECT week, SUM(stories) AS stories, SUM(upvotes) AS upvotes, SUM(me_too) AS me_too
+    FROM ${table} WHERE ${f.sql}
+    GROUP BY week
+  `).all(...f.params).map(r => [r.week, r]));
+
+  const series = [];
+  for (let i = 0; i < weeks; i++) {
+    const week = db.prepare(`SELECT date(?, ?) AS week`).get(since, `+${i * 7} days`).week;
+    series.push(byWeek.get(week) || { week, stories: 0, upvotes: 0, me_too: 0 });
+  }
+  return series;
+}
+
+/**
+ * The most-cited chapters of each source: [{ source, citations, chapters:
+ * [{ chapter, citations }] }], busiest source first. A story citing two
+ * provisions of a chapter counts twice.
+ */
+function chaptersBySource(db, filters = {}, { limit = 10 } = {}) {
+  const f = filterClause(filters);
+  const rows = db.prepare(`
+    SELECT IFNULL(source, 'unknown') AS source, chapter, SUM(stories) AS citations
+    FROM citation_stats WHERE ${f.sql}
+    GROUP BY source, chapter
+    ORDER BY citations DESC, chapter
+  `).all(...f.params);
+
+  const sources = new Map();
+  for (const r of rows) {
+    if (!sources.has(r.source)) sources.set(r.source, { source: r.source, citations: 0, chapters: [] });
+    const s = sources.get(r.source);
+    s.citations += r.citations;
+    if (r.chapter && s.chapters.length < limit) s.chapters.push({ chapter: r.chapter, citations: r.citations });
+  }
+  return [...sources.values()].sort((a, b) => b.citations - a.citations);
+}
+
+/**
+ * Citations picking up: stories in the last `weeks` weeks against the
+ * `weeks` before, with at least `minStories` recent ones. Ranked by
+ * (recent + 1) / (previous + 1), then recent count.
+ */
+function risingCitations(db, filters = {}, { weeks = 4, minStories = 2, limit = 10 } = {}) {
+  const recentSince = weeksAgo(db, weeks);
+  const previousSince = weeksAgo(db, weeks * 2);
+  const f = filterClause({ ...filters, since: previousSince });
+  return db.prepare(`
+    SELECT * FROM (
+      SELECT citation, MAX(provision_id) AS provision_id, MIN(code_ref) AS code_ref, MAX(source) AS source, MAX(chapter) AS chapter,
+        SUM(CASE WHEN week >= ? THEN stories ELSE 0 END) AS recent,
+        SUM(CASE WHEN week < ? THEN stories ELSE 0 END) AS previous
+      FROM citation_stats WHERE ${f.sql}
+      GROUP BY citation
+    )
+    WHERE recent >= ? AND recent > previous
+    ORDER BY (recent + 1.0) / (previous + 1) DESC, recent DESC, citation
+    LIMIT ?
+  `).all(recentSince, recentSince, ...f.params, minStories, limit)
+    .map(r => ({ ...r, growth: Math.round(((r.recent + 1) / (r.previous + 1)) * 100) / 100 }));
+}
+
+module.exports = {
+  rollUp,
+  topCitations,
+  provisionMatrix,
+  weeklySeries,
+  chaptersBySource,
+  risingCitations,
+};
@@ -0,0 +1,250 @@
+/**
+ * vocabulary.js — Shared citizen-language ↔ legal-concept vocabulary
+ *
+ * One table of concepts drives both sides of search:
+ *   - story query expansion (server.js): phrases a citizen might use
+ *     ("streetcar", "garden suite") add the concept's legal search terms
+ *   - provision keyword tagging (ingest-codes.js): phrases in by-law text
+ *     tag the provision with the concept name
+ *
+ * It lives in codes.db (vocabulary_concepts, vocabulary_phrases) so the
+ * mappings can be edited through the admin API without a deploy. The
+ * tables are seeded on first use from SEED below.
+ *
+ * Phrase matching:
+ *   - whole words, case-insensitive; multi-word phrases allowed ("rear yard")
+ *   - plural and verb endings match too ("bin" → "bins", "plow" → "plowed",
+ *     "plowing"), but no other suffix, so "car" doesn't match "card" nor
+ *     "bin" "bind" (other forms are phrases of their own):
+ *       "I lost my transit card"                            → transit, not parking
+ *   - a trailing * matches any word starting with the phrase ("afford*")
+ *   - in stories, a phrase the writer disclaims ("this has nothing to do
+ *     with parking", "it's not about the bus") is ignored. Plain negation
+ *     still counts — what didn't happen is usually the complaint:
+ *       "The city didn't clear the snow from our sidewalk" → snow, street
+ *       "We have not had garbage collection in weeks"      → waste
+ *       "I never got a permit"                              → construction, permit
+ *       "There is not a single bike lane"                   → cycling
+ *
+ * Weights: a concept fires for a story once its matched phrase weights add
+ * up to 1. Vague phrases ("late", "slow") carry 0.5 and need a second cue.
+ */
+
+const codesDb = require('./codes-db');
+
+const SCOPES = ['story', 'provision'];
+const FIRE_THRESHOLD = 1;
+
+// Words that say a story is *not* about what follows (up to three words on:
+// "nothing to do with the new bike lane"). Plain negations ("didn't clear
+// the snow", "no bike lane") are left alone — they're the complaints we want.
+const DISCLAIMER_RE = /\b(?:nothing\s+to\s+do\s+with|unrelated\s+to|(?:not|isn't|wasn't|aren't|weren't|it's\s+not)\s+(?:about|related\s+to|because\s+of|due\s+to))\s+(?:[\w'-]+\s+){0,3}$/i;
+
+// concept: [expansion for stories, story phrases, provision phrases]
+// Phrases may carry a weight as "phrase:0.5"
+const SEED = {
+  transit: ['transit TTC service streetcar bus', ['late:0.5', 'commute', 'bus', 'streetcar', 'subway', 'ttc', 'train', 'transit', 'shuttle'], ['transit', 'ttc', 'streetcar', 'bus', 'subway', 'lrt']],
+  traffic: ['traffic right-of-way road', ['traffic', 'congestion', 'gridlock', 'slow:0.5', 'stuck:0.5'], []],
+  housing: ['housing residential dwelling density', ['rent', 'apartment', 'condo', 'housing', 'afford*', 'expensive:0.5', 'lease'], ['housing', 'dwelling', 'residential', 'apartment', 'multiplex']],
+  secondary_suite: ['laneway secondary suite dwelling additional', ['basement', 'suite', 'secondary', 'laneway', 'garden suite'], []],
+  construction: ['building permit construction site plan', ['build', 'construct*', 'renovat*', 'addition', 'permit'], ['construction', 'demolition', 'building']],
+  parking: ['parking minimum vehicle spaces', ['parking', 'park', 'car', 'drive', 'garage'], ['parking', 'garage', 'vehicle storage']],
+  noise: ['noise sound prohibited', ['noise', 'noisy', 'loud', 'music', 'construction noise', 'barking'], ['noise', 'sound', 'decibel', 'quiet']],
+  fence: ['fence property boundary setback', ['fence', 'yard', 'garden:0.5', 'tree', 'property line'], ['fence', 'enclosure', 'barrier']],
+  snow: ['snow ice removal clearing windrow', ['snow', 'plow', 'ice', 'icy', 'winter', 'shovel', 'salt'], ['snow', 'ice', 'winter', 'plow', 'windrow']],
+  waste: ['waste collection recycling', ['garbage', 'waste', 'recycling', 'bin', 'collection'], ['waste', 'garbage', 'recycling', 'bin']],
+  commercial: ['commercial retail restaurant licence patio', ['restaurant', 'bar', 'cafe', 'patio', 'food', 'shop', 'store', 'business'], ['commercial', 'retail', 'restaurant', 'business']],
+  sign: ['sign advertising display', ['sign', 'billboard', 'awning'], ['sign', 'billboard', 'advertising']],
+  street: ['street sidewalk road maintenance', ['sidewalk', 'road', 'pothole', 'crosswalk', 'intersection'], []],
+  cycling: ['bicycle cycling lane', ['bike', 'bicycle', 'cycling', 'cycle track'], ['bicycle', 'cycling', 'bike lane', 'bike parking']],
+  pedestrian: ['pedestrian crosswalk sidewalk', ['pedestrian', 'walk', 'crossing'], ['pedestrian', 'sidewalk', 'crosswalk', 'walkway']],
+  development: ['development height density setback angular', ['development', 'tower', 'highrise', 'condo', 'new building'], ['development', 'site plan', 'subdivision']],
+  heritage: ['heritage conservation designation', ['heritage', 'old building', 'historic'], ['heritage', 'conservation', 'historic']],
+  safety: ['safety property standard', ['safety', 'dangerous', 'hazard'], []],
+  fire: ['fire safety building code', ['fire', 'smoke', 'alarm'], ['fire', 'safety', 'emergency', 'smoke']],
+  animal: ['animal dog pet', ['dog', 'pet', 'animal', 'leash'], ['animal', 'dog', 'pet', 'cat']],
+  permit: ['licence permit application', ['licence', 'license', 'permit', 'application', 'wait:0.5'], ['permit', 'licence', 'license', 'application']],
+  height: [null, [], ['height', 'storey', 'angular plane', 'setback']],
+  density: [null, [], ['density', 'floor area', 'fsi', 'units per']],
+  tree: [null, [], ['tree', 'canopy', 'urban forest']],
+  water: [null, [], ['water', 'sewer', 'drainage', 'stormwater']],
+  property: [null, [], ['property', 'land', 'lot', 'zoning']],
+  accessibility: [null, [], ['accessibility', 'accessible', 'barrier-free']],
+  boulevard: [null, [], ['boulevard', 'right-of-way', 'road allowance']],
+  food: [null, [], ['food', 'restaurant', 'patio', 'cafe']],
+  rental: [null, [], ['rental', 'tenant', 'landlord', 'eviction']],
+  setback: [null, [], ['setback', 'yard', 'front yard', 'rear yard', 'side yard']],
+  laneway: [null, [], ['laneway', 'lane', 'alley', 'rear lane']],
+};
+
+function ensureSeeded(db) {
+  const { count } = db.prepare('SELECT COUNT(*) as count FROM vocabulary_concepts').get();
+  if (count > 0) return;
+
+  const insertConcept = db.prepare('INSERT INTO vocabulary_concepts (name, expansion) VALUES (?, ?)');
+  const insertPhrase = db.prepare('INSERT OR IGNORE INTO vocabulary_phrases (concept, phrase, scope, weight) VALUES (?, ?, ?, ?)');
+
+  db.transaction(() => {
+    for (const [name, [expansion, story, provision]] of Object.entries(SEED)) {
+      insertConcept.run(name, expansion);
+      for (const [scope, phrases] of [['story', story], ['provision', provision]]) {
+        for (const entry of phrases) {
+          const [phrase, weight] = entry.split(':');
+          insertPhrase.run(name, phrase, scope, weight ? parseFloat(weight) : 1);
+        }
+      }
+    }
+  })();
+}
+
+/**
+ * Build a regex for a phrase: whole words, flexible whitespace, plural and
+ * verb endings (-s, -es, -ed, -ing), optional trailing * for prefix matching
+ */
+function phraseRegex(phrase) {
+  const prefix = phrase.endsWith('*');
+  const words = phrase.replace(/\*$/, '').trim().toLowerCase().split(/\s+/)
+    .map(w => w.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+  const tail = prefix ? '[\\w-]*' : '(?:s|es|ed|ing)?';
+  return new RegExp(`(?<![\\w-])${words.join('\\s+')}${tail}(?![\\w-])`, 'gi');
+}
+
+let compiled = null;
+
+function compile() {
+  if (compiled) return compiled;
+  const db = codesDb.getDb();
+  ensureSeeded(db);
+
+  const concepts = new Map(db.prepare('SELECT name, expansion FROM vocabulary_concepts').all().map(c => [c.name, c]));
+  const phrases = db.prepare('SELECT id, concept, phrase, scope, weight FROM vocabulary_phrases').all();
+
+  compiled = { concepts, story: [], provision: [] };
+  for (const p of phrases) {
+    if (!compiled[p.scope]) continue;
+    compiled[p.scope].push({ ...p, regex: phraseRegex(p.phrase) });
+  }
+  return compiled;
+}
+
+/**
+ * Does the writer disclaim the match at `index` ("nothing to do with ...")?
+ * Looks back within the clause, stopping at punctuation.
+ */
+function isDisclaimed(text, index) {
+  const clause = text.slice(Math.max(0, index - 60), index).split(/[.!?;,]/).pop().replace(/[’]/g, "'");
+  return DISCLAIMER_RE.test(clause);
+}
+
+/**
+ * Score every concept whose phrases appear in text.
+ * Returns a Map of concept name → summed phrase weight.
+ */
+function matchConcepts(text, scope) {
+  const { [scope]: phrases } = compile();
+  const scores = new Map();
+
+  for (const p of phrases) {
+    p.regex.lastIndex = 0;
+    let m;
+    while ((m = p.regex.exec(text))) {
+      if (scope === 'story' && isDisclaimed(text, m.index)) continue;
+      scores.set(p.concept, (scores.get(p.concept) || 0) + p.weight);
+      break; // one hit per phrase is enough
+    }
+  }
+
+  return scores;
+}
+
+/**
+ * Expand a citizen's story into legal search terms, strongest concepts first.
+ * Returns { concepts: [{ name, score }], terms: [...] }
+ */
+function expandStory(story) {
+  const { concepts } = compile();
+  const fired = [...matchConcepts(story, 'story')]
+    .filter(([, score]) => score >= FIRE_THRESHOLD)
+    .sort((a, b) => b[1] - a[1])
+    .map(([name, score]) => ({ name, score }));
+
+  const terms = new Set();
+  for (const c of fired) {
+    const expansion = concepts.get(c.name)?.expansion;
+    (expansion || c.name).split(/\s+/).filter(Boolean).forEach(t => terms.add(t));
+  }
+
+  return { concepts: fired, terms: [...terms] };
+}
+
+/**
+ * Concept tags for a provision's text (stored in provisions.keywords)
+ */
+function tagProvision(text) {
+  return [...matchConcepts(text, 'provision').keys()].join(', ');
+}
+
+// ══════════════════════════════════════
+// Admin
+// ══════════════════════════════════════
+
+function listVocabulary() {
+  const db = codesDb.getDb();
+  ensureSeeded(db);
+
+  const concepts = db.prepare('SELECT name, expansion, created_at FROM vocabulary_concepts ORDER BY name').all();
+  const phrases = db.prepare('SELECT id, concept, phrase, scope, weight, created_at FROM vocabulary_phrases ORDER BY concept, scope, phrase').all();
+
+  return concepts.map(c => ({ ...c, phrases: phrases.filter(p => p.concept === c.name) }));
+}
+
+/**
+ * Add a phrase → concept mapping, creating the concept if needed.
+ * Returns { error } for invalid input, otherwise the new phrase row.
+ */
+function addMapping({ concept, phrase, scope = 'story', weight = 1, expansion }) {
+  const db = codesDb.getDb();
+  ensureSeeded(db);
+
+  const name = String(concept || '').trim().toLowerCase().replace(/\s+/g, '_');
+  const text = String(phrase || '').trim().toLowerCase();
+  const w = Number(weight);
+
+  if (!/^[a-z0-9_]{2,40}$/.test(name)) return { error: 'Concept must be 2-40 letters, digits or underscores.' };
+  if (text.length < 2 || text.length > 80 || !/^[\w\s'-]+\*?$/.test(text)) return { error: 'Phrase must be 2-80 characters of words, optionally ending in *.' };
+  if (!SCOPES.includes(scope)) return { error: `Scope must be one of: ${SCOPES.join(', ')}.` };
+  if (!Number.isFinite(w) || w <= 0 || w > 5) return { error: 'Weight must be a number between 0 and 5.' };
+
+  const existing = db.prepare('SELECT name, expansion FROM vocabulary_concepts WHERE name = ?').get(name);
+  if (!existing) {
+    if (scope === 'story' && !expansion) return { error: `New concept "${name}" needs an expansion (the legal search terms it adds).` };
+    db.prepare('INSERT INTO vocabulary_concepts (name, expansion) VALUES (?, ?)').run(name, expansion ? String(expansion).trim() : null);
+  } else if (expansion !== undefined) {
+    db.prepare('UPDATE vocabulary_concepts SET expansion = ? WHERE name = ?').run(String(expansion).trim() || null, name);
+  }
+
+  const result = db.prepare('INSERT OR IGNORE INTO vocabulary_phrases (concept, phrase, scope, weight) VALUES (?, ?, ?, ?)').run(name, text, scope, w);
+  if (result.changes === 0) {
+    db.prepare('UPDATE vocabulary_phrases SET weight = ? WHERE concept = ? AND phrase = ? AND scope = ?').run(w, name, text, scope);
+  }
+
+  compiled = null;
+  return db.prepare('SELECT id, concept, phrase, scope, weight, created_at FROM vocabulary_phrases WHERE concept = ? AND phrase = ? AND scope = ?').get(name, text, scope);
+}
+
+function removePhrase(id) {
+  const db = codesDb.getDb();
+  const result = db.prepare('DELETE FROM vocabulary_phrases WHERE id = ?').run(id);
+  compiled = null;
+  return result.changes > 0;
+}
+
+module.exports = {
+  SCOPES,
+  expandStory,
+  tagProvision,
+  matchConcepts,
+  listVocabulary,
+  addMapping,
+  removePhrase,
+};
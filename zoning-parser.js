@@ -0,0 +1,223 @@
+/**
+ * zoning-parser.js — Structured parser for Zoning By-law 569-2013
+ *
+ * The generic chunkText() in source-adapters.js splits on whichever
+ * regex gives the most pieces, which shreds the by-law's numbering.
+ * Every regulation in 569-2013 sits in a dotted hierarchy:
+ *
+ *   Chapter 40                      chapter
+ *   40.10                           section     (e.g. CR Zone)
+ *   40.10.40                        article     (e.g. Building Envelope)
+ *   40.10.40.70                     clause      (e.g. Building Setbacks)
+ *   40.10.40.70 (1)                 regulation
+ *
+ * This module rebuilds that tree from the PDF text, links each node to
+ * its parent, and pulls defined terms out of Chapter 800.
+ */
+
+const LEVELS = ['chapter', 'section', 'article', 'clause'];
+
+// Hierarchical nodes hold whole regulations, so only guard against runaway text
+const MAX_CONTENT = 8000;
+
+// "40.10.40.70 Building Setbacks" — a dotted number followed by a title
+const HEADING_RE = /^(\d{1,3}(?:\.\d{1,3}){1,3})\s+([A-Z][^\n]{1,120})$/;
+// "Chapter 40 Commercial Residential"
+const CHAPTER_RE = /^Chapter\s+(\d{1,3})(?:\s+[-–—]?\s*(.*))?$/;
+// "(1) Minimum Front Yard Setback: ..."
+const REGULATION_RE = /^\((\d{1,3}[A-Z]?)\)\s+(.*)$/;
+// "(12) Lot Frontage means the ..." in Chapter 800
+const DEFINITION_RE = /^\(\d{1,3}[A-Z]?\)\s+(.{2,80}?)\s+(?:means|includes)\b\s*(.*)$/s;
+
+/**
+ * Running headers, footers and page numbers that pdf-parse leaves inline
+ */
+function isPageFurniture(line) {
+  return /^(City of )?Toronto Zoning By-law 569-2013/i.test(line)
+    || /^Page \d+( of \d+)?$/i.test(line)
+    || /^\d{1,3}-\d{1,3}$/.test(line)
+    || /^Office Consolidation/i.test(line);
+}
+
+/**
+ * Table-of-contents entries look like headings but end in dot leaders or page numbers
+ */
+function isTocEntry(line) {
+  return /\.{4,}/.test(line) || /\s\d{1,3}-\d{1,3}$/.test(line);
+}
+
+const MINOR_WORDS = new Set(['a', 'an', 'and', 'as', 'at', 'by', 'for', 'from', 'in', 'of', 'on', 'or', 'the', 'to', 'with']);
+
+/**
+ * Headings are short and Title Case ("Building Setbacks", "Permitted Use - with
+ * Conditions"); a wrapped sentence that happens to start with a section number isn't.
+ */
+function looksLikeTitle(title) {
+  if (/[.,;:]$/.test(title)) return false;
+  const words = title.split(/\s+/).filter(w => /[a-z]/i.test(w));
+  if (words.length === 0 || words.length > 12) return false;
+  const major = words.filter(w => !MINOR_WORDS.has(w.toLowerCase()));
+  return major.filter(w => /^[A-Z0-9("']/.test(w)).length >= major.length * 0.8;
+}
+
+function parentOf(number) {
+  const parts = number.split('.');
+  return parts.length > 1 ? parts.slice(0, -1).join('.') : null;
+}
+
+/**
+ * Parse the extracted text of a zoning by-law PDF into a tree of nodes.
+ * Returns a Map keyed by section number, in document order.
+ */
+function buildTree(text) {
+  const nodes = new Map();
+  let current = null;
+  let currentChapter = null;
+
+  const open = (number, level, title) => {
+    let node = nodes.get(number);
+    if (!node) {
+      node = { number, level, title, lines: [], children: [] };
+      nodes.set(number, node);
+
+      // Link to the nearest ancestor we've actually seen
+      let p = level === 'regulation' ? number.replace(/\(.*\)$/, '') : parentOf(number);
+      if (!p && level !== 'chapter') p = number.split('.')[0];
+      while (p && !nodes.has(p)) p = parentOf(p);
+      node.parent = p && p !== number ? p : null;
+      if (node.parent) nodes.get(node.parent).children.push(number);
+    } else if (!node.title && title) {
+      node.title = title;
+    }
+    current = node;
+    return node;
+  };
+
+  for (const raw of text.split('\n')) {
+    const line = raw.replace(/\s+/g, ' ').trim();
+    if (!line || isPageFurniture(line)) continue;
+
+    const chapterMatch = line.match(CHAPTER_RE);
+    const chapterTitle = chapterMatch?.[2]?.trim() || null;
+    if (chapterMatch && !isTocEntry(line) && (!chapterTitle || looksLikeTitle(chapterTitle))) {
+      // The same chapter heading repeats at the top of every page
+      if (chapterMatch[1] === currentChapter) {
+        const node = nodes.get(currentChapter);
+        if (!node.title && chapterTitle) node.title = chapterTitle;
+      } else {
+        currentChapter = chapterMatch[1];
+        open(currentChapter, 'chapter', chapterTitle);
+      }
+      continue;
+    }
+
+    const headingMatch = line.match(HEADING_RE);
+    if (headingMatch && !isTocEntry(line) && looksLikeTitle(headingMatch[2])) {
+      const number = headingMatch[1];
+      const chapter = number.split('.')[0];
+      if (chapter !== currentChapter) {
+        currentChapter = chapter;
+        if (!nodes.has(chapter)) open(chapter, 'chapter', null);
+      }
+      open(number, LEVELS[number.split('.').length - 1], headingMatch[2].trim());
+      continue;
+    }
+
+    const regulationMatch = line.match(REGULATION_RE);
+    if (regulationMatch && current && current.level !== 'chapter') {
+      const clause = current.level === 'regulation' ? nodes.get(current.parent) : current;
+      if (clause) {
+        open(`${clause.number}(${regulationMatch[1]})`, 'regulation', clause.title);
+        current.lines.push(line);
+        continue;
+      }
+    }
+
+    if (current) current.lines.push(line);
+  }
+
+  return nodes;
+}
+
+/**
+ * Pull defined terms out of the Chapter 800 definitions.
+ */
+function extractDefinitions(nodes) {
+  const definitions = [];
+
+  for (const node of nodes.values()) {
+    if (node.level !== 'regulation' || !node.number.startsWith('800.')) continue;
+
+    const match = node.lines.join(' ').match(DEFINITION_RE);
+    if (!match) continue;
+
+    definitions.push({
+      term: match[1].replace(/[:,]$/, '').trim(),
+      definition: match[2].trim(),
+      section: node.number,
+    });
+  }
+
+  return definitions;
+}
+
+/**
+ * Parse Zoning By-law 569-2013 text into hierarchical provisions.
+ *
+ * Every node becomes a provision carrying its real clause number in
+ * `section` and its parent's number in `parent_section`. Structural nodes
+ * without text of their own get an outline of their children instead, so
+ * the tree stays browsable.
+ *
+ * Returns { provisions, definitions }.
+ */
+function parseZoningBylaw(text, { pdfUrl = null, extractKeywords = () => null } = {}) {
+  const nodes = buildTree(text || '');
+  const definitions = extractDefinitions(nodes);
+  const terms = new Map(definitions.map(d => [d.section, d.term]));
+
+  const chapterTitle = (number) => {
+    const chapter = nodes.get(number.split('.')[0]);
+    return chapter?.title ? `Zoning By-law 569-2013 — ${chapter.title}` : 'Zoning By-law 569-2013';
+  };
+
+  const provisions = [];
+
+  for (const node of nodes.values()) {
+    let content = node.lines.join('\n').trim();
+
+    if (!content && node.children.length > 0) {
+      content = node.children
+        .map(c => nodes.get(c))
+        .map(c => c.level === 'regulation'
+          ? `${c.number} ${(c.lines[0] || '').replace(REGULATION_RE, '$2').slice(0, 100)}`
+          : `${c.number} ${c.title || ''}`.trim())
+        .join('\n');
+    }
+    if (!content) continue;
+
+    const term = terms.get(node.number);
+    const heading = node.level === 'chapter' ? `Chapter ${node.number}` : node.number;
+
+    provisions.push({
+      source: 'zoning_bylaw',
+      chapter: `Chapter ${node.number.split('.')[0]}`,
+      chapter_title: chapterTitle(node.number),
+      section: heading,
+      section_title: term ? `Definition: ${term}` : node.title,
+      parent_section: node.parent ? (nodes.get(node.parent).level === 'chapter' ? `Chapter ${node.parent}` : node.parent) : null,
+      level: node.level,
+      content: content.slice(0, MAX_CONTENT),
+      truncated: content.length > MAX_CONTENT,
+      summary: null,
+      pdf_url: pdfUrl,
+      keywords: [term, extractKeywords(content)].filter(Boolean).join(', ') || null,
+    });
+  }
+
+  return { provisions, definitions };
+}
+
+module.exports = {
+  parseZoningBylaw,
+};